@@ -1,6 +1,5 @@
 import React, { useState, useEffect, createContext, useContext, useMemo } from 'react';
-import { createClient } from '@supabase/supabase-js';
-import { Plus, Check, Clock, Target, ChevronRight, Sparkles, X, Loader2, AlertCircle, LogOut, ChevronDown, User, Download, Table, FileText, BarChart3, Trash2 } from 'lucide-react';
+import { Plus, Check, UserCog, ArchiveRestore, Timer, Play, Pause, Square, Clock, Target, ChevronRight, Sparkles, X, Loader2, AlertCircle, LogOut, ChevronDown, User, Users, UserPlus, Mail, ClipboardList, Copy, Download, Table, FileText, BarChart3, Trash2, Pencil, CloudOff, Upload, FileJson, ChevronLeft, Search, History, Flame, Settings, Calendar, Archive, RotateCcw, Link, Trophy, Flag } from 'lucide-react';
 import {
   BarChart,
   Bar,
@@ -12,147 +11,33 @@ import {
   Pie,
   Cell,
   LineChart,
-  Line
+  Line,
+  ComposedChart,
+  Legend
 } from 'recharts';
-
-// ----------------------------------------------------------------------------
-// SUPABASE CLIENT & API HELPERS
-// ----------------------------------------------------------------------------
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
-
-if (!supabaseUrl || !supabaseAnonKey) {
-  throw new Error('Missing VITE_SUPABASE_URL or VITE_SUPABASE_ANON_KEY in .env file');
-}
-
-// Keep supabase client for auth only
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
-
-// Get current auth token
-const getAuthToken = async () => {
-  const { data: { session } } = await supabase.auth.getSession();
-  return session?.access_token || supabaseAnonKey;
-};
-
-// Direct fetch wrapper for database operations
-const db = {
-  async select(table, { columns = '*', eq = {}, is = {}, order, limit, single = false } = {}) {
-    let url = `${supabaseUrl}/rest/v1/${table}?select=${columns}`;
-    
-    Object.entries(eq).forEach(([col, val]) => {
-      url += `&${col}=eq.${val}`;
-    });
-    
-    Object.entries(is).forEach(([col, val]) => {
-      url += `&${col}=is.${val}`;
-    });
-    
-    if (order) {
-      url += `&order=${order.column}.${order.ascending ? 'asc' : 'desc'}`;
-    }
-    
-    if (limit) {
-      url += `&limit=${limit}`;
-    }
-    
-    const token = await getAuthToken();
-    const response = await fetch(url, {
-      headers: {
-        'apikey': supabaseAnonKey,
-        'Authorization': `Bearer ${token}`
-      }
-    });
-    
-    if (!response.ok) {
-      const error = await response.json();
-      return { data: null, error };
-    }
-    
-    const data = await response.json();
-    return { data: single ? (data[0] || null) : data, error: null };
-  },
-
-  async insert(table, row, { returnData = true } = {}) {
-    const token = await getAuthToken();
-    const response = await fetch(`${supabaseUrl}/rest/v1/${table}`, {
-      method: 'POST',
-      headers: {
-        'apikey': supabaseAnonKey,
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-        'Prefer': returnData ? 'return=representation' : 'return=minimal'
-      },
-      body: JSON.stringify(row)
-    });
-    
-    if (!response.ok) {
-      const error = await response.json();
-      return { data: null, error };
-    }
-    
-    if (returnData) {
-      const data = await response.json();
-      return { data: data[0] || data, error: null };
-    }
-    return { data: null, error: null };
-  },
-
-  async update(table, updates, { eq = {} } = {}) {
-    let url = `${supabaseUrl}/rest/v1/${table}?`;
-    Object.entries(eq).forEach(([col, val]) => {
-      url += `${col}=eq.${val}&`;
-    });
-    
-    const token = await getAuthToken();
-    const response = await fetch(url, {
-      method: 'PATCH',
-      headers: {
-        'apikey': supabaseAnonKey,
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-        'Prefer': 'return=representation'
-      },
-      body: JSON.stringify(updates)
-    });
-    
-    if (!response.ok) {
-      const error = await response.json();
-      return { data: null, error };
-    }
-    
-    const data = await response.json();
-    return { data, error: null };
-  },
-
-  async delete(table, idOrOptions) {
-    let url = `${supabaseUrl}/rest/v1/${table}?`;
-    
-    // Support both db.delete('table', 'uuid') and db.delete('table', { eq: { col: val } })
-    if (typeof idOrOptions === 'string') {
-      url += `id=eq.${idOrOptions}`;
-    } else {
-      const { eq = {} } = idOrOptions;
-      Object.entries(eq).forEach(([col, val]) => {
-        url += `${col}=eq.${val}&`;
-      });
-    }
-    
-    const token = await getAuthToken();
-    const response = await fetch(url, {
-      method: 'DELETE',
-      headers: {
-        'apikey': supabaseAnonKey,
-        'Authorization': `Bearer ${token}`
-      }
-    });
-    
-    if (!response.ok) {
-      const error = await response.json();
-      return { error };
-    }
-    return { error: null };
-  }
-};
+import {
+  usesSupabase, authRedirectUrl, RECOVERY_REDIRECT_PARAM, isPkceRecoveryRedirect,
+  isRecoveryRedirect, getAuthToken, onSessionExpired, NetworkError, PermissionDeniedError,
+  ConflictError, sendQuery, newQuery, isTempId, writeQueue, pendingRowIds, db, subscribeToAthlete,
+  mergeSessionChange, mergeGoalChange, mergeDrillUseChange, upsertById, DEMO_ACCOUNT, seedsDemoData,
+  backend
+} from './db';
+import {
+  BACKUP_VERSION, BACKUP_TABLES, validateBackup, withoutServerColumns, sessionKey, CSV_FIELDS,
+  parseCSV, matchFocusOption, splitFocusValues, guessColumnMapping, buildImportRows, escapeHtml,
+  DEFAULT_SPORT_ID, FALLBACK_FOCUS_COLOR, SPORT_PACKS, resolveSport, getFocusOption,
+  buildDrillCatalog, findDrill, drillMetricFields, cleanDrillMetrics, toSession, sortSessions,
+  formatDate, orderSessions, toDrillUse, addDrillUses, sanitizeSearchTerm, matchesHistoryFilters,
+  normalizeDrillMetrics, isValidVideoUrl, memberNamesFor, loggedByName, toTemplate, sortTemplates,
+  newTimer, timerElapsedMs, pauseTimer, resumeTimer, stopTimer, switchTimerDrill, timerDrillMinutes,
+  formatElapsed, GAME_STAT_LINES, sumGameStat, inningsToOuts, gamesPlayed, toGame, sortGames,
+  gameSummary, cleanGameStats, toAssignment, planTotalMinutes, focusForDrill, dueLabel,
+  TEAM_FOCUS_WINDOW_DAYS, JOIN_CODE_LENGTH, generateJoinCode, resolveTeamSport, buildTeamRoster,
+  slugify, MIN_BIRTH_YEAR, isValidBirthYear, toDateKey, parseDateKey, startOfWeekKey,
+  computeStreaks, streakSettings, rpeLabel, ENJOYMENT_OPTIONS, SORENESS_LOCATIONS, sorenessLabel,
+  SORENESS_WINDOW_DAYS, computeWeeklyLoad, recentSoreness, checkInSummary, GOAL_PERIODS, toGoal,
+  describeGoalTarget, computeGoalProgress
+} from './helpers';
 
 // ----------------------------------------------------------------------------
 // AUTH CONTEXT
@@ -163,10 +48,22 @@ function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [passwordRecovery, setPasswordRecovery] = useState(isRecoveryRedirect); // signed in via a reset link
+  const [expiredEmail, setExpiredEmail] = useState(null); // account whose session couldn't be refreshed
 
   useEffect(() => {
+    // Recovery holds once a PASSWORD_RECOVERY event (or the PKCE reset link's
+    // own SIGNED_IN) confirms it; until then any other sign-in ends it
+    let awaitingLinkSignIn = isPkceRecoveryRedirect;
+    let recoveryConfirmed = false;
+
     // Get initial session
-    supabase.auth.getSession().then(({ data: { session } }) => {
+    backend.auth.getSession().then(({ data: { session } }) => {
+      // The reset link didn't produce a session (expired, already used...)
+      if (!session) {
+        awaitingLinkSignIn = false;
+        setPasswordRecovery(false);
+      }
       setUser(session?.user ?? null);
       if (session?.user) {
         fetchProfile(session.user.id, session.access_token);
@@ -176,7 +73,25 @@ function AuthProvider({ children }) {
     });
 
     // Listen for auth changes
-    const { data: { subscription } } = supabase.auth.onAuthStateChange(async (event, session) => {
+    const { data: { subscription } } = backend.auth.onAuthStateChange(async (event, session) => {
+      if (event === 'PASSWORD_RECOVERY') {
+        recoveryConfirmed = true;
+        setPasswordRecovery(true);
+      }
+      if (event === 'SIGNED_OUT') {
+        awaitingLinkSignIn = false;
+        recoveryConfirmed = false;
+        setPasswordRecovery(false);
+      }
+      if (event === 'SIGNED_IN') {
+        setExpiredEmail(null);
+        if (awaitingLinkSignIn) {
+          awaitingLinkSignIn = false;
+          recoveryConfirmed = true;
+        } else if (!recoveryConfirmed) {
+          setPasswordRecovery(false);
+        }
+      }
       setUser(session?.user ?? null);
       if (session?.user) {
         await fetchProfile(session.user.id, session.access_token);
@@ -189,37 +104,32 @@ function AuthProvider({ children }) {
     return () => subscription.unsubscribe();
   }, []);
 
+  // A db call hit a 401 and the refresh failed too: drop the dead session so
+  // AppContent shows AuthScreen, remembering who to sign back in
+  useEffect(() => {
+    if (!user) return;
+    return onSessionExpired(() => {
+      setExpiredEmail(user.email);
+      backend.auth.signOut({ scope: 'local' });
+    });
+  }, [user]);
+
   const fetchProfile = async (userId, accessToken) => {
     console.log('fetchProfile called for:', userId);
     
     try {
-      const token = accessToken || supabaseAnonKey;
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-      
-      const response = await fetch(
-        `${supabaseUrl}/rest/v1/profiles?select=*&id=eq.${userId}`,
-        {
-          headers: {
-            'apikey': supabaseAnonKey,
-            'Authorization': `Bearer ${token}`
-          },
-          signal: controller.signal
-        }
-      );
-      
-      clearTimeout(timeoutId);
-      console.log('Profile fetch response status:', response.status);
-      
-      const data = await response.json();
+      // Sent directly with the token we were handed: db calls would ask the auth
+      // client for the session, which deadlocks inside onAuthStateChange
+      const { data, error } = await sendQuery(newQuery('profiles', 'select', {
+        filters: [['id', 'eq', userId]],
+        single: true,
+        timeout: 5000
+      }), accessToken);
+
+      if (error) throw error;
       console.log('Profile data:', data);
       
-      if (Array.isArray(data) && data.length > 0) {
-        setProfile(data[0]);
-      } else {
-        setProfile({ id: userId, is_pro: false });
-      }
+      setProfile(data || { id: userId, is_pro: false });
     } catch (err) {
       console.error('fetchProfile error:', err.name, err.message);
       setProfile({ id: userId, is_pro: false });
@@ -229,25 +139,55 @@ function AuthProvider({ children }) {
   };
 
   const signIn = async (email, password) => {
-    const { error } = await supabase.auth.signInWithPassword({ email, password });
+    const { error } = await backend.auth.signInWithPassword({ email, password });
     return { error };
   };
 
   const signUp = async (email, password) => {
-    const { error } = await supabase.auth.signUp({ email, password });
+    const { error } = await backend.auth.signUp({ email, password });
     return { error };
   };
 
   const signOut = async () => {
-    await supabase.auth.signOut();
+    setExpiredEmail(null);
+    await backend.auth.signOut();
+  };
+
+  const requestPasswordReset = async (email) => {
+    const redirectTo = new URL(authRedirectUrl);
+    redirectTo.searchParams.set(RECOVERY_REDIRECT_PARAM, 'recovery');
+    const { error } = await backend.auth.resetPasswordForEmail(email, { redirectTo: redirectTo.toString() });
+    return { error };
+  };
+
+  const updatePassword = async (password) => {
+    const { error } = await backend.auth.updateUser({ password });
+    if (!error) finishPasswordRecovery();
+    return { error };
+  };
+
+  // Leave the set-new-password screen
+  const finishPasswordRecovery = () => setPasswordRecovery(false);
+
+  // Magic links only sign in existing accounts; new accounts go through sign up
+  const signInWithMagicLink = async (email) => {
+    const { error } = await backend.auth.signInWithOtp({
+      email,
+      options: { emailRedirectTo: authRedirectUrl, shouldCreateUser: false }
+    });
+    return { error };
   };
 
-  const refreshProfile = () => {
-    if (user) fetchProfile(user.id);
+  const refreshProfile = async () => {
+    if (user) fetchProfile(user.id, await getAuthToken());
   };
 
   return (
-    <AuthContext.Provider value={{ user, profile, loading, signIn, signUp, signOut, refreshProfile }}>
+    <AuthContext.Provider value={{
+      user, profile, loading, passwordRecovery, expiredEmail,
+      signIn, signUp, signOut, refreshProfile,
+      requestPasswordReset, updatePassword, finishPasswordRecovery, signInWithMagicLink
+    }}>
       {children}
     </AuthContext.Provider>
   );
@@ -256,28 +196,77 @@ function AuthProvider({ children }) {
 const useAuth = () => useContext(AuthContext);
 
 // ----------------------------------------------------------------------------
-// AUTH UI (minimal sign in / sign up)
+// AUTH UI (sign in / sign up, password reset, magic link)
 // ----------------------------------------------------------------------------
-function AuthScreen() {
-  const [mode, setMode] = useState('signin');
-  const [email, setEmail] = useState('');
+const AUTH_MODE_SUBTITLES = {
+  signin: 'Sign in to continue',
+  signup: 'Create your account',
+  forgot: "We'll email you a link to reset your password",
+  magic: "We'll email you a link that signs you in",
+  reset: 'Choose a new password'
+};
+
+const AUTH_MODE_SUBMIT_LABELS = {
+  signin: 'Sign In',
+  signup: 'Sign Up',
+  forgot: 'Send Reset Link',
+  magic: 'Send Sign-In Link',
+  reset: 'Save Password'
+};
+
+// The local backend writes its emails to the console
+const emailLinkHint = usesSupabase ? '' : ' (Local backend: open the link from the browser console.)';
+
+function AuthScreen({ initialMode = 'signin' }) {
+  const { signIn, requestPasswordReset, updatePassword, finishPasswordRecovery, signInWithMagicLink, expiredEmail } = useAuth();
+  const [mode, setMode] = useState(initialMode);
+  const [email, setEmail] = useState(expiredEmail || '');
   const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const { signIn, signUp } = useAuth();
+  const [notice, setNotice] = useState(null);
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError(null);
+    setNotice(null);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError(null);
+    setNotice(null);
 
     if (mode === 'signin') {
       const { error } = await signIn(email, password);
       if (error) {
         setError(error.message);
       }
+    } else if (mode === 'forgot') {
+      const { error } = await requestPasswordReset(email);
+      if (error) {
+        setError(error.message);
+      } else {
+        setNotice(`If an account exists for ${email}, a reset link is on its way.${emailLinkHint}`);
+      }
+    } else if (mode === 'magic') {
+      const { error } = await signInWithMagicLink(email);
+      if (error) {
+        setError(error.message);
+      } else {
+        setNotice(`Check ${email} for your sign-in link.${emailLinkHint}`);
+      }
+    } else if (mode === 'reset') {
+      if (password !== confirmPassword) {
+        setError("Passwords don't match");
+      } else {
+        const { error } = await updatePassword(password);
+        if (error) setError(error.message);
+      }
     } else {
-      const { data, error } = await supabase.auth.signUp({ 
+      const { data, error } = await backend.auth.signUp({ 
         email, 
         password 
       });
@@ -297,38 +286,80 @@ function AuthScreen() {
     setLoading(false);
   };
 
+  const inputClass = 'w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100';
+  const needsEmail = mode !== 'reset';
+  const needsPassword = mode === 'signin' || mode === 'signup' || mode === 'reset';
+
   return (
     <div className="min-h-screen bg-slate-900 flex items-center justify-center p-4">
       <div className="bg-slate-800 rounded-2xl shadow-lg border border-slate-700 w-full max-w-sm p-6">
         <div className="text-center mb-6">
           <h1 className="text-xl font-bold text-slate-100">Practice Tracker</h1>
-          <p className="text-sm text-slate-400 mt-1">
-            {mode === 'signin' ? 'Sign in to continue' : 'Create your account'}
-          </p>
+          <p className="text-sm text-slate-400 mt-1">{AUTH_MODE_SUBTITLES[mode]}</p>
         </div>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-slate-300 mb-1">Email</label>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              required
-              className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-slate-300 mb-1">Password</label>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-              minLength={6}
-              className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100"
-            />
+        {!usesSupabase && seedsDemoData && mode === 'signin' && (
+          <p className="text-xs text-slate-400 bg-slate-700/50 px-3 py-2 rounded-lg mb-4">
+            Local backend: sign in as <span className="text-slate-200">{DEMO_ACCOUNT.email}</span> with
+            password <span className="text-slate-200">{DEMO_ACCOUNT.password}</span>, or sign up.
+          </p>
+        )}
+
+        {expiredEmail && mode === 'signin' && (
+          <div className="flex items-start gap-2 text-amber-300 text-sm bg-amber-500/10 px-3 py-2 rounded-lg border border-amber-500/20 mb-4">
+            <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+            Your session expired. Sign in again to pick up where you left off.
           </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {needsEmail && (
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">Email</label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                className={inputClass}
+              />
+            </div>
+          )}
+          {needsPassword && (
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-slate-300">
+                  {mode === 'reset' ? 'New password' : 'Password'}
+                </label>
+                {mode === 'signin' && (
+                  <button type="button" onClick={() => switchMode('forgot')} className="text-xs text-amber-400 font-medium">
+                    Forgot password?
+                  </button>
+                )}
+              </div>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                minLength={6}
+                className={inputClass}
+              />
+            </div>
+          )}
+          {mode === 'reset' && (
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">Confirm new password</label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                minLength={6}
+                className={inputClass}
+              />
+            </div>
+          )}
 
           {error && (
             <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
@@ -337,24 +368,52 @@ function AuthScreen() {
             </div>
           )}
 
+          {notice && (
+            <div className="flex items-center gap-2 text-emerald-400 text-sm bg-emerald-900/30 px-3 py-2 rounded-lg border border-emerald-800/50">
+              <Check className="w-4 h-4 flex-shrink-0" />
+              {notice}
+            </div>
+          )}
+
           <button
             type="submit"
             disabled={loading}
             className="w-full py-3 rounded-xl bg-gradient-to-r from-amber-500 to-amber-600 text-slate-900 font-semibold hover:from-amber-400 hover:to-amber-500 disabled:opacity-50 flex items-center justify-center gap-2"
           >
             {loading && <Loader2 className="w-4 h-4 animate-spin" />}
-            {mode === 'signin' ? 'Sign In' : 'Sign Up'}
+            {AUTH_MODE_SUBMIT_LABELS[mode]}
           </button>
         </form>
 
-        <p className="text-center text-sm text-slate-400 mt-4">
-          {mode === 'signin' ? "Don't have an account? " : "Already have an account? "}
+        {mode === 'signin' && (
           <button
-            onClick={() => setMode(mode === 'signin' ? 'signup' : 'signin')}
-            className="text-amber-400 font-medium"
+            onClick={() => switchMode('magic')}
+            className="w-full mt-3 py-3 rounded-xl border border-slate-600 text-sm font-medium text-slate-300 hover:bg-slate-700"
           >
-            {mode === 'signin' ? 'Sign up' : 'Sign in'}
+            Email me a sign-in link instead
           </button>
+        )}
+
+        <p className="text-center text-sm text-slate-400 mt-4">
+          {mode === 'reset' ? (
+            <button onClick={finishPasswordRecovery} className="text-amber-400 font-medium">
+              Keep my current password
+            </button>
+          ) : mode === 'signin' || mode === 'signup' ? (
+            <>
+              {mode === 'signin' ? "Don't have an account? " : "Already have an account? "}
+              <button
+                onClick={() => switchMode(mode === 'signin' ? 'signup' : 'signin')}
+                className="text-amber-400 font-medium"
+              >
+                {mode === 'signin' ? 'Sign up' : 'Sign in'}
+              </button>
+            </>
+          ) : (
+            <button onClick={() => switchMode('signin')} className="text-amber-400 font-medium">
+              Back to sign in
+            </button>
+          )}
         </p>
       </div>
     </div>
@@ -362,58 +421,744 @@ function AuthScreen() {
 }
 
 // ----------------------------------------------------------------------------
-// PRO COMPONENTS
+// BACKUP & RESTORE
 // ----------------------------------------------------------------------------
+// A backup is a versioned JSON snapshot of everything the account owns. RLS
+// also lets co-parents and coaches read other families' athletes, so every
+// select is filtered down to the account's own athletes explicitly.
+// Every BACKUP_TABLES row owned by the account, keyed by table. Read in pages
+// so PostgREST's max-rows cap can't silently truncate the backup.
+const fetchOwnedRows = async (profileId) => {
+  const rows = {};
+  const run = async (table, select) => {
+    rows[table] = [];
+    for (let offset = 0; ; offset += FULL_HISTORY_PAGE_SIZE) {
+      const { data, error } = await select().order('created_at').order('id')
+        .range(offset, offset + FULL_HISTORY_PAGE_SIZE - 1);
 
-// Chart colors
-const CHART_COLORS = {
-  hitting: '#d4a418',    // gold
-  pitching: '#60a5fa',   // blue
-  fielding: '#34d399',   // green
-  conditioning: '#f472b6' // pink
+      if (error) throw error;
+      rows[table].push(...data);
+      if (data.length < FULL_HISTORY_PAGE_SIZE) return;
+    }
+  };
+
+  await run('custom_sports', () => db.from('custom_sports').select().eq('profile_id', profileId));
+  await run('athletes', () => db.from('athletes').select().eq('profile_id', profileId));
+  await run('custom_drills', () => db.from('custom_drills').select().eq('profile_id', profileId));
+
+  const athleteIds = rows.athletes.map(a => a.id);
+  if (athleteIds.length === 0) {
+    return { ...rows, sessions: [], session_drills: [], goals: [], practice_templates: [], games: [], assignments: [] };
+  }
+
+  await run('sessions', () => db.from('sessions').select().in('athlete_id', athleteIds));
+  await run('session_drills', () => db.from('session_drills').select('*,sessions!inner(athlete_id)').in('sessions.athlete_id', athleteIds));
+  // Drop the embedded join so drill rows keep their own shape
+  rows.session_drills.forEach(d => { delete d.sessions; });
+  await run('goals', () => db.from('goals').select().in('athlete_id', athleteIds));
+  await run('practice_templates', () => db.from('practice_templates').select().in('athlete_id', athleteIds));
+  await run('games', () => db.from('games').select().in('athlete_id', athleteIds));
+  await run('assignments', () => db.from('assignments').select().in('athlete_id', athleteIds));
+
+  return rows;
 };
 
-// Athlete Selector (Pro only - always shows for Pro users)
-function AthleteSelector({ athletes, currentAthlete, onSelectAthlete, onAddAthlete, onDeleteAthlete, isPro }) {
-  const [isOpen, setIsOpen] = useState(false);
+const buildAccountBackup = async (profileId) => ({
+  app: 'practice-tracker',
+  version: BACKUP_VERSION,
+  exported_at: new Date().toISOString(),
+  ...await fetchOwnedRows(profileId)
+});
+
+// Restore a validated backup into the signed-in account. Athletes are matched
+// by name, and practices, drills, goals, templates, games and plans already
+// present are skipped, so restoring the same file twice doesn't double the history.
+const restoreBackup = async (backup, { profileId, onProgress = () => {} }) => {
+  const summary = {
+    custom_sports: { added: 0, matched: 0 },
+    athletes: { added: 0, matched: 0 },
+    custom_drills: { added: 0, matched: 0 },
+    sessions: { added: 0, skipped: 0 },
+    session_drills: { added: 0, skipped: 0 },
+    goals: { added: 0, skipped: 0 },
+    practice_templates: { added: 0, skipped: 0 },
+    games: { added: 0, skipped: 0 },
+    assignments: { added: 0, skipped: 0 }
+  };
 
-  // Free users only see current athlete name (no selector)
-  if (!isPro) {
-    return (
-      <h1 className="text-lg font-semibold text-slate-100">
-        {currentAthlete?.name}'s Practice
-      </h1>
+  const existing = await fetchOwnedRows(profileId);
+
+  const total = BACKUP_TABLES.reduce((sum, table) => sum + (backup[table] || []).length, 0);
+  let done = 0;
+  const step = () => onProgress(++done, total);
+
+  // Custom sports (matched by name; athletes and drills follow the remapped id)
+  const sportIdMap = {};
+  for (const cs of backup.custom_sports || []) {
+    const match = existing.custom_sports.find(e => e.name.trim().toLowerCase() === cs.name.trim().toLowerCase());
+    if (match) {
+      sportIdMap[cs.id] = match.id;
+      summary.custom_sports.matched += 1;
+    } else {
+      const { data, error } = await db.from('custom_sports').insert({ ...withoutServerColumns(cs), profile_id: profileId });
+      if (error) throw error;
+      sportIdMap[cs.id] = data.id;
+      summary.custom_sports.added += 1;
+    }
+    step();
+  }
+  const remapSportId = (sportId) => sportIdMap[sportId] || sportId;
+
+  // Athletes
+  const athleteIdMap = {};
+  for (const a of backup.athletes) {
+    const match = existing.athletes.find(e => e.name.trim().toLowerCase() === a.name.trim().toLowerCase());
+    if (match) {
+      athleteIdMap[a.id] = match.id;
+      summary.athletes.matched += 1;
+    } else {
+      const { data, error } = await db.from('athletes').insert({
+        ...withoutServerColumns(a),
+        profile_id: profileId,
+        ...(a.sport ? { sport: remapSportId(a.sport) } : {})
+      });
+      if (error) throw error;
+      athleteIdMap[a.id] = data.id;
+      summary.athletes.added += 1;
+    }
+    step();
+  }
+
+  // Custom drills (matched by name + focus; ids remapped so drill rows and goals follow)
+  const drillIdMap = {};
+  for (const d of backup.custom_drills || []) {
+    const match = existing.custom_drills.find(e =>
+      (e.sport || DEFAULT_SPORT_ID) === remapSportId(d.sport || DEFAULT_SPORT_ID) &&
+      e.focus === d.focus && e.name.trim().toLowerCase() === d.name.trim().toLowerCase()
     );
+    if (match) {
+      drillIdMap[d.id] = match.id;
+      summary.custom_drills.matched += 1;
+    } else {
+      const { data, error } = await db.from('custom_drills').insert({
+        ...withoutServerColumns(d),
+        profile_id: profileId,
+        ...(d.sport ? { sport: remapSportId(d.sport) } : {})
+      });
+      if (error) throw error;
+      drillIdMap[d.id] = data.id;
+      summary.custom_drills.added += 1;
+    }
+    step();
+  }
+  const remapDrillId = (drillId) => drillIdMap[drillId] || drillId;
+
+  // Sessions
+  const existingSessions = new Map(existing.sessions.map(s => [sessionKey(s.athlete_id, s), s.id]));
+  const sessionIdMap = {};
+  for (const s of backup.sessions) {
+    const athleteId = athleteIdMap[s.athlete_id];
+    const key = sessionKey(athleteId, s);
+    if (existingSessions.has(key)) {
+      sessionIdMap[s.id] = existingSessions.get(key);
+      summary.sessions.skipped += 1;
+    } else {
+      // Profile ids from another account can't be trusted, so restored practices count as the restorer's
+      const { data, error } = await db.from('sessions').insert({
+        ...withoutServerColumns(s),
+        athlete_id: athleteId,
+        logged_by: profileId
+      });
+      if (error) throw error;
+      sessionIdMap[s.id] = data.id;
+      existingSessions.set(key, data.id);
+      summary.sessions.added += 1;
+    }
+    step();
   }
 
-  // Pro users always get the dropdown (even with 1 athlete, so they can add more)
+  // Session drills
+  const existingDrills = new Set(existing.session_drills.map(d => `${d.session_id}::${d.drill_id}`));
+  for (const d of backup.session_drills) {
+    const sessionId = sessionIdMap[d.session_id];
+    const drillId = remapDrillId(d.drill_id);
+    const key = `${sessionId}::${drillId}`;
+    if (existingDrills.has(key)) {
+      summary.session_drills.skipped += 1;
+    } else {
+      const { error } = await db.from('session_drills').insert({
+        ...withoutServerColumns(d),
+        session_id: sessionId,
+        drill_id: drillId
+      }, { returnData: false });
+      if (error) throw error;
+      existingDrills.add(key);
+      summary.session_drills.added += 1;
+    }
+    step();
+  }
+
+  // Goals (only one active goal per skill, so restored goals yield to ones already active)
+  const existingGoals = new Set(existing.goals.map(g => `${g.athlete_id}::${g.skill}::${g.text}`));
+  const activeSkills = new Set(existing.goals.filter(g => g.is_active).map(g => `${g.athlete_id}::${g.skill}`));
+  for (const g of backup.goals) {
+    const athleteId = athleteIdMap[g.athlete_id];
+    const key = `${athleteId}::${g.skill}::${g.text}`;
+    if (existingGoals.has(key)) {
+      summary.goals.skipped += 1;
+    } else {
+      const skillKey = `${athleteId}::${g.skill}`;
+      const isActive = Boolean(g.is_active) && !activeSkills.has(skillKey);
+      const { error } = await db.from('goals').insert({
+        ...withoutServerColumns(g),
+        athlete_id: athleteId,
+        linked_drill_id: g.linked_drill_id ? remapDrillId(g.linked_drill_id) : null,
+        is_active: isActive
+      }, { returnData: false });
+      if (error) throw error;
+      existingGoals.add(key);
+      if (isActive) activeSkills.add(skillKey);
+      summary.goals.added += 1;
+    }
+    step();
+  }
+
+  // Practice templates (matched by athlete + name)
+  const existingTemplates = new Set(existing.practice_templates.map(t => `${t.athlete_id}::${t.name}`));
+  for (const t of backup.practice_templates || []) {
+    const athleteId = athleteIdMap[t.athlete_id];
+    const key = `${athleteId}::${t.name}`;
+    if (existingTemplates.has(key)) {
+      summary.practice_templates.skipped += 1;
+    } else {
+      const { error } = await db.from('practice_templates').insert({
+        ...withoutServerColumns(t),
+        athlete_id: athleteId,
+        drill_ids: (t.drill_ids || []).map(remapDrillId)
+      }, { returnData: false });
+      if (error) throw error;
+      existingTemplates.add(key);
+      summary.practice_templates.added += 1;
+    }
+    step();
+  }
+
+  // Games (matched by athlete, date and opponent)
+  const gameKey = (athleteId, g) => [athleteId, g.date, (g.opponent || '').trim().toLowerCase()].join('::');
+  const existingGames = new Set(existing.games.map(g => gameKey(g.athlete_id, g)));
+  for (const g of backup.games || []) {
+    const athleteId = athleteIdMap[g.athlete_id];
+    const key = gameKey(athleteId, g);
+    if (existingGames.has(key)) {
+      summary.games.skipped += 1;
+    } else {
+      const { error } = await db.from('games').insert({
+        ...withoutServerColumns(g),
+        athlete_id: athleteId,
+        logged_by: profileId
+      }, { returnData: false });
+      if (error) throw error;
+      existingGames.add(key);
+      summary.games.added += 1;
+    }
+    step();
+  }
+
+  // Practice plans (matched by athlete, title and due date). The original
+  // assigner's team may be gone, so restored plans count as assigned by the restorer.
+  const assignmentKey = (athleteId, a) => [athleteId, a.title, a.due_date || ''].join('::');
+  const existingAssignments = new Set(existing.assignments.map(a => assignmentKey(a.athlete_id, a)));
+  for (const a of backup.assignments || []) {
+    const athleteId = athleteIdMap[a.athlete_id];
+    const key = assignmentKey(athleteId, a);
+    if (existingAssignments.has(key)) {
+      summary.assignments.skipped += 1;
+    } else {
+      const { error } = await db.from('assignments').insert({
+        ...withoutServerColumns(a),
+        athlete_id: athleteId,
+        team_id: null,
+        assigned_by: profileId,
+        drills: (a.drills || []).map(d => ({ ...d, drill_id: remapDrillId(d.drill_id) })),
+        fulfilled_session_id: a.fulfilled_session_id ? sessionIdMap[a.fulfilled_session_id] || null : null
+      }, { returnData: false });
+      if (error) throw error;
+      existingAssignments.add(key);
+      summary.assignments.added += 1;
+    }
+    step();
+  }
+
+  return summary;
+};
+
+function RestoreBackupModal({ onClose, onRestored }) {
+  const { user } = useAuth();
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [restoring, setRestoring] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [summary, setSummary] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setSummary(null);
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      const problems = validateBackup(parsed);
+      setErrors(problems);
+      setBackup(problems.length === 0 ? parsed : null);
+    } catch {
+      setErrors(['This file is not valid JSON.']);
+      setBackup(null);
+    }
+  };
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    setErrors([]);
+
+    try {
+      const result = await restoreBackup(backup, {
+        profileId: user.id,
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      setSummary(result);
+      onRestored();
+    } catch (err) {
+      console.error('Error restoring backup:', err);
+      setErrors([err.message]);
+    } finally {
+      setRestoring(false);
+      setProgress(null);
+    }
+  };
+
   return (
-    <div className="relative">
-      <button
-        onClick={() => setIsOpen(!isOpen)}
-        className="flex items-center gap-2 hover:bg-slate-700 rounded-lg px-2 py-1 -ml-2 transition"
-      >
-        <h1 className="text-lg font-semibold text-slate-100">
-          {currentAthlete?.name}'s Practice
-        </h1>
-        <ChevronDown className={`w-4 h-4 text-slate-400 transition ${isOpen ? 'rotate-180' : ''}`} />
-      </button>
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center p-4">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg modal-content">
+        <div className="px-5 py-4 border-b border-slate-700 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-slate-100">Restore Backup</h2>
+          <button
+            onClick={onClose}
+            disabled={restoring}
+            className="p-2 -mr-2 hover:bg-slate-700 rounded-full"
+          >
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
 
-      {isOpen && (
-        <>
-          <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)} />
-          <div className="absolute top-full left-0 mt-1 w-64 bg-slate-800 rounded-xl shadow-lg border border-slate-700 py-1 z-50">
-            <div className="px-3 py-2 border-b border-slate-700">
-              <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Switch Athlete</p>
+        <div className="p-5 space-y-4">
+          <p className="text-sm text-slate-400">
+            Choose a JSON backup exported from Practice Tracker. Athletes are matched by name, and practices
+            already in your account are skipped.
+          </p>
+
+          <label className="flex items-center justify-center gap-2 w-full py-3 rounded-xl border border-dashed border-slate-600 text-slate-300 hover:bg-slate-700 cursor-pointer">
+            <Upload className="w-4 h-4" />
+            {fileName || 'Choose backup file'}
+            <input type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+          </label>
+
+          {backup && !summary && (
+            <div className="bg-slate-700/50 rounded-xl p-4 text-sm text-slate-300 space-y-1">
+              <p>Exported {new Date(backup.exported_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</p>
+              <p>
+                {backup.athletes.length} athletes · {backup.sessions.length} practices · {backup.session_drills.length} drills · {backup.goals.length} goals
+              </p>
             </div>
-            
-            {athletes.map(athlete => (
-              <div
-                key={athlete.id}
-                className={`flex items-center gap-3 px-4 py-2.5 hover:bg-slate-700 group ${
-                  athlete.id === currentAthlete?.id ? 'bg-amber-500/10' : ''
-                }`}
-              >
+          )}
+
+          {summary && (
+            <div className="bg-emerald-900/30 border border-emerald-800/50 rounded-xl p-4 text-sm text-emerald-300 space-y-1">
+              <p>Restore complete.</p>
+              <p>Sports: {summary.custom_sports.added} added, {summary.custom_sports.matched} matched</p>
+              <p>Athletes: {summary.athletes.added} added, {summary.athletes.matched} matched</p>
+              <p>Custom drills: {summary.custom_drills.added} added, {summary.custom_drills.matched} matched</p>
+              <p>Practices: {summary.sessions.added} added, {summary.sessions.skipped} already present</p>
+              <p>Drills: {summary.session_drills.added} added, {summary.session_drills.skipped} already present</p>
+              <p>Goals: {summary.goals.added} added, {summary.goals.skipped} already present</p>
+              <p>Templates: {summary.practice_templates.added} added, {summary.practice_templates.skipped} already present</p>
+              <p>Games: {summary.games.added} added, {summary.games.skipped} already present</p>
+              <p>Practice plans: {summary.assignments.added} added, {summary.assignments.skipped} already present</p>
+            </div>
+          )}
+
+          {errors.length > 0 && (
+            <div className="text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50 space-y-1">
+              {errors.slice(0, 5).map((message, i) => (
+                <div key={i} className="flex items-center gap-2">
+                  <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                  {message}
+                </div>
+              ))}
+              {errors.length > 5 && <p>…and {errors.length - 5} more problems</p>}
+            </div>
+          )}
+        </div>
+
+        <div className="px-5 py-4 border-t border-slate-700 flex gap-3">
+          <button
+            onClick={onClose}
+            disabled={restoring}
+            className="flex-1 py-3 rounded-xl border border-slate-600 font-medium text-slate-300 hover:bg-slate-700 disabled:opacity-50"
+          >
+            {summary ? 'Done' : 'Cancel'}
+          </button>
+          {!summary && (
+            <button
+              onClick={handleRestore}
+              disabled={!backup || restoring}
+              className="flex-1 btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {restoring && <Loader2 className="w-4 h-4 animate-spin" />}
+              {restoring && progress ? `Restoring ${progress.done}/${progress.total}` : 'Restore'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// CSV IMPORT
+// ----------------------------------------------------------------------------
+// Imports historical practices from a spreadsheet. The default column names
+// match what ExportButton's exportCSV writes, so an export round-trips as-is.
+const IMPORT_BATCH_SIZE = 100;
+
+function CsvImportModal({ athletes, currentAthlete, customSports, onClose, onImported }) {
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [focusMapping, setFocusMapping] = useState({});
+  const [targetAthleteId, setTargetAthleteId] = useState(currentAthlete.id);
+  const { user } = useAuth();
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const rows = parseCSV(await file.text());
+    setFileName(file.name);
+    setResult(null);
+    setFocusMapping({});
+
+    if (rows.length < 2) {
+      setError('The file needs a header row and at least one practice.');
+      setHeaders([]);
+      setDataRows([]);
+      return;
+    }
+
+    setError(null);
+    setHeaders(rows[0]);
+    setDataRows(rows.slice(1));
+    setMapping(guessColumnMapping(rows[0]));
+  };
+
+  const targetAthlete = athletes.find(a => a.id === targetAthleteId) || currentAthlete;
+  const sport = resolveSport(targetAthlete.sport, customSports);
+  const focusOptions = sport.focusOptions;
+
+  const mappingComplete = CSV_FIELDS.every(f => !f.required || mapping[f.id] !== '');
+
+  const importRows = useMemo(
+    () => (mappingComplete ? buildImportRows(dataRows, mapping, focusMapping, focusOptions) : []),
+    [dataRows, mapping, focusMapping, mappingComplete, focusOptions]
+  );
+
+  // Distinct focus values that aren't one of the sport's focus areas, with how many rows use them
+  const unknownFocusValues = useMemo(() => {
+    if (!mappingComplete) return [];
+    const counts = {};
+    dataRows.forEach(cells => {
+      splitFocusValues(cells[mapping.focus] || '').forEach(value => {
+        if (!matchFocusOption(value, focusOptions)) counts[value] = (counts[value] || 0) + 1;
+      });
+    });
+    return Object.entries(counts);
+  }, [dataRows, mapping, mappingComplete, focusOptions]);
+
+  const validRows = importRows.filter(r => r.errors.length === 0);
+  const invalidRows = importRows.filter(r => r.errors.length > 0);
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError(null);
+
+    try {
+      let rowsToInsert = validRows.map(r => ({ ...r.session, athlete_id: targetAthleteId, logged_by: user.id }));
+      let skipped = 0;
+
+      if (skipDuplicates) {
+        // Every page, so long histories are checked in full
+        const existing = await fetchAllSessions(targetAthleteId);
+        const existingKeys = new Set(existing.map(s => sessionKey(targetAthleteId, s)));
+        const before = rowsToInsert.length;
+        rowsToInsert = rowsToInsert.filter(row => {
+          const key = sessionKey(targetAthleteId, row);
+          if (existingKeys.has(key)) return false;
+          existingKeys.add(key);
+          return true;
+        });
+        skipped = before - rowsToInsert.length;
+      }
+
+      for (let i = 0; i < rowsToInsert.length; i += IMPORT_BATCH_SIZE) {
+        const { error: insertError } = await db.from('sessions').insert(rowsToInsert.slice(i, i + IMPORT_BATCH_SIZE), {
+          returnData: false
+        });
+        if (insertError) throw insertError;
+      }
+
+      setResult({ imported: rowsToInsert.length, skipped, invalid: invalidRows.length });
+      onImported(targetAthleteId);
+    } catch (err) {
+      console.error('Error importing practices:', err);
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const selectClass = 'w-full px-3 py-2 rounded-lg border border-slate-600 bg-slate-700 text-sm text-slate-100 outline-none focus:border-amber-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
+        <div className="sticky top-0 bg-slate-800 px-5 py-4 border-b border-slate-700 flex items-center justify-between z-10">
+          <h2 className="text-lg font-semibold text-slate-100">Import Practices</h2>
+          <button
+            onClick={onClose}
+            disabled={importing}
+            className="p-2 -mr-2 hover:bg-slate-700 rounded-full"
+          >
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-5">
+          <p className="text-sm text-slate-400">
+            Upload a CSV with one practice per row. A CSV exported from Practice Tracker works as-is.
+          </p>
+
+          <label className="flex items-center justify-center gap-2 w-full py-3 rounded-xl border border-dashed border-slate-600 text-slate-300 hover:bg-slate-700 cursor-pointer">
+            <Upload className="w-4 h-4" />
+            {fileName || 'Choose CSV file'}
+            <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+          </label>
+
+          {athletes.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Import for</label>
+              <select
+                value={targetAthleteId}
+                onChange={(e) => setTargetAthleteId(e.target.value)}
+                className={selectClass}
+              >
+                {athletes.map(a => (
+                  <option key={a.id} value={a.id}>{a.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {headers.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Columns</label>
+              <div className="space-y-2">
+                {CSV_FIELDS.map(field => (
+                  <div key={field.id} className="flex items-center gap-3">
+                    <span className="w-32 text-sm text-slate-400">
+                      {field.label}{field.required && <span className="text-amber-400">*</span>}
+                    </span>
+                    <select
+                      value={mapping[field.id]}
+                      onChange={(e) => setMapping(prev => ({
+                        ...prev,
+                        [field.id]: e.target.value === '' ? '' : Number(e.target.value)
+                      }))}
+                      className={selectClass}
+                    >
+                      <option value="">— Not in file —</option>
+                      {headers.map((h, i) => (
+                        <option key={i} value={i}>{h || `Column ${i + 1}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {unknownFocusValues.length > 0 && (
+            <div className="bg-amber-500/10 rounded-xl p-4 border border-amber-500/20">
+              <p className="text-sm font-medium text-slate-300 mb-1">Unrecognized focus areas</p>
+              <p className="text-xs text-slate-400 mb-3">
+                These aren't one of {focusOptions.map(f => f.label).join(', ')}. Choose what each should become.
+              </p>
+              <div className="space-y-2">
+                {unknownFocusValues.map(([value, count]) => (
+                  <div key={value} className="flex items-center gap-3">
+                    <span className="w-32 text-sm text-slate-300 truncate" title={value}>
+                      {value} <span className="text-slate-500">({count})</span>
+                    </span>
+                    <select
+                      value={focusMapping[value] || ''}
+                      onChange={(e) => setFocusMapping(prev => ({ ...prev, [value]: e.target.value }))}
+                      className={selectClass}
+                    >
+                      <option value="">— Choose —</option>
+                      {focusOptions.map(f => (
+                        <option key={f.id} value={f.id}>{f.emoji} {f.label}</option>
+                      ))}
+                      <option value="ignore">Leave it out</option>
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {importRows.length > 0 && !result && (
+            <div>
+              <p className="text-sm font-medium text-slate-300 mb-2">
+                Preview <span className="text-slate-500 font-normal">
+                  ({validRows.length} ready{invalidRows.length > 0 && `, ${invalidRows.length} with problems`})
+                </span>
+              </p>
+              <div className="rounded-xl border border-slate-700 divide-y divide-slate-700/50 max-h-64 overflow-auto">
+                {importRows.slice(0, 50).map(row => (
+                  <div key={row.line} className="px-3 py-2 text-xs">
+                    <div className="flex items-center gap-2">
+                      <span className="text-slate-500 w-8">#{row.line}</span>
+                      <span className="text-slate-300 w-20">{row.session.date || '—'}</span>
+                      <span className="text-slate-400 w-12">
+                        {Number.isFinite(row.session.duration_minutes) ? `${row.session.duration_minutes}m` : '—'}
+                      </span>
+                      <span className="text-slate-400 flex-1 truncate">
+                        {row.session.focus.map(f => getFocusOption(sport, f).emoji).join(' ')}
+                        {row.session.note && ` ${row.session.note}`}
+                      </span>
+                      {row.errors.length === 0 && <Check className="w-3.5 h-3.5 text-emerald-400" />}
+                    </div>
+                    {row.errors.length > 0 && (
+                      <p className="text-red-400 mt-1 pl-10">{row.errors.join(' · ')}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+              {importRows.length > 50 && (
+                <p className="text-xs text-slate-500 mt-2">Showing 50 of {importRows.length} rows</p>
+              )}
+              <label className="flex items-center gap-2 text-sm text-slate-400 mt-3">
+                <input
+                  type="checkbox"
+                  checked={skipDuplicates}
+                  onChange={(e) => setSkipDuplicates(e.target.checked)}
+                />
+                Skip practices that are already logged
+              </label>
+            </div>
+          )}
+
+          {result && (
+            <div className="bg-emerald-900/30 border border-emerald-800/50 rounded-xl p-4 text-sm text-emerald-300 space-y-1">
+              <p>Imported {result.imported} practice{result.imported === 1 ? '' : 's'}.</p>
+              {result.skipped > 0 && <p>{result.skipped} already logged, skipped.</p>}
+              {result.invalid > 0 && <p>{result.invalid} row{result.invalid === 1 ? '' : 's'} with problems not imported.</p>}
+            </div>
+          )}
+
+          {error && (
+            <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+        </div>
+
+        <div className="sticky bottom-0 bg-slate-800 px-5 py-4 border-t border-slate-700 flex gap-3">
+          <button
+            onClick={onClose}
+            disabled={importing}
+            className="flex-1 py-3 rounded-xl border border-slate-600 font-medium text-slate-300 hover:bg-slate-700 disabled:opacity-50"
+          >
+            {result ? 'Done' : 'Cancel'}
+          </button>
+          {!result && (
+            <button
+              onClick={handleImport}
+              disabled={validRows.length === 0 || importing}
+              className="flex-1 btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {importing && <Loader2 className="w-4 h-4 animate-spin" />}
+              {importing ? 'Importing...' : `Import ${validRows.length}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// PRO COMPONENTS
+// ----------------------------------------------------------------------------
+
+// Athlete Selector (Pro only - always shows for Pro users)
+function AthleteSelector({ athletes, currentAthlete, onSelectAthlete, onAddAthlete, onEditAthlete, athleteAccess, isPro }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Free users only see current athlete name (no selector)
+  if (!isPro) {
+    return (
+      <h1 className="text-lg font-semibold text-slate-100">
+        {currentAthlete?.name}'s Practice
+      </h1>
+    );
+  }
+
+  // Pro users always get the dropdown (even with 1 athlete, so they can add more)
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 hover:bg-slate-700 rounded-lg px-2 py-1 -ml-2 transition"
+      >
+        <h1 className="text-lg font-semibold text-slate-100">
+          {currentAthlete?.name}'s Practice
+        </h1>
+        <ChevronDown className={`w-4 h-4 text-slate-400 transition ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)} />
+          <div className="absolute top-full left-0 mt-1 w-64 bg-slate-800 rounded-xl shadow-lg border border-slate-700 py-1 z-50">
+            <div className="px-3 py-2 border-b border-slate-700">
+              <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Switch Athlete</p>
+            </div>
+            
+            {athletes.map(athlete => (
+              <div
+                key={athlete.id}
+                className={`flex items-center gap-3 px-4 py-2.5 hover:bg-slate-700 group ${
+                  athlete.id === currentAthlete?.id ? 'bg-amber-500/10' : ''
+                }`}
+              >
                 <button
                   onClick={() => {
                     onSelectAthlete(athlete);
@@ -433,20 +1178,21 @@ function AthleteSelector({ athletes, currentAthlete, onSelectAthlete, onAddAthle
                   }`}>
                     {athlete.name}
                   </span>
+                  {athleteAccess[athlete.id]?.shared && (
+                    <Users className="w-3.5 h-3.5 text-slate-500" aria-label="Shared with you" />
+                  )}
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setIsOpen(false);
+                    onEditAthlete(athlete);
+                  }}
+                  className="p-1.5 rounded-lg text-slate-500 hover:text-amber-400 hover:bg-slate-600 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity"
+                  title="Athlete settings"
+                >
+                  <Pencil className="w-4 h-4" />
                 </button>
-                {athletes.length > 1 && (
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      setIsOpen(false);
-                      onDeleteAthlete(athlete);
-                    }}
-                    className="p-1.5 rounded-lg text-slate-500 hover:text-red-400 hover:bg-slate-600 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity"
-                    title="Delete athlete"
-                  >
-                    <Trash2 className="w-4 h-4" />
-                  </button>
-                )}
               </div>
             ))}
             
@@ -559,7 +1305,7 @@ function FocusDistributionChart({ sessions, focusOptions }) {
         name: f.label,
         emoji: f.emoji,
         value: counts[f.id] || 0,
-        color: CHART_COLORS[f.id] || '#78716c'
+        color: f.color || FALLBACK_FOCUS_COLOR
       }))
       .filter(d => d.value > 0);
   }, [sessions, focusOptions]);
@@ -690,47 +1436,322 @@ function ActivityLineChart({ sessions }) {
   );
 }
 
-// Export Button (Pro only)
-function ExportButton({ sessions, athlete, isPro }) {
-  const [isOpen, setIsOpen] = useState(false);
+// Every logged use of one drill for an athlete, oldest practice first
+const fetchDrillHistory = async (athleteId, drillId) => {
+  const { data, error } = await db.from('session_drills').select('id,minutes,metrics,sessions!inner(date,athlete_id)')
+    .eq('drill_id', drillId)
+    .eq('sessions.athlete_id', athleteId);
 
-  if (!isPro || !sessions || sessions.length === 0) return null;
+  if (error) throw error;
+  return (data || [])
+    .map(d => ({ id: d.id, date: d.sessions.date, minutes: d.minutes, metrics: d.metrics || {} }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
 
-  const exportCSV = () => {
-    const headers = ['Date', 'Duration (min)', 'Focus Areas', 'Note', 'Reflection'];
-    const rows = sessions.map(s => [
-      s.date,
-      s.duration,
-      (s.focus || []).join('; '),
-      (s.note || '').replace(/"/g, '""'),
-      (s.reflection || '').replace(/"/g, '""')
-    ]);
-    
-    const csv = [headers.join(','), ...rows.map(row => row.map(cell => `"${cell}"`).join(','))].join('\n');
-    downloadFile(csv, `${athlete.name}-practices.csv`, 'text/csv');
-    setIsOpen(false);
-  };
+// Drill detail (Pro): each tracked count charted over time
+function DrillDetailView({ athlete, drillId, customDrills, onBack }) {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
 
-  const exportPDF = () => {
-    // Calculate stats
-    const totalMinutes = sessions.reduce((sum, s) => sum + s.duration, 0);
-    const focusCounts = {};
+  const drill = findDrill(drillId, customDrills);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchDrillHistory(athlete.id, drillId)
+      .then(rows => { if (!cancelled) setHistory(rows); })
+      .catch(err => {
+        console.error('Error loading drill history:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => { cancelled = true; };
+  }, [athlete.id, drillId]);
+
+  // Timer minutes chart like any other count once some were recorded
+  const fields = [
+    ...drillMetricFields(drill),
+    ...((history || []).some(h => h.minutes) ? [{ id: 'minutes', label: 'Minutes' }] : [])
+  ];
+  const valueOf = (entry, fieldId) => (fieldId === 'minutes' ? entry.minutes : entry.metrics[fieldId]) ?? null;
+
+  return (
+    <main className="max-w-lg mx-auto px-4 py-6 pb-32 space-y-5">
+      <div className="flex items-center gap-2">
+        <button onClick={onBack} className="p-2 -ml-2 rounded-full hover:bg-slate-700 text-slate-400" title="Back">
+          <ChevronLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h2 className="text-lg font-semibold text-slate-100">{drill?.name || drillId}</h2>
+          <p className="text-xs text-slate-500">
+            {history === null ? 'Loading…' : `Done ${history.length} time${history.length === 1 ? '' : 's'}`}
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {history === null && !error ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-6 h-6 text-amber-400 animate-spin" />
+        </div>
+      ) : fields.length === 0 ? (
+        <p className="text-sm text-slate-500 italic text-center py-8">
+          This drill doesn't track any counts. Add some under My Drills to chart progress.
+        </p>
+      ) : fields.map(field => {
+        const points = (history || [])
+          .filter(entry => valueOf(entry, field.id) != null)
+          .map(entry => ({ date: entry.date, value: valueOf(entry, field.id) }));
+
+        return (
+          <div key={field.id} className="card p-5">
+            <div className="flex items-baseline justify-between mb-3">
+              <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">{field.label}</p>
+              {points.length > 0 && (
+                <p className="text-xs text-slate-500">Latest {points[points.length - 1].value}</p>
+              )}
+            </div>
+            {points.length < 2 ? (
+              <p className="text-sm text-slate-500 italic">
+                {points.length === 0 ? 'Nothing logged yet.' : 'Log it once more to see a trend.'}
+              </p>
+            ) : (
+              <div className="h-32">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={points} margin={{ top: 10, right: 10, left: -15, bottom: 0 }}>
+                    <XAxis
+                      dataKey="date"
+                      tick={{ fontSize: 10, fill: '#64748b' }}
+                      axisLine={{ stroke: '#334155' }}
+                      tickLine={false}
+                      tickFormatter={(date) => formatDate(date)}
+                      minTickGap={24}
+                    />
+                    <YAxis tick={{ fontSize: 10, fill: '#64748b' }} axisLine={false} tickLine={false} allowDecimals={false} />
+                    <Tooltip
+                      formatter={(value) => [value, field.label]}
+                      labelFormatter={(date) => formatDate(date)}
+                      contentStyle={{
+                        backgroundColor: '#1e293b',
+                        border: '1px solid #334155',
+                        borderRadius: '8px',
+                        fontSize: '13px',
+                        color: '#e2e8f0'
+                      }}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="value"
+                      stroke="#d4a418"
+                      strokeWidth={2}
+                      dot={{ r: 3, fill: '#d4a418' }}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </main>
+  );
+}
+
+// Weeks shown on the practice vs. games chart (roughly one season)
+const SEASON_WEEKS = 16;
+
+// Practice vs. Games (Pro only): weekly practice minutes stacked by focus,
+// with a game performance stat drawn over the top
+function PracticeVsGamesChart({ sessions, games, sport }) {
+  const performanceStats = GAME_PERFORMANCE_STATS[sport.id] || [];
+  const [statId, setStatId] = useState(performanceStats[0]?.id || '');
+  const stat = performanceStats.find(p => p.id === statId) || performanceStats[0];
+
+  const weeklyData = useMemo(() => {
+    const thisWeek = parseDateKey(startOfWeekKey(new Date()));
+    const weeks = [];
+
+    for (let i = SEASON_WEEKS - 1; i >= 0; i--) {
+      const weekStart = new Date(thisWeek);
+      weekStart.setDate(thisWeek.getDate() - i * 7);
+      const key = toDateKey(weekStart);
+      const week = { key, label: formatDate(key), games: [] };
+      sport.focusOptions.forEach(f => { week[f.id] = 0; });
+      weeks.push(week);
+    }
+
+    const byKey = Object.fromEntries(weeks.map(w => [w.key, w]));
     sessions.forEach(s => {
-      (s.focus || []).forEach(f => {
-        focusCounts[f] = (focusCounts[f] || 0) + 1;
+      const week = byKey[startOfWeekKey(parseDateKey(s.date))];
+      if (!week || s.focus.length === 0) return;
+      // Split a multi-focus practice evenly across its focus areas
+      s.focus.forEach(f => {
+        if (f in week) week[f] += s.duration / s.focus.length;
       });
     });
-    
-    // Calculate weekly data for chart (last 4 weeks)
-    const now = new Date();
-    const weeklyData = [];
-    for (let i = 3; i >= 0; i--) {
-      const weekStart = new Date(now);
-      weekStart.setDate(now.getDate() - now.getDay() - (i * 7));
-      weekStart.setHours(0, 0, 0, 0);
-      const weekEnd = new Date(weekStart);
-      weekEnd.setDate(weekStart.getDate() + 6);
-      
+    games.forEach(g => {
+      byKey[startOfWeekKey(parseDateKey(g.date))]?.games.push(g);
+    });
+
+    return weeks;
+  }, [sessions, games, sport]);
+
+  if (!stat) {
+    return <p className="text-sm text-slate-500 italic">Game stats aren't tracked for {sport.name.toLowerCase()} yet.</p>;
+  }
+
+  const chartData = weeklyData.map(({ games: weekGames, ...week }) => ({
+    ...week,
+    performance: weekGames.length > 0 ? stat.compute(weekGames) : null
+  }));
+
+  return (
+    <div>
+      {performanceStats.length > 1 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {performanceStats.map(p => (
+            <button
+              key={p.id}
+              onClick={() => setStatId(p.id)}
+              className={`drill-chip ${stat.id === p.id ? 'selected' : ''}`}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="h-48">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData} margin={{ top: 10, right: 0, left: -15, bottom: 0 }}>
+            <XAxis
+              dataKey="label"
+              tick={{ fontSize: 10, fill: '#64748b' }}
+              axisLine={{ stroke: '#334155' }}
+              tickLine={false}
+              interval={3}
+            />
+            <YAxis yAxisId="minutes" tick={{ fontSize: 10, fill: '#64748b' }} axisLine={false} tickLine={false} />
+            <YAxis
+              yAxisId="performance"
+              orientation="right"
+              tick={{ fontSize: 10, fill: '#e2e8f0' }}
+              axisLine={false}
+              tickLine={false}
+              tickFormatter={stat.format}
+            />
+            <Tooltip
+              formatter={(value, name) => name === stat.label
+                ? [stat.format(value), name]
+                : [`${Math.round(value)} min`, name]}
+              labelFormatter={(label) => `Week of ${label}`}
+              contentStyle={{
+                backgroundColor: '#1e293b',
+                border: '1px solid #334155',
+                borderRadius: '8px',
+                fontSize: '13px',
+                color: '#e2e8f0'
+              }}
+            />
+            <Legend wrapperStyle={{ fontSize: '11px' }} />
+            {sport.focusOptions.map(f => (
+              <Bar
+                key={f.id}
+                yAxisId="minutes"
+                dataKey={f.id}
+                name={f.label}
+                stackId="minutes"
+                fill={f.color || FALLBACK_FOCUS_COLOR}
+              />
+            ))}
+            <Line
+              yAxisId="performance"
+              type="monotone"
+              dataKey="performance"
+              name={stat.label}
+              stroke="#e2e8f0"
+              strokeWidth={2}
+              dot={{ r: 3, fill: '#e2e8f0' }}
+              connectNulls
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+// Export Button (Pro only)
+function ExportButton({ sessions, athlete, sport, customDrills, isPro, onRestoreBackup }) {
+  const { user } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!isPro || !sessions || sessions.length === 0) return null;
+
+  const exportCSV = () => {
+    const headers = ['Date', 'Duration (min)', 'Focus Areas', 'Note', 'Reflection'];
+    const rows = sessions.map(s => [
+      s.date,
+      s.duration,
+      (s.focus || []).join('; '),
+      (s.note || '').replace(/"/g, '""'),
+      (s.reflection || '').replace(/"/g, '""')
+    ]);
+    
+    const csv = [headers.join(','), ...rows.map(row => row.map(cell => `"${cell}"`).join(','))].join('\n');
+    downloadFile(csv, `${athlete.name}-practices.csv`, 'text/csv');
+    setIsOpen(false);
+  };
+
+  const exportJSON = async () => {
+    setIsOpen(false);
+    try {
+      const backup = await buildAccountBackup(user.id);
+      const stamp = new Date().toISOString().split('T')[0];
+      downloadFile(JSON.stringify(backup, null, 2), `practice-tracker-backup-${stamp}.json`, 'application/json');
+    } catch (err) {
+      console.error('Error exporting backup:', err);
+      alert(`Backup failed: ${err.message}`);
+    }
+  };
+
+  const exportPDF = async () => {
+    // Open the window before any awaits so popup blockers still treat it as user-initiated
+    const printWindow = window.open('', '_blank');
+    setIsOpen(false);
+
+    let goalHistory = [];
+    try {
+      goalHistory = await fetchGoalHistory(athlete.id);
+    } catch (err) {
+      console.error('Error loading goals for report:', err);
+    }
+
+    // Calculate stats
+    const totalMinutes = sessions.reduce((sum, s) => sum + s.duration, 0);
+    const streaks = computeStreaks(sessions, streakSettings(athlete));
+    const focusCounts = {};
+    sessions.forEach(s => {
+      (s.focus || []).forEach(f => {
+        focusCounts[f] = (focusCounts[f] || 0) + 1;
+      });
+    });
+    
+    // Calculate weekly data for chart (last 4 weeks)
+    const now = new Date();
+    const weeklyData = [];
+    for (let i = 3; i >= 0; i--) {
+      const weekStart = new Date(now);
+      weekStart.setDate(now.getDate() - now.getDay() - (i * 7));
+      weekStart.setHours(0, 0, 0, 0);
+      const weekEnd = new Date(weekStart);
+      weekEnd.setDate(weekStart.getDate() + 6);
+      
       let minutes = 0;
       sessions.forEach(s => {
         const [year, month, day] = s.date.split('-').map(Number);
@@ -748,13 +1769,11 @@ function ExportButton({ sessions, athlete, isPro }) {
     const maxWeeklyMinutes = Math.max(...weeklyData.map(w => w.minutes), 1);
     
     // Focus distribution for pie chart
-    const focusColors = {
-      hitting: '#d4a418',
-      pitching: '#60a5fa',
-      fielding: '#34d399',
-      conditioning: '#f472b6'
-    };
     const totalFocusSessions = Object.values(focusCounts).reduce((a, b) => a + b, 0);
+
+    const finishedGoals = goalHistory.filter(g => !g.isActive);
+    const formatReportDate = (dateStr) =>
+      new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
     
     // Build HTML content for PDF
     const html = `
@@ -762,7 +1781,7 @@ function ExportButton({ sessions, athlete, isPro }) {
       <html>
       <head>
         <meta charset="utf-8">
-        <title>${athlete.name}'s Practice Report</title>
+        <title>${escapeHtml(athlete.name)}'s Practice Report</title>
         <style>
           * { margin: 0; padding: 0; box-sizing: border-box; }
           body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 40px; color: #1e293b; }
@@ -806,7 +1825,7 @@ function ExportButton({ sessions, athlete, isPro }) {
       </head>
       <body>
         <div class="header">
-          <h1>${athlete.name}'s Practice Report</h1>
+          <h1>${escapeHtml(athlete.name)}'s Practice Report</h1>
           <p>Generated on ${new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
         </div>
         
@@ -823,6 +1842,14 @@ function ExportButton({ sessions, athlete, isPro }) {
             <div class="stat-value">${sessions.length > 0 ? Math.round(totalMinutes / sessions.length) : 0}</div>
             <div class="stat-label">Avg Duration</div>
           </div>
+          <div class="stat">
+            <div class="stat-value">${streaks.currentDays}</div>
+            <div class="stat-label">Day Streak (best ${streaks.longestDays})</div>
+          </div>
+          <div class="stat">
+            <div class="stat-value">${streaks.currentWeeks}</div>
+            <div class="stat-label">Weeks at ${streaks.weeklyTarget}+ (best ${streaks.longestWeeks})</div>
+          </div>
         </div>
         
         <div class="charts-row">
@@ -844,9 +1871,9 @@ function ExportButton({ sessions, athlete, isPro }) {
             <div class="focus-bars">
               ${Object.entries(focusCounts).map(([focus, count]) => `
                 <div class="focus-bar-row">
-                  <div class="focus-bar-label">${focus}</div>
+                  <div class="focus-bar-label">${escapeHtml(getFocusOption(sport, focus).label)}</div>
                   <div class="focus-bar-track">
-                    <div class="focus-bar-fill" style="width: ${(count / totalFocusSessions) * 100}%; background-color: ${focusColors[focus] || '#94a3b8'} !important;"></div>
+                    <div class="focus-bar-fill" style="width: ${(count / totalFocusSessions) * 100}%; background-color: ${escapeHtml(getFocusOption(sport, focus).color)} !important;"></div>
                   </div>
                   <div class="focus-bar-value">${Math.round((count / totalFocusSessions) * 100)}%</div>
                 </div>
@@ -855,6 +1882,38 @@ function ExportButton({ sessions, athlete, isPro }) {
           </div>
         </div>
         
+        ${goalHistory.length > 0 ? `
+        <div class="section">
+          <h2>Goals (${finishedGoals.filter(g => g.status === 'completed').length} completed)</h2>
+          <table>
+            <thead>
+              <tr>
+                <th>Goal</th>
+                <th>Skill</th>
+                <th>Outcome</th>
+                <th>Reflection</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${goalHistory.map(g => {
+                const target = describeGoalTarget(g, {
+                  focusLabel: getFocusOption(sport, g.skill).label,
+                  drillName: findDrill(g.linkedDrillId, customDrills)?.name
+                });
+                return `
+                <tr>
+                  <td>${escapeHtml(g.text)}${target && target !== g.text ? `<br><span style="font-size: 11px; color: #64748b;">${escapeHtml(target)}</span>` : ''}</td>
+                  <td>${escapeHtml(getFocusOption(sport, g.skill).label)}</td>
+                  <td>${g.isActive ? 'In progress' : getGoalOutcome(g.status).label}${g.closedAt ? ` ${formatReportDate(g.closedAt)}` : ''}</td>
+                  <td>${g.closingReflection ? escapeHtml(g.closingReflection) : '—'}</td>
+                </tr>
+              `;
+              }).join('')}
+            </tbody>
+          </table>
+        </div>
+        ` : ''}
+
         <div class="section">
           <h2>Practice Log</h2>
           <table>
@@ -871,8 +1930,8 @@ function ExportButton({ sessions, athlete, isPro }) {
                 <tr>
                   <td>${new Date(s.date + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</td>
                   <td>${s.duration} min</td>
-                  <td>${(s.focus || []).join(', ')}</td>
-                  <td>${s.note || '—'}</td>
+                  <td>${escapeHtml((s.focus || []).map(f => getFocusOption(sport, f).label).join(', '))}</td>
+                  <td>${s.note ? escapeHtml(s.note) : '—'}</td>
                 </tr>
               `).join('')}
             </tbody>
@@ -888,13 +1947,11 @@ function ExportButton({ sessions, athlete, isPro }) {
     `;
     
     // Open print dialog (user can save as PDF)
-    const printWindow = window.open('', '_blank');
     printWindow.document.write(html);
     printWindow.document.close();
     printWindow.onload = () => {
       printWindow.print();
     };
-    setIsOpen(false);
   };
 
   const downloadFile = (content, filename, mimeType) => {
@@ -931,6 +1988,21 @@ function ExportButton({ sessions, athlete, isPro }) {
               <Table className="w-4 h-4 text-slate-500" />
               <span className="text-slate-300">CSV Spreadsheet</span>
             </button>
+            <button onClick={exportJSON} className="w-full px-3 py-2 text-left text-sm hover:bg-slate-700 flex items-center gap-2">
+              <FileJson className="w-4 h-4 text-slate-500" />
+              <span className="text-slate-300">JSON Backup</span>
+            </button>
+            <div className="border-t border-slate-700 my-1" />
+            <button
+              onClick={() => {
+                setIsOpen(false);
+                onRestoreBackup();
+              }}
+              className="w-full px-3 py-2 text-left text-sm hover:bg-slate-700 flex items-center gap-2"
+            >
+              <Upload className="w-4 h-4 text-slate-500" />
+              <span className="text-slate-300">Restore Backup</span>
+            </button>
           </div>
         </>
       )}
@@ -939,7 +2011,7 @@ function ExportButton({ sessions, athlete, isPro }) {
 }
 
 // Pro Charts Card (wraps all charts)
-function ProChartsCard({ sessions, focusOptions, athlete, isPro }) {
+function ProChartsCard({ sessions, games, sport, athlete, customDrills, isPro, onRestoreBackup }) {
   if (!isPro) return null;
   
   if (sessions.length === 0) {
@@ -965,7 +2037,7 @@ function ProChartsCard({ sessions, focusOptions, athlete, isPro }) {
           <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Practice Trends</p>
           <span className="pro-badge">Pro</span>
         </div>
-        <ExportButton sessions={sessions} athlete={athlete} isPro={isPro} />
+        <ExportButton sessions={sessions} athlete={athlete} sport={sport} customDrills={customDrills} isPro={isPro} onRestoreBackup={onRestoreBackup} />
       </div>
       
       <div>
@@ -975,13 +2047,20 @@ function ProChartsCard({ sessions, focusOptions, athlete, isPro }) {
       
       <div className="border-t border-slate-700 pt-5">
         <p className="text-sm font-medium text-slate-300 mb-2">Focus Distribution</p>
-        <FocusDistributionChart sessions={sessions} focusOptions={focusOptions} />
+        <FocusDistributionChart sessions={sessions} focusOptions={sport.focusOptions} />
       </div>
       
       <div className="border-t border-slate-700 pt-5">
         <p className="text-sm font-medium text-slate-300 mb-2">30-Day Activity</p>
         <ActivityLineChart sessions={sessions} />
       </div>
+
+      {games.length > 0 && (
+        <div className="border-t border-slate-700 pt-5">
+          <p className="text-sm font-medium text-slate-300 mb-2">Practice vs. Games</p>
+          <PracticeVsGamesChart sessions={sessions} games={games} sport={sport} />
+        </div>
+      )}
     </div>
   );
 }
@@ -1003,6 +2082,14 @@ DATA MODELS (Supabase):
    - id: uuid
    - profile_id: uuid (FK to profiles, RLS enforced)
    - name: text (first name only for privacy)
+   - sport: text (SPORT_PACKS id or custom_sports.id, default 'softball')
+   - rest_days: int[] (nullable, weekdays 0=Sun..6=Sat that don't break a streak)
+   - weekly_practice_target: integer (nullable, practices/week for weekly streaks, default 3)
+   - birth_year: integer (nullable)
+   - positions: text[] (nullable; SPORT_POSITIONS ids, or free text for other sports)
+   - team_name: text (nullable; the club/school team, separate from coach teams)
+   - jersey_number: text (nullable; text so "00" survives)
+   - archived_at: timestamp (nullable; archived athletes are hidden but keep their history)
    - created_at: timestamp
 
 3. sessions
@@ -1010,29 +2097,176 @@ DATA MODELS (Supabase):
    - athlete_id: uuid (FK to athletes, RLS via profile_id)
    - date: date
    - duration_minutes: integer
-   - focus: text[] (array of: hitting, pitching, fielding, conditioning)
+   - focus: text[] (focus area ids from the athlete's sport)
    - note: text (nullable, max 200 chars)
    - reflection: text (nullable, "What felt better today?")
+   - logged_by: uuid (nullable, FK to profiles; who logged it on a shared athlete)
+   - rpe: integer (nullable, effort 1-10; minutes x rpe is the training load)
+   - enjoyment: integer (nullable, 1-5)
+   - soreness: text[] (nullable, SORENESS_LOCATIONS ids where it hurt)
    - created_at: timestamp
 
 4. session_drills (PRO only)
    - id: uuid
    - session_id: uuid (FK to sessions)
-   - drill_id: text (references DRILL_CATALOG)
+   - drill_id: text (drill id from a SPORT_PACKS catalog, or custom_drills.id)
+   - minutes: integer (nullable; time on the drill, recorded by the practice timer)
+   - metrics: jsonb (nullable; { [metric id]: number }, e.g. { pitches: 40, strikes: 28 })
    - created_at: timestamp
 
-5. goals (one active per skill category)
+5. goals (one active per skill category; finished goals are kept as history)
    - id: uuid
    - athlete_id: uuid (FK to athletes, RLS via profile_id)
-   - skill: text (hitting, pitching, fielding, conditioning)
+   - skill: text (focus area id from the athlete's sport)
    - text: text (plain text goal description)
    - is_active: boolean
-   - linked_drill_id: text (nullable, PRO only)
+   - status: text (active, completed, abandoned; null on goals ended before
+     statuses existed)
+   - closed_at: date (nullable, when the goal was completed or abandoned)
+   - closing_reflection: text (nullable, "How did it go?")
+   - linked_drill_id: text (nullable, PRO only; drives 'drill_uses' targets)
+   - target_type: text (nullable: practices, minutes, drill_uses)
+   - target_value: integer (nullable)
+   - target_period: text (week, month, total; default 'week')
+   - deadline: date (nullable)
+   - created_at: timestamp
+
+6. custom_drills (PRO only, per account)
+   - id: uuid
+   - profile_id: uuid (FK to profiles, RLS enforced)
+   - name: text
+   - sport: text (sport the drill belongs to, default 'softball')
+   - focus: text (focus area id from that sport)
+   - difficulty: text (beginner, intermediate, advanced)
+   - description: text (nullable)
+   - video_url: text (nullable)
+   - metrics: jsonb (default []; [{ id, label }] count fields captured per practice)
+   - archived_at: timestamp (nullable; archived drills are hidden from pickers
+     but keep resolving for past session_drills, so rows are never deleted)
+   - created_at: timestamp
+
+7. custom_sports (per account)
+   - id: uuid
+   - profile_id: uuid (FK to profiles, RLS enforced)
+   - name: text
+   - emoji: text
+   - focus_options: jsonb (array of { id, label, emoji, color })
+   - created_at: timestamp
+
+8. athlete_members (family sharing)
+   - id: uuid
+   - athlete_id: uuid (FK to athletes)
+   - invited_email: text (lowercased; the invitee sees the invite when signed in
+     with this email)
+   - role: text (owner, editor)
+   - invited_by: uuid (FK to profiles)
+   - invited_by_email: text (shown to the invitee and in "logged by")
+   - profile_id: uuid (nullable until the invite is accepted)
+   - accepted_at: timestamp (nullable)
+   - created_at: timestamp
+
+9. teams (coach view)
+   - id: uuid
+   - coach_profile_id: uuid (FK to profiles)
+   - name: text
+   - join_code: text (unique, shared with parents to opt an athlete in)
    - created_at: timestamp
 
+10. team_members (an athlete opted into a team by one of their parents)
+   - id: uuid
+   - team_id: uuid (FK to teams)
+   - athlete_id: uuid (FK to athletes)
+   - added_by: uuid (FK to profiles)
+   - share_goals: boolean (default true)
+   - share_notes: boolean (default false)
+   - share_reflections: boolean (default false)
+   - created_at: timestamp
+
+   Joining goes through rpc join_team(p_join_code, p_athlete_id, p_share_goals,
+   p_share_notes, p_share_reflections), which checks the code and that the
+   caller can edit the athlete, so join codes are never readable by parents.
+
+   Coaches read team data only through two views scoped to
+   teams.coach_profile_id = auth.uid():
+   - team_sessions: team_id, athlete_id, id, date, duration_minutes, focus,
+     note / reflection (null unless the team_members share flag is on)
+   - team_goals: team_id, athlete_id, skill, text, status, is_active,
+     closed_at (only rows for athletes with share_goals on)
+
+11. assignments (practice plans assigned by a coach or parent)
+   - id: uuid
+   - plan_id: uuid (shared by the rows created together for several athletes)
+   - athlete_id: uuid (FK to athletes)
+   - team_id: uuid (nullable, FK to teams when a coach assigned it)
+   - assigned_by: uuid (FK to profiles)
+   - assigned_by_email: text
+   - title: text
+   - drills: jsonb (array of { drill_id, minutes })
+   - due_date: date (nullable)
+   - note: text (nullable)
+   - fulfilled_session_id: uuid (nullable, FK to sessions)
+   - fulfilled_at: timestamp (nullable)
+   - created_at: timestamp
+
+   Readable by the athlete's owners/editors and by assigned_by. Parents can
+   assign to their own athletes; a coach can assign to athletes on their team.
+   Only the athlete's owners/editors can mark an assignment fulfilled.
+
+12. practice_templates (saved routines for one-tap logging)
+   - id: uuid
+   - athlete_id: uuid (FK to athletes; shared with the athlete's members)
+   - name: text
+   - duration_minutes: integer
+   - focus: text[]
+   - drill_ids: text[] (drills are only logged for Pro accounts)
+   - note: text (nullable, default practice note)
+   - use_count: integer (default 0; most-used templates get home-screen buttons)
+   - last_used_at: timestamp (nullable)
+   - created_at: timestamp
+
+13. games (game results next to practice)
+   - id: uuid
+   - athlete_id: uuid (FK to athletes; shared with the athlete's members)
+   - logged_by: uuid (FK to profiles)
+   - date: date
+   - opponent: text
+   - stats: jsonb ({ [stat line id]: { [stat id]: number } }, lines from GAME_STAT_LINES)
+   - note: text (nullable)
+   - created_at: timestamp
+
+REALTIME (Supabase):
+- sessions, goals and session_drills are in the supabase_realtime publication.
+  Deletes can't be filtered server-side, and with RLS on their old record
+  holds only the primary key (whatever the REPLICA IDENTITY). So sessions and
+  goals deletes come through a separate unfiltered listener, and clients drop
+  deleted rows by id; ids they haven't loaded are ignored.
+- Clients subscribe per athlete (subscribeToAthlete); Realtime applies the
+  same RLS policies as REST, so members only receive rows they can read.
+
 ROW LEVEL SECURITY (Supabase):
-- All tables enforce: auth.uid() = profile_id (directly or via join)
-- No public access, no cross-user visibility
+- Account tables (profiles, custom_drills, custom_sports) enforce:
+  auth.uid() = profile_id
+  except that custom_drills and custom_sports are also readable by accepted
+  athlete_members of any athlete with the same profile_id (co-parents see the
+  owner's drills and sports), and custom_sports by the coach of any team one
+  of those athletes has joined (for the team dashboard's focus labels)
+- athletes and their rows (sessions, session_drills, goals) are visible to the
+  athlete's profile_id and to accepted athlete_members; owners and editors can
+  write practices and goals, only owners can update or delete the athlete
+- athlete_members rows are visible to the athlete's owners and to the invitee
+  (invited_email = auth.email()); only owners can insert them or change role,
+  athlete_id or invited_email. An invitee can decline (delete) their own invite
+  or accept it: an update that may only set profile_id = auth.uid() and
+  accepted_at. RLS can't compare against the old row, so a BEFORE UPDATE
+  trigger rejects invitee updates touching any other column.
+- No public access otherwise
+
+LOCAL BACKEND (VITE_BACKEND=local or memory):
+- Replaces Supabase behind db, realtime and AuthProvider (see `backend`), with
+  the tables above kept in localStorage (local) or memory only (memory)
+- Emulates the RLS rules above, defaults, unique constraints, cascades, the
+  drill_frequency and team views and join_team; email links go to the console
+- An empty store is seeded with a demo account unless VITE_LOCAL_SEED=none
 
 FEATURE GATING:
 - Check profiles.is_pro before rendering Pro features
@@ -1042,356 +2276,4579 @@ FEATURE GATING:
 ================================================================================
 */
 
-// Simplified drill catalog (PRO feature) - softball focused for MVP
-const DRILL_CATALOG = {
-  hitting: [
-    { id: 'tee-work', name: 'Tee Work', difficulty: 'beginner' },
-    { id: 'soft-toss', name: 'Soft Toss', difficulty: 'beginner' },
-    { id: 'front-toss', name: 'Front Toss', difficulty: 'intermediate' },
-    { id: 'live-bp', name: 'Live BP', difficulty: 'intermediate' },
-    { id: 'machine-bp', name: 'Machine BP', difficulty: 'intermediate' },
-    { id: 'bunting', name: 'Bunting', difficulty: 'beginner' },
-  ],
-  pitching: [
-    { id: 'warmup-throws', name: 'Warmup Throws', difficulty: 'beginner' },
-    { id: 'fastball-spots', name: 'Fastball Spots', difficulty: 'intermediate' },
-    { id: 'changeup-work', name: 'Changeup Work', difficulty: 'intermediate' },
-    { id: 'rise-ball', name: 'Rise Ball', difficulty: 'advanced' },
-    { id: 'drop-ball', name: 'Drop Ball', difficulty: 'advanced' },
-    { id: 'full-bullpen', name: 'Full Bullpen', difficulty: 'intermediate' },
-  ],
-  fielding: [
-    { id: 'ground-balls', name: 'Ground Balls', difficulty: 'beginner' },
-    { id: 'fly-balls', name: 'Fly Balls', difficulty: 'beginner' },
-    { id: 'throwing', name: 'Throwing Accuracy', difficulty: 'beginner' },
-    { id: 'double-plays', name: 'Double Plays', difficulty: 'intermediate' },
-    { id: 'backhand', name: 'Backhand Plays', difficulty: 'intermediate' },
-    { id: 'first-base', name: 'First Base Footwork', difficulty: 'intermediate' },
-  ],
-  conditioning: [
-    { id: 'warmup', name: 'Dynamic Warmup', difficulty: 'beginner' },
-    { id: 'sprints', name: 'Sprint Work', difficulty: 'beginner' },
-    { id: 'agility', name: 'Agility Drills', difficulty: 'intermediate' },
-    { id: 'base-running', name: 'Base Running', difficulty: 'beginner' },
-    { id: 'cooldown', name: 'Cooldown Stretch', difficulty: 'beginner' },
-  ],
-};
-
-const FOCUS_OPTIONS = [
-  { id: 'hitting', label: 'Hitting', emoji: '🏏' },
-  { id: 'pitching', label: 'Pitching', emoji: '🥎' },
-  { id: 'fielding', label: 'Fielding', emoji: '🧤' },
-  { id: 'conditioning', label: 'Conditioning', emoji: '🏃‍♀️' },
-];
+const MAX_DRILL_METRICS = 4;
 
 const DURATION_PRESETS = [15, 30, 45, 60, 90];
 
+const DRILL_DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
 // ----------------------------------------------------------------------------
-// MAIN APP COMPONENT
+// SPORTS
 // ----------------------------------------------------------------------------
-function PracticeTrackerApp() {
-  const { user, profile, signOut, refreshProfile } = useAuth();
-  
-  // Data state
-  const [athlete, setAthlete] = useState(null);
-  const [athletes, setAthletes] = useState([]); // Pro: all athletes
-  const [sessions, setSessions] = useState([]);
-  const [goals, setGoals] = useState({});
-  const [drillFrequency, setDrillFrequency] = useState([]);
-  
-  // UI state
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [showQuickLog, setShowQuickLog] = useState(false);
-  const [showGoalEdit, setShowGoalEdit] = useState(null);
-  const [showProUpsell, setShowProUpsell] = useState(false);
-  const [showAddAthlete, setShowAddAthlete] = useState(false);
-  const [saving, setSaving] = useState(false);
-  
-  // Derived state
-  const isPro = profile?.is_pro && (!profile?.pro_expires_at || new Date(profile.pro_expires_at) > new Date());
-  console.log('isPro check:', { is_pro: profile?.is_pro, expires: profile?.pro_expires_at, isPro });
+// Colors offered for the focus areas of user-defined sports
+const FOCUS_COLOR_PALETTE = ['#d4a418', '#60a5fa', '#34d399', '#f472b6', '#a78bfa', '#fb923c', '#2dd4bf', '#f87171'];
 
-  // ----------------------------------------------------------------------------
-  // DATA FETCHING
-  // ----------------------------------------------------------------------------
-  useEffect(() => {
-    if (user) {
-      loadData();
-    }
-  }, [user]);
+const HISTORY_PAGE_SIZE = 25;
+const FULL_HISTORY_PAGE_SIZE = 1000;
 
-  const loadData = async () => {
-    setLoading(true);
-    setError(null);
+// Every session for an athlete, paging past PostgREST's max-rows cap.
+// Used wherever charts and exports need the full range, not just a page.
+const fetchAllSessions = async (athleteId) => {
+  const rows = [];
 
-    try {
-      // Fetch athletes (Pro gets all, Free gets 1)
-      const { data: athleteData, error: athleteError } = await db.select('athletes', {
-        is: { archived_at: 'null' },
-        limit: isPro ? 10 : 1
-      });
+  for (let offset = 0; ; offset += FULL_HISTORY_PAGE_SIZE) {
+    const { data, error } = await orderSessions(db.from('sessions').select().eq('athlete_id', athleteId))
+      .range(offset, offset + FULL_HISTORY_PAGE_SIZE - 1);
 
-      if (athleteError) throw athleteError;
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < FULL_HISTORY_PAGE_SIZE) return rows;
+  }
+};
 
-      if (!athleteData || athleteData.length === 0) {
-        setShowAddAthlete(true);
-        setLoading(false);
-        return;
-      }
+// Every session_drills row for an athlete's sessions as a drill use,
+// including drill rows still waiting in the offline queue
+const fetchDrillUses = async (athleteId) => {
+  const rows = [];
 
-      setAthletes(athleteData);
-      
-      // Check localStorage for previously selected athlete
-      const savedAthleteId = localStorage.getItem('selectedAthleteId');
-      const savedAthlete = savedAthleteId 
-        ? athleteData.find(a => a.id === savedAthleteId) 
-        : null;
-      
-      // Use saved athlete if found, otherwise first athlete
-      const currentAthlete = savedAthlete || athleteData[0];
-      setAthlete(currentAthlete);
-      
-      // Save selection to localStorage
-      localStorage.setItem('selectedAthleteId', currentAthlete.id);
+  for (let offset = 0; ; offset += FULL_HISTORY_PAGE_SIZE) {
+    const { data, error } = await db.from('session_drills').select('id,session_id,drill_id,sessions!inner(athlete_id)')
+      .eq('sessions.athlete_id', athleteId)
+      .order('created_at')
+      .range(offset, offset + FULL_HISTORY_PAGE_SIZE - 1);
 
-      // Load data for this athlete
-      await loadAthleteData(currentAthlete.id);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < FULL_HISTORY_PAGE_SIZE) break;
+  }
 
-    } catch (err) {
-      console.error('Error loading data:', err);
-      setError(err.message);
-      setLoading(false);
-    }
-  };
+  // Queued rows can't be matched to an athlete here; callers only count
+  // uses whose session belongs to the athlete's loaded sessions
+  const allRows = await writeQueue.overlay('session_drills', rows);
+  return allRows.map(toDrillUse);
+};
 
-  const loadAthleteData = async (athleteId) => {
-    try {
-      // Fetch sessions (most recent first)
-      const { data: sessionData, error: sessionError } = await db.select('sessions', {
-        eq: { athlete_id: athleteId },
-        order: { column: 'date', ascending: false },
-        limit: 50 // More for Pro charts
-      });
+// One page of an athlete's sessions matching the History view filters.
+// nextOffset counts server rows only, so practices still in the offline
+// queue (shown on the first page) don't shift later pages.
+const fetchSessionPage = async (athleteId, filters, offset) => {
+  const search = sanitizeSearchTerm(filters.search || '');
+
+  // Inner-join session_drills so the drill filter narrows the sessions themselves
+  let query = db.from('sessions')
+    .select(filters.drillId ? '*,session_drills!inner(drill_id)' : '*', { count: 'exact' })
+    .eq('athlete_id', athleteId);
+
+  if (filters.drillId) query = query.eq('session_drills.drill_id', filters.drillId);
+  if (filters.from) query = query.gte('date', filters.from);
+  if (filters.to) query = query.lte('date', filters.to);
+  if (filters.focus) query = query.contains('focus', [filters.focus]);
+  if (search) query = query.or(`(note.ilike.*${search}*,reflection.ilike.*${search}*)`);
+
+  const { data, error, count } = await orderSessions(query).range(offset, offset + HISTORY_PAGE_SIZE - 1);
+
+  if (error) throw error;
+
+  // Queued edits and deletes apply to every page; practices logged offline go on the first
+  const serverIds = new Set(data.map(row => row.id));
+  const rows = await writeQueue.overlay('sessions', data, { athlete_id: athleteId });
+  const queuedDrillRows = filters.drillId
+    ? await writeQueue.overlay('session_drills', [], { drill_id: filters.drillId })
+    : [];
+  const queued = offset > 0 ? [] : rows.filter(row =>
+    !serverIds.has(row.id) && matchesHistoryFilters(row, filters, search, queuedDrillRows));
+
+  return {
+    sessions: sortSessions([...rows.filter(row => serverIds.has(row.id)), ...queued].map(toSession)),
+    total: count,
+    nextOffset: offset + data.length
+  };
+};
 
-      if (sessionError) throw sessionError;
-      
-      setSessions((sessionData || []).map(s => ({
-        id: s.id,
-        date: s.date,
-        duration: s.duration_minutes,
-        focus: s.focus,
-        note: s.note || '',
-        reflection: s.reflection || ''
-      })));
+// ----------------------------------------------------------------------------
+// CUSTOM DRILLS
+// ----------------------------------------------------------------------------
+const EMPTY_CUSTOM_DRILL = { name: '', focus: '', difficulty: 'beginner', description: '', video_url: '', metrics: [] };
+
+function CustomDrillsModal({ customDrills, sport, initialFocus, saving, error, onClose, onSave, onSetArchived }) {
+  const [form, setForm] = useState(null); // drill being added/edited, or null for the list
+  const [showArchived, setShowArchived] = useState(false);
+
+  // Only the current athlete's sport; drills for other sports show when switching athletes
+  const sportDrills = customDrills.filter(d => (d.sport || DEFAULT_SPORT_ID) === sport.id);
+  const activeDrills = sportDrills.filter(d => !d.archived_at);
+  const archivedDrills = sportDrills.filter(d => d.archived_at);
+  const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+  const setMetricLabel = (index, label) => setForm(prev => ({
+    ...prev,
+    metrics: prev.metrics.map((m, i) => i === index ? { ...m, label } : m)
+  }));
+  const canSave = form && form.name.trim() && form.focus && isValidVideoUrl(form.video_url);
+
+  const handleSave = async () => {
+    const saved = await onSave(form);
+    if (saved) setForm(null);
+  };
 
-      // Fetch active goals
-      const { data: goalData, error: goalError } = await db.select('goals', {
-        eq: { athlete_id: athleteId, is_active: true }
-      });
+  const inputClass = 'w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100 placeholder:text-slate-500';
 
-      if (goalError) throw goalError;
+  const renderDrill = (drill) => {
+    const focus = getFocusOption(sport, drill.focus);
+    return (
+      <div key={drill.id} className="p-3 flex items-start gap-3">
+        <span className="text-lg">{focus?.emoji}</span>
+        <div className="flex-1 min-w-0">
+          <p className={`text-sm font-medium ${drill.archived_at ? 'text-slate-500' : 'text-slate-200'}`}>{drill.name}</p>
+          <p className="text-xs text-slate-500 capitalize">{focus?.label} · {drill.difficulty}</p>
+          {drill.description && <p className="text-xs text-slate-400 mt-1">{drill.description}</p>}
+          {drill.video_url && (
+            <a href={drill.video_url} target="_blank" rel="noopener noreferrer" className="text-xs text-amber-400 inline-flex items-center gap-1 mt-1">
+              <Link className="w-3 h-3" />
+              Video
+            </a>
+          )}
+        </div>
+        {drill.archived_at ? (
+          <button
+            onClick={() => onSetArchived(drill, false)}
+            disabled={saving}
+            className="p-1.5 rounded-lg text-slate-500 hover:text-amber-400 hover:bg-slate-700"
+            title="Restore drill"
+          >
+            <RotateCcw className="w-4 h-4" />
+          </button>
+        ) : (
+          <>
+            <button
+              onClick={() => setForm({ ...EMPTY_CUSTOM_DRILL, ...drill, description: drill.description || '', video_url: drill.video_url || '', metrics: drill.metrics || [] })}
+              className="p-1.5 rounded-lg text-slate-500 hover:text-amber-400 hover:bg-slate-700"
+              title="Edit drill"
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => onSetArchived(drill, true)}
+              disabled={saving}
+              className="p-1.5 rounded-lg text-slate-500 hover:text-red-400 hover:bg-slate-700"
+              title="Archive drill"
+            >
+              <Archive className="w-4 h-4" />
+            </button>
+          </>
+        )}
+      </div>
+    );
+  };
 
-      const goalsMap = {};
-      FOCUS_OPTIONS.forEach(opt => { goalsMap[opt.id] = null; });
-      (goalData || []).forEach(g => {
-        goalsMap[g.skill] = { id: g.id, text: g.text, isActive: true };
-      });
-      setGoals(goalsMap);
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
+        <div className="sticky top-0 bg-slate-800 px-5 py-4 border-b border-slate-700 flex items-center justify-between z-10">
+          <h2 className="text-lg font-semibold text-slate-100">{form ? (form.id ? 'Edit Drill' : 'New Drill') : 'My Drills'}</h2>
+          <button onClick={form ? () => setForm(null) : onClose} className="p-2 -mr-2 hover:bg-slate-700 rounded-full">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        {form ? (
+          <>
+            <div className="p-5 space-y-5">
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setField('name', e.target.value.slice(0, 60))}
+                  placeholder="e.g., Rapid Fire Short Hops"
+                  className={inputClass}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Focus Area</label>
+                <div className="flex flex-wrap gap-2">
+                  {sport.focusOptions.map(opt => (
+                    <button
+                      key={opt.id}
+                      onClick={() => setField('focus', opt.id)}
+                      className={`focus-chip ${form.focus === opt.id ? 'selected' : ''}`}
+                    >
+                      {opt.emoji} {opt.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Difficulty</label>
+                <div className="flex flex-wrap gap-2">
+                  {DRILL_DIFFICULTIES.map(level => (
+                    <button
+                      key={level}
+                      onClick={() => setField('difficulty', level)}
+                      className={`duration-chip capitalize ${form.difficulty === level ? 'selected' : ''}`}
+                    >
+                      {level}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Description <span className="text-slate-500 font-normal">(optional)</span>
+                </label>
+                <textarea
+                  value={form.description}
+                  onChange={(e) => setField('description', e.target.value.slice(0, 300))}
+                  placeholder="How the drill works, reps, cues..."
+                  rows={3}
+                  className={`${inputClass} resize-none`}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Video link <span className="text-slate-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  type="url"
+                  value={form.video_url}
+                  onChange={(e) => setField('video_url', e.target.value)}
+                  placeholder="https://..."
+                  className={inputClass}
+                />
+                {!isValidVideoUrl(form.video_url) && (
+                  <p className="text-xs text-red-400 mt-1">Enter a full link starting with http:// or https://</p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">
+                  Counts to track <span className="text-slate-500 font-normal">(optional)</span>
+                </label>
+                <p className="text-xs text-slate-500 mb-2">Numbers to fill in each practice, e.g. "Reps" and "Made".</p>
+                <div className="space-y-2">
+                  {form.metrics.map((metric, index) => (
+                    <div key={metric.id || `new-${index}`} className="flex gap-2">
+                      <input
+                        type="text"
+                        value={metric.label}
+                        onChange={(e) => setMetricLabel(index, e.target.value.slice(0, 30))}
+                        placeholder="e.g., Reps"
+                        className={inputClass}
+                      />
+                      <button
+                        onClick={() => setField('metrics', form.metrics.filter((_, i) => i !== index))}
+                        className="p-2 rounded-lg text-slate-500 hover:text-red-400 hover:bg-slate-700"
+                        title="Remove count"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                  {form.metrics.length < MAX_DRILL_METRICS && (
+                    <button
+                      onClick={() => setField('metrics', [...form.metrics, { label: '' }])}
+                      className="text-xs text-amber-400 font-medium flex items-center gap-1"
+                    >
+                      <Plus className="w-3.5 h-3.5" />
+                      Add a count
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {error && (
+                <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+                  <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                  {error}
+                </div>
+              )}
+            </div>
+
+            <div className="sticky bottom-0 bg-slate-800 px-5 py-4 border-t border-slate-700 flex gap-3">
+              <button
+                onClick={() => setForm(null)}
+                disabled={saving}
+                className="flex-1 py-3 rounded-xl border border-slate-600 font-medium text-slate-300 hover:bg-slate-700 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={!canSave || saving}
+                className="flex-1 btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                {saving ? 'Saving...' : 'Save Drill'}
+              </button>
+            </div>
+          </>
+        ) : (
+          <div className="p-5 space-y-4">
+            <p className="text-sm text-slate-400">
+              Add your coach's {sport.name.toLowerCase()} drills to track them alongside the built-in ones. Archived drills stay on past practices.
+            </p>
+
+            {activeDrills.length > 0 ? (
+              <div className="rounded-xl border border-slate-700 divide-y divide-slate-700/50">
+                {activeDrills.map(renderDrill)}
+              </div>
+            ) : (
+              <p className="text-slate-500 text-sm italic text-center py-4">No custom drills yet</p>
+            )}
+
+            <button
+              onClick={() => setForm({
+                ...EMPTY_CUSTOM_DRILL,
+                sport: sport.id,
+                focus: initialFocus || sport.focusOptions[0]?.id || ''
+              })}
+              className="w-full py-3 rounded-xl border border-dashed border-slate-600 text-amber-400 font-medium hover:bg-slate-700 flex items-center justify-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              Add Drill
+            </button>
+
+            {archivedDrills.length > 0 && (
+              <div>
+                <button
+                  onClick={() => setShowArchived(!showArchived)}
+                  className="text-xs text-slate-400 font-medium flex items-center gap-1"
+                >
+                  <ChevronDown className={`w-3.5 h-3.5 transition ${showArchived ? 'rotate-180' : ''}`} />
+                  Archived ({archivedDrills.length})
+                </button>
+                {showArchived && (
+                  <div className="rounded-xl border border-slate-700 divide-y divide-slate-700/50 mt-2">
+                    {archivedDrills.map(renderDrill)}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {error && (
+              <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+                <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                {error}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// FAMILY SHARING
+// ----------------------------------------------------------------------------
+// An athlete belongs to one account (athletes.profile_id) and can be shared
+// with other accounts through athlete_members. Invites are matched by email,
+// so the invitee sees them after signing in or signing up with that address.
+const ATHLETE_ROLES = [
+  { id: 'editor', label: 'Editor', description: 'Can log and edit practices and goals' },
+  { id: 'owner', label: 'Owner', description: 'Can also invite people and delete the athlete' },
+];
+
+// Prefilled email the inviter sends from their own mail app
+const inviteMailto = (invite, athleteName) => {
+  const subject = `Join ${athleteName}'s Practice Tracker`;
+  const body = [
+    `I've shared ${athleteName}'s practice log with you.`,
+    '',
+    `Sign in or create an account with ${invite.invited_email} at ${authRedirectUrl} to accept.`
+  ].join('\n');
+  return `mailto:${encodeURIComponent(invite.invited_email)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+};
+
+function PendingInvitesCard({ invites, saving, onAccept, onDecline }) {
+  if (invites.length === 0) return null;
+
+  return (
+    <div className="card p-4 space-y-3 border border-amber-500/30">
+      <div className="flex items-center gap-2">
+        <Mail className="w-4 h-4 text-amber-400" />
+        <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Invitations</p>
+      </div>
+      {invites.map(invite => (
+        <div key={invite.id} className="flex items-center gap-3">
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-slate-200">{invite.athletes?.name || 'An athlete'}</p>
+            <p className="text-xs text-slate-500 truncate">
+              From {invite.invited_by_email || 'another account'} · {ATHLETE_ROLES.find(r => r.id === invite.role)?.label}
+            </p>
+          </div>
+          <button
+            onClick={() => onDecline(invite)}
+            disabled={saving}
+            className="px-3 py-1.5 rounded-lg border border-slate-600 text-sm text-slate-300 hover:bg-slate-700 disabled:opacity-50"
+          >
+            Decline
+          </button>
+          <button
+            onClick={() => onAccept(invite)}
+            disabled={saving}
+            className="px-3 py-1.5 rounded-lg bg-amber-500 text-sm font-medium text-slate-900 hover:bg-amber-400 disabled:opacity-50"
+          >
+            Accept
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ShareAthleteModal({ athlete, members, access, userId, saving, error, onClose, onInvite, onRemove }) {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const isOwner = access?.role === 'owner';
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const invited = await onInvite(email, role);
+    if (invited) setEmail('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
+        <div className="sticky top-0 bg-slate-800 px-5 py-4 border-b border-slate-700 flex items-center justify-between z-10">
+          <h2 className="text-lg font-semibold text-slate-100">Share {athlete.name}</h2>
+          <button onClick={onClose} className="p-2 -mr-2 hover:bg-slate-700 rounded-full">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-5">
+          {isOwner ? (
+            <form onSubmit={handleInvite} className="space-y-3">
+              <label className="block text-sm font-medium text-slate-300">Invite by email</label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="co-parent@example.com"
+                required
+                className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100 placeholder:text-slate-500"
+              />
+              <div className="grid grid-cols-2 gap-2">
+                {ATHLETE_ROLES.map(option => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    onClick={() => setRole(option.id)}
+                    className={`focus-chip text-left ${role === option.id ? 'selected' : ''}`}
+                  >
+                    <span className="block">{option.label}</span>
+                    <span className="block text-xs opacity-70">{option.description}</span>
+                  </button>
+                ))}
+              </div>
+              <button
+                type="submit"
+                disabled={saving || !email.trim()}
+                className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <UserPlus className="w-4 h-4" />}
+                Invite
+              </button>
+            </form>
+          ) : (
+            <p className="text-sm text-slate-400">
+              {athlete.name} is shared with you. Only owners can invite people.
+            </p>
+          )}
+
+          {error && (
+            <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          <div>
+            <p className="text-xs font-medium text-slate-400 uppercase tracking-wide mb-2">People with access</p>
+            {members.length === 0 ? (
+              <p className="text-sm text-slate-500 italic">Only you so far.</p>
+            ) : (
+              <div className="divide-y divide-slate-700 rounded-xl border border-slate-700">
+                {members.map(member => {
+                  const isMe = member.profile_id === userId;
+                  return (
+                    <div key={member.id} className="p-3 flex items-center gap-3">
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm text-slate-200 truncate">{member.invited_email}{isMe && ' (you)'}</p>
+                        <p className="text-xs text-slate-500">
+                          {ATHLETE_ROLES.find(r => r.id === member.role)?.label}
+                          {member.accepted_at ? '' : ' · Invite pending'}
+                        </p>
+                      </div>
+                      {isOwner && !member.accepted_at && (
+                        <a
+                          href={inviteMailto(member, athlete.name)}
+                          className="p-1.5 rounded-lg text-slate-500 hover:text-amber-400 hover:bg-slate-700"
+                          title="Send invite email"
+                        >
+                          <Mail className="w-4 h-4" />
+                        </a>
+                      )}
+                      {(isOwner || isMe) && (
+                        <button
+                          onClick={() => onRemove(member)}
+                          disabled={saving}
+                          className="p-1.5 rounded-lg text-slate-500 hover:text-red-400 hover:bg-slate-700 disabled:opacity-50"
+                          title={isMe ? 'Leave' : 'Remove access'}
+                        >
+                          {isMe ? <LogOut className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// PRACTICE TEMPLATES
+// ----------------------------------------------------------------------------
+// Named routines ("Tuesday hitting") that prefill Quick Log, or log today's
+// practice in one tap from the home screen.
+const HOME_TEMPLATE_COUNT = 3;
+
+const EMPTY_TEMPLATE = { name: '', duration: 30, focus: [], drillIds: [], note: '' };
+
+function TemplatesModal({ templates, initialDraft, sport, drillCatalog, isPro, saving, error, onClose, onSave, onDelete }) {
+  const [form, setForm] = useState(initialDraft || null); // template being edited, or null for the list
+
+  const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+  const toggleIn = (key, id) => setForm(prev => ({
+    ...prev,
+    [key]: prev[key].includes(id) ? prev[key].filter(x => x !== id) : [...prev[key], id]
+  }));
+
+  const handleSave = async () => {
+    const saved = await onSave(form);
+    if (saved) setForm(null);
+  };
+
+  const canSave = form && form.name.trim() && form.focus.length > 0 && form.duration > 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
+        <div className="sticky top-0 bg-slate-800 px-5 py-4 border-b border-slate-700 flex items-center justify-between z-10">
+          <h2 className="text-lg font-semibold text-slate-100">
+            {form ? (form.id ? 'Edit Template' : 'New Template') : 'Practice Templates'}
+          </h2>
+          <button onClick={form && !initialDraft ? () => setForm(null) : onClose} className="p-2 -mr-2 hover:bg-slate-700 rounded-full">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        {form ? (
+          <div className="p-5 space-y-5">
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setField('name', e.target.value)}
+                placeholder="e.g., Tuesday hitting"
+                maxLength={40}
+                className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100 placeholder:text-slate-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Duration</label>
+              <div className="flex flex-wrap gap-2">
+                {(DURATION_PRESETS.includes(form.duration)
+                  ? DURATION_PRESETS
+                  : [...DURATION_PRESETS, form.duration].sort((a, b) => a - b)
+                ).map(mins => (
+                  <button
+                    key={mins}
+                    onClick={() => setField('duration', mins)}
+                    className={`duration-chip ${form.duration === mins ? 'selected' : ''}`}
+                  >
+                    {mins} min
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Focus Areas</label>
+              <div className="flex flex-wrap gap-2">
+                {sport.focusOptions.map(opt => (
+                  <button
+                    key={opt.id}
+                    onClick={() => toggleIn('focus', opt.id)}
+                    className={`focus-chip ${form.focus.includes(opt.id) ? 'selected' : ''}`}
+                  >
+                    {opt.emoji} {opt.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {isPro && form.focus.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Drills</label>
+                <div className="flex flex-wrap gap-2">
+                  {form.focus.flatMap(f => drillCatalog[f] || []).map(drill => (
+                    <button
+                      key={drill.id}
+                      onClick={() => toggleIn('drillIds', drill.id)}
+                      className={`drill-chip ${form.drillIds.includes(drill.id) ? 'selected' : ''}`}
+                    >
+                      {drill.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Default note <span className="text-slate-500 font-normal">(optional)</span>
+              </label>
+              <input
+                type="text"
+                value={form.note}
+                onChange={(e) => setField('note', e.target.value)}
+                maxLength={200}
+                className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100"
+              />
+            </div>
+
+            {error && (
+              <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+                <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                {error}
+              </div>
+            )}
+
+            <button
+              onClick={handleSave}
+              disabled={!canSave || saving}
+              className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+              {saving ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        ) : (
+          <div className="p-5 space-y-3">
+            {templates.length === 0 ? (
+              <p className="text-sm text-slate-500 italic">
+                No templates yet. Save a routine you log often to fill it in with one tap.
+              </p>
+            ) : (
+              <div className="divide-y divide-slate-700 rounded-xl border border-slate-700">
+                {templates.map(template => (
+                  <div key={template.id} className="p-3 flex items-center gap-3">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-slate-200 truncate">{template.name}</p>
+                      <p className="text-xs text-slate-500 truncate">
+                        {template.duration} min · {template.focus.map(f => getFocusOption(sport, f).label).join(', ')}
+                        {template.useCount > 0 && ` · used ${template.useCount}×`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => setForm(template)}
+                      className="p-1.5 rounded-lg text-slate-500 hover:text-amber-400 hover:bg-slate-700"
+                      title="Edit template"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => onDelete(template)}
+                      disabled={saving}
+                      className="p-1.5 rounded-lg text-slate-500 hover:text-red-400 hover:bg-slate-700 disabled:opacity-50"
+                      title="Delete template"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <button
+              onClick={() => setForm(EMPTY_TEMPLATE)}
+              className="w-full py-3 rounded-xl border border-dashed border-slate-600 text-amber-400 font-medium hover:bg-slate-700 flex items-center justify-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              New template
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// PRACTICE TIMER
+// ----------------------------------------------------------------------------
+// A running practice lives in localStorage, per signed-in user, so it survives
+// reloads and a phone going to sleep (see newTimer for its shape). A stopped
+// timer stays stored until its Quick Log is saved, so a reload or cancel
+// doesn't lose it.
+const TIMER_STORAGE_KEY = 'practiceTimer';
+
+const timerStorageKey = (userId) => `${TIMER_STORAGE_KEY}:${userId}`;
+
+const loadTimer = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(timerStorageKey(userId))) || null;
+  } catch {
+    return null;
+  }
+};
+
+const saveTimer = (userId, timer) => {
+  if (timer) localStorage.setItem(timerStorageKey(userId), JSON.stringify(timer));
+  else localStorage.removeItem(timerStorageKey(userId));
+};
+
+// Ticking clock for the floating "practice in progress" bar
+function TimerElapsed({ timer }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (timer.pausedAt) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timer.pausedAt]);
+
+  return <span className="tabular-nums">{formatElapsed(timerElapsedMs(timer, now))}</span>;
+}
+
+function PracticeTimerModal({ timer, sport, drillCatalog, isPro, onChange, onStop, onDiscard, onClose }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (timer.pausedAt) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timer.pausedAt]);
+
+  const paused = Boolean(timer.pausedAt);
+  const drillMinutes = timerDrillMinutes(timer, now);
+
+  const toggleFocus = (id) => onChange({
+    ...timer,
+    focus: timer.focus.includes(id) ? timer.focus.filter(f => f !== id) : [...timer.focus, id]
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
+        <div className="sticky top-0 bg-slate-800 px-5 py-4 border-b border-slate-700 flex items-center justify-between z-10">
+          <h2 className="text-lg font-semibold text-slate-100">Practice in Progress</h2>
+          <button onClick={onClose} className="p-2 -mr-2 hover:bg-slate-700 rounded-full" title="Minimize">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-5">
+          <div className="text-center">
+            <p className={`text-5xl font-bold tabular-nums ${paused ? 'text-slate-500' : 'text-amber-400'}`}>
+              {formatElapsed(timerElapsedMs(timer, now))}
+            </p>
+            <p className="text-xs text-slate-500 mt-1">{paused ? 'Paused' : 'Keeps running if you close this or reload'}</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Focus Areas</label>
+            <div className="flex flex-wrap gap-2">
+              {sport.focusOptions.map(opt => (
+                <button
+                  key={opt.id}
+                  onClick={() => toggleFocus(opt.id)}
+                  className={`focus-chip ${timer.focus.includes(opt.id) ? 'selected' : ''}`}
+                >
+                  {opt.emoji} {opt.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {isPro && timer.focus.length > 0 && (
+            <div className="bg-amber-500/10 rounded-xl p-4 border border-amber-500/20">
+              <div className="flex items-center gap-2 mb-3">
+                <label className="text-sm font-medium text-slate-300">Current Drill</label>
+                <span className="pro-badge">Pro</span>
+              </div>
+              <p className="text-xs text-slate-500 mb-3">Tap a drill when you start it; time is tracked per drill.</p>
+              <div className="flex flex-wrap gap-2">
+                {timer.focus.flatMap(f => drillCatalog[f] || []).map(drill => (
+                  <button
+                    key={drill.id}
+                    onClick={() => onChange(switchTimerDrill(timer, drill.id))}
+                    className={`drill-chip ${timer.drillId === drill.id ? 'selected' : ''}`}
+                  >
+                    {drill.name}
+                    {drillMinutes[drill.id] && (
+                      <span className="ml-1 text-slate-500">{drillMinutes[drill.id]}m</span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="sticky bottom-0 bg-slate-800 px-5 py-4 border-t border-slate-700 space-y-3">
+          <div className="flex gap-3">
+            <button
+              onClick={() => onChange(paused ? resumeTimer(timer) : pauseTimer(timer))}
+              className="flex-1 py-3 rounded-xl border border-slate-600 text-slate-200 font-medium hover:bg-slate-700 flex items-center justify-center gap-2"
+            >
+              {paused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+              {paused ? 'Resume' : 'Pause'}
+            </button>
+            <button
+              onClick={onStop}
+              className="btn-primary flex-1 flex items-center justify-center gap-2"
+            >
+              <Square className="w-4 h-4" />
+              Stop & Log
+            </button>
+          </div>
+          <button
+            onClick={onDiscard}
+            className="w-full text-xs text-slate-500 hover:text-red-400"
+          >
+            Discard this practice
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// GAMES
+// ----------------------------------------------------------------------------
+const SOFTBALL_INNINGS = 7;
+
+// Per-sport game performance numbers for the practice vs. games chart.
+// compute() returns null when the games don't include that stat line.
+const GAME_PERFORMANCE_STATS = {
+  softball: [
+    {
+      id: 'avg',
+      label: 'Batting AVG',
+      compute: (games) => {
+        const ab = sumGameStat(games, 'batting', 'ab');
+        return ab > 0 ? sumGameStat(games, 'batting', 'h') / ab : null;
+      },
+      format: (v) => v.toFixed(3).replace(/^0/, '')
+    },
+    {
+      id: 'era',
+      label: 'ERA',
+      compute: (games) => {
+        const outs = games.reduce((sum, g) => sum + inningsToOuts(g.stats.pitching?.ip || 0), 0);
+        return outs > 0 ? (sumGameStat(games, 'pitching', 'er') * SOFTBALL_INNINGS * 3) / outs : null;
+      },
+      format: (v) => v.toFixed(2)
+    },
+    {
+      id: 'fpct',
+      label: 'Fielding %',
+      compute: (games) => {
+        const chances = ['po', 'a', 'e'].reduce((sum, id) => sum + sumGameStat(games, 'fielding', id), 0);
+        return chances > 0 ? 1 - sumGameStat(games, 'fielding', 'e') / chances : null;
+      },
+      format: (v) => v.toFixed(3).replace(/^0/, '')
+    }
+  ],
+  soccer: [
+    {
+      id: 'goals',
+      label: 'Goals / game',
+      compute: (games) => gamesPlayed(games, 'attacking') > 0
+        ? sumGameStat(games, 'attacking', 'goals') / gamesPlayed(games, 'attacking')
+        : null,
+      format: (v) => v.toFixed(1)
+    }
+  ],
+  basketball: [
+    {
+      id: 'pts',
+      label: 'Points / game',
+      compute: (games) => gamesPlayed(games, 'box') > 0
+        ? sumGameStat(games, 'box', 'pts') / gamesPlayed(games, 'box')
+        : null,
+      format: (v) => v.toFixed(1)
+    }
+  ]
+};
+
+// A game in a practice list (home, history, calendar day)
+function GameRow({ game, sport, showDate = false, onEdit }) {
+  const summary = gameSummary(game, sport);
+  return (
+    <div className="p-4 flex items-start gap-3 group">
+      <div className="w-10 h-10 rounded-full bg-sky-500/20 flex items-center justify-center flex-shrink-0">
+        <Trophy className="w-5 h-5 text-sky-400" />
+      </div>
+      <div className="flex-1 min-w-0">
+        {showDate && <p className="text-sm font-medium text-slate-200">{formatDate(game.date)}</p>}
+        <p className={showDate ? 'text-xs text-slate-400 truncate' : 'text-sm text-slate-200 truncate'}>Game vs {game.opponent}</p>
+        {summary && <p className="text-xs text-slate-500 mt-0.5">{summary}</p>}
+        {game.note && <p className="text-xs text-slate-400 italic mt-1">"{game.note}"</p>}
+      </div>
+      <button
+        onClick={() => onEdit(game)}
+        className="p-1.5 rounded-lg text-slate-500 hover:text-amber-400 hover:bg-slate-700 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity"
+        title="Edit game"
+      >
+        <Pencil className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
+
+function GameLogModal({ game, initialDate, sport, saving, error, onClose, onSave, onDelete }) {
+  const [form, setForm] = useState(() => ({
+    date: game?.date || initialDate || toDateKey(new Date()),
+    opponent: game?.opponent || '',
+    stats: game?.stats || {},
+    note: game?.note || ''
+  }));
+
+  const statLines = GAME_STAT_LINES[sport.id] || [];
+  const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+  const setStat = (lineId, statId, value) => setForm(prev => ({
+    ...prev,
+    stats: { ...prev.stats, [lineId]: { ...prev.stats[lineId], [statId]: value } }
+  }));
+
+  const inputClass = 'w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100 placeholder:text-slate-500';
+  const canSave = form.date && form.opponent.trim();
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
+        <div className="sticky top-0 bg-slate-800 px-5 py-4 border-b border-slate-700 flex items-center justify-between z-10">
+          <h2 className="text-lg font-semibold text-slate-100">{game ? 'Edit Game' : 'Log Game'}</h2>
+          <button onClick={onClose} className="p-2 -mr-2 hover:bg-slate-700 rounded-full">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-5">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Date</label>
+              <input type="date" value={form.date} onChange={(e) => setField('date', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Opponent</label>
+              <input
+                type="text"
+                value={form.opponent}
+                onChange={(e) => setField('opponent', e.target.value.slice(0, 60))}
+                placeholder="e.g., Lightning 12U"
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          {statLines.map(line => (
+            <div key={line.id}>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                {line.label} <span className="text-slate-500 font-normal">(optional)</span>
+              </label>
+              <div className="flex gap-2">
+                {line.stats.map(stat => (
+                  <label key={stat.id} className="flex-1 min-w-0">
+                    <span className="block text-xs text-slate-500 mb-1 text-center">{stat.label}</span>
+                    <input
+                      type="number"
+                      inputMode={stat.step ? 'decimal' : 'numeric'}
+                      min="0"
+                      step={stat.step || 1}
+                      value={form.stats[line.id]?.[stat.id] ?? ''}
+                      onChange={(e) => setStat(line.id, stat.id, e.target.value)}
+                      className="w-full px-2 py-2 rounded-lg border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100 text-center"
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">
+              Note <span className="text-slate-500 font-normal">(optional)</span>
+            </label>
+            <input
+              type="text"
+              value={form.note}
+              onChange={(e) => setField('note', e.target.value.slice(0, 200))}
+              placeholder="Big moments, what to work on..."
+              className={inputClass}
+            />
+          </div>
+
+          {error && (
+            <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {game && (
+            <button onClick={() => onDelete(game)} disabled={saving} className="text-xs text-slate-500 hover:text-red-400">
+              Delete this game
+            </button>
+          )}
+        </div>
+
+        <div className="sticky bottom-0 bg-slate-800 px-5 py-4 border-t border-slate-700 flex gap-3">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 py-3 rounded-xl border border-slate-600 font-medium text-slate-300 hover:bg-slate-700 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave({ ...form, id: game?.id })}
+            disabled={!canSave || saving}
+            className="flex-1 btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+            {saving ? 'Saving...' : 'Save Game'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// PRACTICE PLANS
+// ----------------------------------------------------------------------------
+// An assignment is a plan of drills with target minutes and an optional due
+// date. Logging a practice against it (from Quick Log) fulfils it.
+const DEFAULT_PLAN_DRILL_MINUTES = 10;
+
+// Insert one assignment row per athlete, all sharing a plan_id. Returns the
+// new row for a single athlete; bulk inserts return nothing (callers reload).
+const createAssignments = async ({ athleteIds, teamId = null, assignedBy, assignedByEmail, plan }) => {
+  const planId = crypto.randomUUID();
+  const rows = athleteIds.map(athleteId => ({
+    plan_id: planId,
+    athlete_id: athleteId,
+    team_id: teamId,
+    assigned_by: assignedBy,
+    assigned_by_email: assignedByEmail,
+    title: plan.title,
+    drills: plan.drills.map(d => ({ drill_id: d.drillId, minutes: d.minutes })),
+    due_date: plan.dueDate || null,
+    note: plan.note || null
+  }));
+
+  const single = rows.length === 1;
+  const { data, error } = await db.from('assignments').insert(single ? rows[0] : rows, { returnData: single });
+  if (error) throw error;
+  return single ? data : null;
+};
+
+function AssignmentBuilderModal({ sport, drillCatalog, athletes, saving, error, onClose, onSave }) {
+  const [title, setTitle] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [note, setNote] = useState('');
+  const [drills, setDrills] = useState([]); // [{ drillId, minutes }]
+  const [athleteIds, setAthleteIds] = useState(athletes.map(a => a.id));
+
+  const toggleDrill = (drillId) => {
+    setDrills(prev => prev.some(d => d.drillId === drillId)
+      ? prev.filter(d => d.drillId !== drillId)
+      : [...prev, { drillId, minutes: DEFAULT_PLAN_DRILL_MINUTES }]);
+  };
+
+  const setMinutes = (drillId, minutes) => {
+    setDrills(prev => prev.map(d => d.drillId === drillId ? { ...d, minutes } : d));
+  };
+
+  const toggleAthlete = (id) => {
+    setAthleteIds(prev => prev.includes(id) ? prev.filter(a => a !== id) : [...prev, id]);
+  };
+
+  const drillName = (drillId) => Object.values(drillCatalog).flat().find(d => d.id === drillId)?.name || drillId;
+  const canSave = title.trim() && drills.length > 0 && athleteIds.length > 0 && drills.every(d => d.minutes > 0);
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
+        <div className="sticky top-0 bg-slate-800 px-5 py-4 border-b border-slate-700 flex items-center justify-between z-10">
+          <h2 className="text-lg font-semibold text-slate-100">Assign Practice Plan</h2>
+          <button onClick={onClose} className="p-2 -mr-2 hover:bg-slate-700 rounded-full">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-5">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Title</label>
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder="e.g., Glove work before Saturday"
+              maxLength={80}
+              className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100 placeholder:text-slate-500"
+            />
+          </div>
+
+          {athletes.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Players</label>
+              <div className="flex flex-wrap gap-2">
+                {athletes.map(a => (
+                  <button
+                    key={a.id}
+                    onClick={() => toggleAthlete(a.id)}
+                    className={`drill-chip ${athleteIds.includes(a.id) ? 'selected' : ''}`}
+                  >
+                    {a.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Drills</label>
+            <div className="space-y-3">
+              {sport.focusOptions.filter(f => drillCatalog[f.id]?.length).map(f => (
+                <div key={f.id}>
+                  <p className="text-xs text-slate-500 mb-1.5">{f.emoji} {f.label}</p>
+                  <div className="flex flex-wrap gap-2">
+                    {drillCatalog[f.id].map(drill => (
+                      <button
+                        key={drill.id}
+                        onClick={() => toggleDrill(drill.id)}
+                        className={`drill-chip ${drills.some(d => d.drillId === drill.id) ? 'selected' : ''}`}
+                      >
+                        {drill.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {drills.length > 0 && (
+            <div className="rounded-xl border border-slate-700 divide-y divide-slate-700">
+              {drills.map(d => (
+                <div key={d.drillId} className="px-3 py-2 flex items-center gap-3">
+                  <span className="flex-1 text-sm text-slate-200">{drillName(d.drillId)}</span>
+                  <input
+                    type="number"
+                    min="1"
+                    inputMode="numeric"
+                    value={d.minutes || ''}
+                    onChange={(e) => setMinutes(d.drillId, parseInt(e.target.value, 10) || 0)}
+                    className="w-16 px-2 py-1.5 rounded-lg border border-slate-600 bg-slate-700 text-right text-slate-100 outline-none focus:border-amber-500"
+                  />
+                  <span className="text-xs text-slate-500">min</span>
+                </div>
+              ))}
+              <div className="px-3 py-2 flex justify-between text-sm">
+                <span className="text-slate-400">Total</span>
+                <span className="font-medium text-slate-200">{planTotalMinutes(drills)} min</span>
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">
+              Due date <span className="text-slate-500 font-normal">(optional)</span>
+            </label>
+            <input
+              type="date"
+              value={dueDate}
+              onChange={(e) => setDueDate(e.target.value)}
+              className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">
+              Note <span className="text-slate-500 font-normal">(optional)</span>
+            </label>
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g., Focus on quick feet"
+              rows={2}
+              maxLength={200}
+              className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100 placeholder:text-slate-500 resize-none"
+            />
+          </div>
+
+          {error && (
+            <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+        </div>
+
+        <div className="sticky bottom-0 bg-slate-800 px-5 py-4 border-t border-slate-700 flex gap-3">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 py-3 rounded-xl border border-slate-600 font-medium text-slate-300 hover:bg-slate-700 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave({ title: title.trim(), dueDate, note: note.trim(), drills, athleteIds })}
+            disabled={!canSave || saving}
+            className="flex-1 btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+            {saving ? 'Saving...' : 'Assign'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// TEAMS
+// ----------------------------------------------------------------------------
+// A coach creates a team and shares its join code; parents opt an athlete in
+// and choose what the coach sees beyond practice dates, minutes and focus.
+// The coach only ever reads the team_sessions / team_goals views.
+const TEAM_VISIBILITY_OPTIONS = [
+  { key: 'share_goals', label: 'Goals', description: 'Active and finished goals' },
+  { key: 'share_notes', label: 'Practice notes', description: 'The note on each practice' },
+  { key: 'share_reflections', label: 'Reflections', description: '"What felt better today?"' },
+];
+
+const DEFAULT_TEAM_VISIBILITY = { share_goals: true, share_notes: false, share_reflections: false };
+
+// All rows of a team view, paging past PostgREST's max-rows cap
+const fetchTeamRows = async (view, teamId, order) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += FULL_HISTORY_PAGE_SIZE) {
+    let query = db.from(view).select().eq('team_id', teamId);
+    if (order) query = query.order(order.column, { ascending: order.ascending });
+
+    const { data, error } = await query.range(offset, offset + FULL_HISTORY_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < FULL_HISTORY_PAGE_SIZE) return rows;
+  }
+};
+
+// Assignments the coach made for a team, newest first
+const fetchTeamPlans = async (teamId) => {
+  const { data, error } = await db.from('assignments').select()
+    .eq('team_id', teamId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(toAssignment);
+};
+
+function TeamDashboard({ userId, userEmail, onBack }) {
+  const [teams, setTeams] = useState(null);
+  const [teamId, setTeamId] = useState(null);
+  const [roster, setRoster] = useState(null);
+  const [customSports, setCustomSports] = useState([]); // custom sports the roster plays
+  const [plans, setPlans] = useState([]); // assignments this coach made for the team
+  const [expandedPlan, setExpandedPlan] = useState(null);
+  const [showAssign, setShowAssign] = useState(false);
+  const [assigning, setAssigning] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [newTeamName, setNewTeamName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    db.from('teams').select().eq('coach_profile_id', userId).order('name')
+      .then(({ data, error }) => {
+        if (error) throw error;
+        if (cancelled) return;
+        setTeams(data || []);
+        setTeamId(prev => prev || data?.[0]?.id || null);
+      })
+      .catch(err => {
+        console.error('Error loading teams:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  useEffect(() => {
+    if (!teamId) return;
+    let cancelled = false;
+
+    const loadRoster = async () => {
+      setRoster(null);
+      setError(null);
+      try {
+        const { data: members, error: memberError } = await db.from('team_members').select('*,athletes(name,sport)')
+          .eq('team_id', teamId);
+        if (memberError) throw memberError;
+
+        const customSportIds = [...new Set((members || [])
+          .map(m => m.athletes?.sport)
+          .filter(sportId => sportId && !SPORT_PACKS[sportId]))];
+
+        const [sessionRows, goalRows, planRows, sportRows] = await Promise.all([
+          fetchTeamRows('team_sessions', teamId, { column: 'date', ascending: false }),
+          fetchTeamRows('team_goals', teamId),
+          fetchTeamPlans(teamId),
+          customSportIds.length > 0
+            ? db.from('custom_sports').select().in('id', customSportIds).then(({ data, error }) => {
+                if (error) throw error;
+                return data || [];
+              })
+            : []
+        ]);
+
+        if (!cancelled) {
+          setRoster(buildTeamRoster(members || [], sessionRows, goalRows, sportRows)
+            .sort((a, b) => a.name.localeCompare(b.name)));
+          setCustomSports(sportRows);
+          setPlans(planRows);
+        }
+      } catch (err) {
+        console.error('Error loading roster:', err);
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    loadRoster();
+    return () => { cancelled = true; };
+  }, [teamId]);
+
+  const createTeam = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+
+    try {
+      const { data: newTeam, error } = await db.from('teams').insert({
+        coach_profile_id: userId,
+        name: newTeamName.trim(),
+        join_code: generateJoinCode()
+      });
+
+      if (error) throw error;
+      setTeams(prev => [...prev, newTeam]);
+      setTeamId(newTeam.id);
+      setNewTeamName('');
+    } catch (err) {
+      console.error('Error creating team:', err);
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const assignPlan = async (plan) => {
+    setAssigning(true);
+    setError(null);
+
+    try {
+      await createAssignments({
+        athleteIds: plan.athleteIds,
+        teamId,
+        assignedBy: userId,
+        assignedByEmail: userEmail,
+        plan
+      });
+      setPlans(await fetchTeamPlans(teamId));
+      setShowAssign(false);
+    } catch (err) {
+      console.error('Error assigning plan:', err);
+      setError(err.message);
+    } finally {
+      setAssigning(false);
+    }
+  };
+
+  const team = teams?.find(t => t.id === teamId);
+
+  // Plans are built from the sport most of the roster plays
+  const teamSport = useMemo(() => {
+    const counts = {};
+    (roster || []).forEach(row => {
+      const sportId = row.member.athletes?.sport || DEFAULT_SPORT_ID;
+      counts[sportId] = (counts[sportId] || 0) + 1;
+    });
+    const topSportId = Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+    return resolveTeamSport(topSportId, customSports);
+  }, [roster, customSports]);
+
+  // One entry per plan_id with each player's status
+  const planGroups = useMemo(() => {
+    const groups = new Map();
+    plans.forEach(a => {
+      if (!groups.has(a.planId)) groups.set(a.planId, { ...a, rows: [] });
+      groups.get(a.planId).rows.push(a);
+    });
+    return [...groups.values()];
+  }, [plans]);
+
+  const rosterName = (athleteId) => roster?.find(r => r.member.athlete_id === athleteId)?.name || 'Player';
+
+  return (
+    <main className="max-w-lg mx-auto px-4 py-6 pb-32 space-y-5">
+      <div className="flex items-center gap-2">
+        <button onClick={onBack} className="p-2 -ml-2 rounded-full hover:bg-slate-700 text-slate-400" title="Back">
+          <ChevronLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h2 className="text-lg font-semibold text-slate-100">Coach Dashboard</h2>
+          <p className="text-xs text-slate-500">Practice volume across your team, as shared by parents</p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {teams === null && !error ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-6 h-6 text-amber-400 animate-spin" />
+        </div>
+      ) : (
+        <>
+          {teams?.length > 0 && (
+            <div className="card p-4 space-y-3">
+              <div className="flex flex-wrap gap-2">
+                {teams.map(t => (
+                  <button
+                    key={t.id}
+                    onClick={() => setTeamId(t.id)}
+                    className={`drill-chip ${teamId === t.id ? 'selected' : ''}`}
+                  >
+                    {t.name}
+                  </button>
+                ))}
+              </div>
+              {team && (
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-slate-400">
+                    Join code <span className="font-mono font-semibold text-amber-400 tracking-widest">{team.join_code}</span>
+                  </span>
+                  <button
+                    onClick={() => navigator.clipboard?.writeText(team.join_code)}
+                    className="flex items-center gap-1 text-xs text-slate-400 hover:text-slate-200"
+                  >
+                    <Copy className="w-3.5 h-3.5" />
+                    Copy
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {team && (
+            roster === null ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="w-6 h-6 text-amber-400 animate-spin" />
+              </div>
+            ) : roster.length === 0 ? (
+              <div className="card p-6 text-center text-slate-500 italic">
+                No players yet. Share the join code with parents so they can add their athlete.
+              </div>
+            ) : (
+              <div className="card overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-xs text-slate-400 uppercase tracking-wide border-b border-slate-700">
+                      <th className="text-left font-medium p-3">Player</th>
+                      <th className="text-right font-medium p-3">This week</th>
+                      <th className="text-left font-medium p-3">Last</th>
+                      <th className="text-left font-medium p-3">Focus ({TEAM_FOCUS_WINDOW_DAYS}d)</th>
+                      <th className="text-left font-medium p-3">Goals</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-700/50">
+                    {roster.map(row => (
+                      <React.Fragment key={row.member.id}>
+                        <tr
+                          onClick={() => setExpanded(expanded === row.member.id ? null : row.member.id)}
+                          className="cursor-pointer hover:bg-slate-700/30"
+                        >
+                          <td className="p-3 font-medium text-slate-200 whitespace-nowrap">{row.name}</td>
+                          <td className="p-3 text-right text-slate-300 whitespace-nowrap">
+                            {row.weekPractices} · {row.weekMinutes}m
+                          </td>
+                          <td className="p-3 text-slate-400 whitespace-nowrap">
+                            {row.lastDate ? formatDate(row.lastDate) : '—'}
+                          </td>
+                          <td className="p-3">
+                            <div className="flex gap-1 min-w-[4rem]" title={row.focusMix.map(f => `${f.option.label} ${f.percent}%`).join(', ')}>
+                              {row.focusMix.length === 0 ? (
+                                <span className="text-slate-500">—</span>
+                              ) : row.focusMix.slice(0, 3).map(f => (
+                                <span key={f.option.id} className="text-xs whitespace-nowrap">
+                                  {f.option.emoji}{f.percent}%
+                                </span>
+                              ))}
+                            </div>
+                          </td>
+                          <td className="p-3 text-slate-400 whitespace-nowrap">
+                            {row.member.share_goals
+                              ? `${row.activeGoals.length} active · ${row.completedGoals} done`
+                              : <span className="text-slate-600">Private</span>}
+                          </td>
+                        </tr>
+                        {expanded === row.member.id && (
+                          <tr>
+                            <td colSpan={5} className="px-3 pb-3 text-xs text-slate-400 space-y-1">
+                              {row.member.share_goals && row.activeGoals.map(g => (
+                                <p key={`${g.skill}-${g.text}`}>
+                                  <Target className="w-3 h-3 inline mr-1 text-amber-400" />
+                                  {g.text}
+                                </p>
+                              ))}
+                              {row.recentNotes.map(s => (
+                                <p key={s.id}>
+                                  <span className="text-slate-500">{formatDate(s.date)}:</span>{' '}
+                                  {[s.note && `"${s.note}"`, s.reflection && `Felt better: ${s.reflection}`].filter(Boolean).join(' · ')}
+                                </p>
+                              ))}
+                              {!row.member.share_notes && !row.member.share_reflections && (
+                                <p className="text-slate-600 italic">Notes and reflections aren't shared with the team.</p>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )
+          )}
+
+          {team && roster?.length > 0 && (
+            <div className="card overflow-hidden">
+              <div className="p-4 flex items-center justify-between border-b border-slate-700">
+                <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Practice Plans</p>
+                <button
+                  onClick={() => setShowAssign(true)}
+                  className="flex items-center gap-1 text-xs text-amber-400 font-medium"
+                >
+                  <Plus className="w-3.5 h-3.5" />
+                  Assign plan
+                </button>
+              </div>
+              {planGroups.length === 0 ? (
+                <p className="p-4 text-sm text-slate-500 italic">No plans assigned yet.</p>
+              ) : (
+                <div className="divide-y divide-slate-700/50">
+                  {planGroups.map(plan => {
+                    const done = plan.rows.filter(r => r.fulfilledAt).length;
+                    const due = dueLabel(plan.dueDate);
+                    return (
+                      <div key={plan.planId}>
+                        <button
+                          onClick={() => setExpandedPlan(expandedPlan === plan.planId ? null : plan.planId)}
+                          className="w-full p-4 flex items-center gap-3 text-left hover:bg-slate-700/30"
+                        >
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium text-slate-200 truncate">{plan.title}</p>
+                            <p className={`text-xs ${due?.overdue && done < plan.rows.length ? 'text-red-400' : 'text-slate-500'}`}>
+                              {planTotalMinutes(plan.drills)} min{due ? ` · ${due.text}` : ''}
+                            </p>
+                          </div>
+                          <span className={`text-sm font-medium ${done === plan.rows.length ? 'text-emerald-400' : 'text-slate-300'}`}>
+                            {done}/{plan.rows.length} done
+                          </span>
+                        </button>
+                        {expandedPlan === plan.planId && (
+                          <div className="px-4 pb-3 space-y-1">
+                            {plan.rows.map(row => (
+                              <p key={row.id} className="text-xs flex items-center gap-2">
+                                {row.fulfilledAt
+                                  ? <Check className="w-3.5 h-3.5 text-emerald-400" />
+                                  : <Clock className="w-3.5 h-3.5 text-slate-500" />}
+                                <span className="text-slate-300">{rosterName(row.athleteId)}</span>
+                                {row.fulfilledAt && (
+                                  <span className="text-slate-500">{formatDate(toDateKey(new Date(row.fulfilledAt)))}</span>
+                                )}
+                              </p>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          )}
+
+          {showAssign && (
+            <AssignmentBuilderModal
+              sport={teamSport}
+              drillCatalog={buildDrillCatalog(teamSport)}
+              athletes={roster.map(row => ({ id: row.member.athlete_id, name: row.name }))}
+              saving={assigning}
+              error={error}
+              onClose={() => setShowAssign(false)}
+              onSave={assignPlan}
+            />
+          )}
+
+          <form onSubmit={createTeam} className="card p-4 space-y-3">
+            <label className="block text-sm font-medium text-slate-300">
+              {teams?.length ? 'Create another team' : 'Create your team'}
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newTeamName}
+                onChange={(e) => setNewTeamName(e.target.value)}
+                placeholder="e.g., Lightning 12U"
+                maxLength={50}
+                className="flex-1 px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100 placeholder:text-slate-500"
+              />
+              <button
+                type="submit"
+                disabled={creating || !newTeamName.trim()}
+                className="btn-primary flex items-center gap-2 disabled:opacity-50"
+              >
+                {creating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                Create
+              </button>
+            </div>
+          </form>
+        </>
+      )}
+    </main>
+  );
+}
+
+// Parent side: which teams an athlete is on, and what each coach can see
+function AthleteTeamsModal({ athlete, canEdit, onClose, onOpenCoachDashboard }) {
+  const [memberships, setMemberships] = useState(null);
+  const [joinCode, setJoinCode] = useState('');
+  const [visibility, setVisibility] = useState(DEFAULT_TEAM_VISIBILITY);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    db.from('team_members').select('*,teams(name)').eq('athlete_id', athlete.id)
+      .then(({ data, error }) => {
+        if (error) throw error;
+        if (!cancelled) setMemberships(data || []);
+      })
+      .catch(err => {
+        console.error('Error loading teams:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => { cancelled = true; };
+  }, [athlete.id]);
+
+  const joinTeam = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { data: membership, error } = await db.rpc('join_team', {
+        p_join_code: joinCode.trim().toUpperCase(),
+        p_athlete_id: athlete.id,
+        p_share_goals: visibility.share_goals,
+        p_share_notes: visibility.share_notes,
+        p_share_reflections: visibility.share_reflections
+      });
+
+      if (error) throw error;
+      if (!membership) throw new Error('No team matches that code');
+
+      // The function returns the team_members row with its team name
+      setMemberships(prev => [...prev.filter(m => m.id !== membership.id), membership]);
+      setJoinCode('');
+      setVisibility(DEFAULT_TEAM_VISIBILITY);
+    } catch (err) {
+      console.error('Error joining team:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setSharing = async (membership, key, value) => {
+    setError(null);
+    setMemberships(prev => prev.map(m => m.id === membership.id ? { ...m, [key]: value } : m));
+
+    const { error } = await db.from('team_members').update({ [key]: value }).eq('id', membership.id);
+    if (error) {
+      console.error('Error updating team sharing:', error);
+      setError(error.message);
+      setMemberships(prev => prev.map(m => m.id === membership.id ? { ...m, [key]: !value } : m));
+    }
+  };
+
+  const leaveTeam = async (membership) => {
+    if (!confirm(`Remove ${athlete.name} from ${membership.teams?.name || 'this team'}? The coach will no longer see their practices.`)) return;
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { error } = await db.from('team_members').delete().eq('id', membership.id);
+      if (error) throw error;
+      setMemberships(prev => prev.filter(m => m.id !== membership.id));
+    } catch (err) {
+      console.error('Error leaving team:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleRow = (option, checked, onChange) => (
+    <label key={option.key} className="flex items-center gap-3 py-1.5 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={checked}
+        disabled={!canEdit}
+        onChange={(e) => onChange(e.target.checked)}
+        className="w-4 h-4 accent-amber-500"
+      />
+      <span className="flex-1 text-sm text-slate-300">{option.label}</span>
+      <span className="text-xs text-slate-500">{option.description}</span>
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
+        <div className="sticky top-0 bg-slate-800 px-5 py-4 border-b border-slate-700 flex items-center justify-between z-10">
+          <h2 className="text-lg font-semibold text-slate-100">{athlete.name}'s Teams</h2>
+          <button onClick={onClose} className="p-2 -mr-2 hover:bg-slate-700 rounded-full">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-5">
+          <p className="text-xs text-slate-500">
+            Coaches always see practice dates, minutes and focus areas. Choose what else each team can see.
+          </p>
+
+          {memberships === null && !error ? (
+            <div className="flex justify-center py-4">
+              <Loader2 className="w-5 h-5 text-amber-400 animate-spin" />
+            </div>
+          ) : (memberships || []).map(membership => (
+            <div key={membership.id} className="rounded-xl border border-slate-700 p-4">
+              <div className="flex items-center justify-between mb-2">
+                <p className="font-medium text-slate-200">{membership.teams?.name || 'Team'}</p>
+                {canEdit && (
+                  <button
+                    onClick={() => leaveTeam(membership)}
+                    disabled={saving}
+                    className="text-xs text-red-400 font-medium disabled:opacity-50"
+                  >
+                    Leave team
+                  </button>
+                )}
+              </div>
+              {TEAM_VISIBILITY_OPTIONS.map(option =>
+                toggleRow(option, Boolean(membership[option.key]), (value) => setSharing(membership, option.key, value))
+              )}
+            </div>
+          ))}
+
+          {canEdit && (
+            <form onSubmit={joinTeam} className="space-y-3">
+              <label className="block text-sm font-medium text-slate-300">Join a team</label>
+              <input
+                type="text"
+                value={joinCode}
+                onChange={(e) => setJoinCode(e.target.value.toUpperCase().slice(0, JOIN_CODE_LENGTH))}
+                placeholder="Code from your coach"
+                className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100 placeholder:text-slate-500 font-mono tracking-widest"
+              />
+              {joinCode && (
+                <div className="rounded-xl bg-slate-700/40 px-3 py-1">
+                  {TEAM_VISIBILITY_OPTIONS.map(option =>
+                    toggleRow(option, visibility[option.key], (value) => setVisibility(prev => ({ ...prev, [option.key]: value })))
+                  )}
+                </div>
+              )}
+              <button
+                type="submit"
+                disabled={saving || joinCode.length < JOIN_CODE_LENGTH}
+                className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                Join Team
+              </button>
+            </form>
+          )}
+
+          {error && (
+            <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          <button
+            onClick={onOpenCoachDashboard}
+            className="w-full py-3 rounded-xl border border-slate-600 text-sm font-medium text-slate-300 hover:bg-slate-700 flex items-center justify-center gap-2"
+          >
+            <ClipboardList className="w-4 h-4" />
+            Coaching a team? Open the coach dashboard
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// SPORT SETTINGS
+// ----------------------------------------------------------------------------
+const MAX_CUSTOM_FOCUS_AREAS = 8;
+
+function SportSettingsModal({ athlete, customSports, saving, error, onClose, onSelectSport, onCreateSport }) {
+  const [selectedId, setSelectedId] = useState(resolveSport(athlete.sport, customSports).id);
+  const [form, setForm] = useState(null); // new custom sport, or null for the list
+
+  const sports = [...Object.values(SPORT_PACKS), ...customSports.map(cs => resolveSport(cs.id, customSports))];
+
+  const setFocusArea = (index, key, value) => {
+    setForm(prev => ({
+      ...prev,
+      focusAreas: prev.focusAreas.map((f, i) => i === index ? { ...f, [key]: value } : f)
+    }));
+  };
+
+  const namedFocusAreas = form ? form.focusAreas.filter(f => f.label.trim()) : [];
+  const canCreate = form && form.name.trim() && namedFocusAreas.length > 0;
+
+  const handleCreate = async () => {
+    // Prefix ids with the sport so they never collide with built-in focus ids
+    const sportSlug = slugify(form.name) || 'sport';
+    const created = await onCreateSport({
+      name: form.name.trim(),
+      emoji: form.emoji.trim() || '🏅',
+      focus_options: namedFocusAreas.map((f, i) => ({
+        id: `${sportSlug}-${slugify(f.label) || i}`,
+        label: f.label.trim(),
+        emoji: f.emoji.trim() || form.emoji.trim() || '🏅',
+        color: FOCUS_COLOR_PALETTE[i % FOCUS_COLOR_PALETTE.length]
+      }))
+    });
+    if (created) {
+      setSelectedId(created.id);
+      setForm(null);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100 placeholder:text-slate-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
+        <div className="sticky top-0 bg-slate-800 px-5 py-4 border-b border-slate-700 flex items-center justify-between z-10">
+          <h2 className="text-lg font-semibold text-slate-100">{form ? 'New Sport' : `${athlete.name}'s Sport`}</h2>
+          <button onClick={form ? () => setForm(null) : onClose} className="p-2 -mr-2 hover:bg-slate-700 rounded-full">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        {form ? (
+          <div className="p-5 space-y-5">
+            <div className="flex gap-3">
+              <div className="w-20">
+                <label className="block text-sm font-medium text-slate-300 mb-2">Emoji</label>
+                <input
+                  type="text"
+                  value={form.emoji}
+                  onChange={(e) => setForm(prev => ({ ...prev, emoji: e.target.value.slice(0, 4) }))}
+                  placeholder="🏅"
+                  className={`${inputClass} text-center`}
+                />
+              </div>
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-slate-300 mb-2">Sport name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value.slice(0, 40) }))}
+                  placeholder="e.g., Volleyball"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Focus areas</label>
+              <div className="space-y-2">
+                {form.focusAreas.map((focusArea, i) => (
+                  <div key={i} className="flex items-center gap-2">
+                    <span
+                      className="w-2.5 h-2.5 rounded-full flex-shrink-0"
+                      style={{ backgroundColor: FOCUS_COLOR_PALETTE[i % FOCUS_COLOR_PALETTE.length] }}
+                    />
+                    <input
+                      type="text"
+                      value={focusArea.emoji}
+                      onChange={(e) => setFocusArea(i, 'emoji', e.target.value.slice(0, 4))}
+                      placeholder="🏅"
+                      className="w-14 px-2 py-2 rounded-lg border border-slate-600 bg-slate-700 text-center text-slate-100 outline-none focus:border-amber-500"
+                    />
+                    <input
+                      type="text"
+                      value={focusArea.label}
+                      onChange={(e) => setFocusArea(i, 'label', e.target.value.slice(0, 30))}
+                      placeholder="e.g., Serving"
+                      className="flex-1 px-3 py-2 rounded-lg border border-slate-600 bg-slate-700 text-slate-100 outline-none focus:border-amber-500 placeholder:text-slate-500"
+                    />
+                    {form.focusAreas.length > 1 && (
+                      <button
+                        onClick={() => setForm(prev => ({ ...prev, focusAreas: prev.focusAreas.filter((_, j) => j !== i) }))}
+                        className="p-1.5 rounded-lg text-slate-500 hover:text-red-400 hover:bg-slate-700"
+                        title="Remove focus area"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+              {form.focusAreas.length < MAX_CUSTOM_FOCUS_AREAS && (
+                <button
+                  onClick={() => setForm(prev => ({ ...prev, focusAreas: [...prev.focusAreas, { label: '', emoji: '' }] }))}
+                  className="text-sm text-amber-400 font-medium flex items-center gap-1 mt-3"
+                >
+                  <Plus className="w-4 h-4" />
+                  Add focus area
+                </button>
+              )}
+            </div>
+
+            {error && (
+              <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+                <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                {error}
+              </div>
+            )}
+
+            <button
+              onClick={handleCreate}
+              disabled={!canCreate || saving}
+              className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+              {saving ? 'Saving...' : 'Create Sport'}
+            </button>
+          </div>
+        ) : (
+          <>
+            <div className="p-5 space-y-4">
+              <div className="grid grid-cols-2 gap-2">
+                {sports.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setSelectedId(option.id)}
+                    className={`focus-chip text-left ${selectedId === option.id ? 'selected' : ''}`}
+                  >
+                    {option.emoji} {option.name}
+                  </button>
+                ))}
+              </div>
+
+              <button
+                onClick={() => setForm({ name: '', emoji: '', focusAreas: [{ label: '', emoji: '' }] })}
+                className="w-full py-3 rounded-xl border border-dashed border-slate-600 text-amber-400 font-medium hover:bg-slate-700 flex items-center justify-center gap-2"
+              >
+                <Plus className="w-4 h-4" />
+                Create your own sport
+              </button>
+
+              <p className="text-xs text-slate-500">
+                Focus areas, colors and drills follow the sport. Practices already logged keep their focus areas.
+              </p>
+
+              {error && (
+                <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+                  <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                  {error}
+                </div>
+              )}
+            </div>
+
+            <div className="sticky bottom-0 bg-slate-800 px-5 py-4 border-t border-slate-700 flex gap-3">
+              <button
+                onClick={onClose}
+                disabled={saving}
+                className="flex-1 py-3 rounded-xl border border-slate-600 font-medium text-slate-300 hover:bg-slate-700 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => onSelectSport(selectedId)}
+                disabled={saving}
+                className="flex-1 btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// ATHLETE SETTINGS
+// ----------------------------------------------------------------------------
+// Position chips per sport; sports without a list take free-text positions
+const SPORT_POSITIONS = {
+  softball: ['P', 'C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF', 'DP'],
+  soccer: ['GK', 'DEF', 'MID', 'FWD'],
+  basketball: ['PG', 'SG', 'SF', 'PF', 'C']
+};
+
+// Every athlete this account owns, archived ones included (restore list)
+const fetchArchivedAthletes = async (userId) => {
+  const { data, error } = await db.from('athletes').select()
+    .eq('profile_id', userId)
+    .order('archived_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).filter(a => a.archived_at);
+};
+
+function AthleteSettingsModal({ athlete, sport, role, userId, canRemove, saving, error, onClose, onSave, onArchive, onRestore, onDelete }) {
+  const [form, setForm] = useState(() => ({
+    name: athlete.name,
+    birthYear: athlete.birth_year ? String(athlete.birth_year) : '',
+    positions: athlete.positions || [],
+    positionsText: (athlete.positions || []).join(', '),
+    teamName: athlete.team_name || '',
+    jerseyNumber: athlete.jersey_number || ''
+  }));
+  const [archived, setArchived] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [deleteName, setDeleteName] = useState('');
+
+  const isOwner = role === 'owner';
+  const positionOptions = SPORT_POSITIONS[sport.id];
+
+  useEffect(() => {
+    if (!isOwner) return;
+    let cancelled = false;
+
+    fetchArchivedAthletes(userId)
+      .then(rows => { if (!cancelled) setArchived(rows); })
+      .catch(err => console.error('Error loading archived athletes:', err));
+
+    return () => { cancelled = true; };
+  }, [isOwner, userId]);
+
+  const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+  const togglePosition = (position) => setField('positions', form.positions.includes(position)
+    ? form.positions.filter(p => p !== position)
+    : [...form.positions, position]);
+
+  const canSave = form.name.trim() && isValidBirthYear(form.birthYear);
+
+  const handleSave = () => onSave(athlete, {
+    name: form.name.trim(),
+    birth_year: form.birthYear ? Number(form.birthYear) : null,
+    positions: positionOptions
+      ? form.positions
+      : form.positionsText.split(',').map(p => p.trim()).filter(Boolean),
+    team_name: form.teamName.trim() || null,
+    jersey_number: form.jerseyNumber.trim() || null
+  });
+
+  const handleRestore = async (archivedAthlete) => {
+    const restored = await onRestore(archivedAthlete);
+    if (restored) setArchived(prev => prev.filter(a => a.id !== archivedAthlete.id));
+  };
+
+  const inputClass = 'w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100 placeholder:text-slate-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
+        <div className="sticky top-0 bg-slate-800 px-5 py-4 border-b border-slate-700 flex items-center justify-between z-10">
+          <h2 className="text-lg font-semibold text-slate-100">Athlete Settings</h2>
+          <button onClick={onClose} className="p-2 -mr-2 hover:bg-slate-700 rounded-full">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-5">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setField('name', e.target.value.slice(0, 40))}
+              className={inputClass}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Birth year</label>
+              <input
+                type="number"
+                inputMode="numeric"
+                value={form.birthYear}
+                onChange={(e) => setField('birthYear', e.target.value.slice(0, 4))}
+                placeholder="e.g., 2013"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Jersey #</label>
+              <input
+                type="text"
+                inputMode="numeric"
+                value={form.jerseyNumber}
+                onChange={(e) => setField('jerseyNumber', e.target.value.slice(0, 3))}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          {!isValidBirthYear(form.birthYear) && (
+            <p className="text-xs text-red-400 -mt-3">Enter a year between {MIN_BIRTH_YEAR} and {new Date().getFullYear()}</p>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Positions</label>
+            {positionOptions ? (
+              <div className="flex flex-wrap gap-2">
+                {positionOptions.map(position => (
+                  <button
+                    key={position}
+                    onClick={() => togglePosition(position)}
+                    className={`drill-chip ${form.positions.includes(position) ? 'selected' : ''}`}
+                  >
+                    {position}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <input
+                type="text"
+                value={form.positionsText}
+                onChange={(e) => setField('positionsText', e.target.value.slice(0, 80))}
+                placeholder="Comma separated, e.g., Freestyle sprint, IM"
+                className={inputClass}
+              />
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Team</label>
+            <input
+              type="text"
+              value={form.teamName}
+              onChange={(e) => setField('teamName', e.target.value.slice(0, 60))}
+              placeholder="e.g., Thunder 12U"
+              className={inputClass}
+            />
+          </div>
+
+          {error && (
+            <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          <button
+            onClick={handleSave}
+            disabled={!canSave || saving}
+            className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+
+          {isOwner && (
+            <div className="pt-5 border-t border-slate-700 space-y-3">
+              <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Archive or delete</p>
+              <button
+                onClick={() => onArchive(athlete)}
+                disabled={!canRemove || saving}
+                className="w-full py-3 rounded-xl border border-slate-600 text-slate-300 font-medium hover:bg-slate-700 flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                <Archive className="w-4 h-4" />
+                Archive {athlete.name}
+              </button>
+              <p className="text-xs text-slate-500">
+                {canRemove
+                  ? 'Archived athletes are hidden but keep all their practices. Restore them any time.'
+                  : "Add another athlete before archiving or deleting your only one."}
+              </p>
+
+              {canRemove && (confirmDelete ? (
+                <div className="rounded-xl border border-red-800/50 bg-red-900/20 p-3 space-y-2">
+                  <p className="text-sm text-red-300">
+                    This permanently deletes {athlete.name} and every practice, goal and game. Type their name to confirm.
+                  </p>
+                  <input
+                    type="text"
+                    value={deleteName}
+                    onChange={(e) => setDeleteName(e.target.value)}
+                    placeholder={athlete.name}
+                    className={inputClass}
+                  />
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => {
+                        setConfirmDelete(false);
+                        setDeleteName('');
+                      }}
+                      className="flex-1 py-2 rounded-lg border border-slate-600 text-sm text-slate-300 hover:bg-slate-700"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={() => onDelete(athlete)}
+                      disabled={deleteName.trim() !== athlete.name.trim() || saving}
+                      className="flex-1 py-2 rounded-lg bg-red-600 text-sm font-medium text-white hover:bg-red-500 disabled:opacity-50"
+                    >
+                      Delete forever
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setConfirmDelete(true)}
+                  className="text-xs text-slate-500 hover:text-red-400"
+                >
+                  Delete permanently…
+                </button>
+              ))}
+            </div>
+          )}
+
+          {isOwner && archived?.length > 0 && (
+            <div className="pt-5 border-t border-slate-700">
+              <p className="text-xs font-medium text-slate-400 uppercase tracking-wide mb-2">Archived athletes</p>
+              <div className="divide-y divide-slate-700 rounded-xl border border-slate-700">
+                {archived.map(a => (
+                  <div key={a.id} className="p-3 flex items-center gap-3">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-slate-300 truncate">{a.name}</p>
+                      <p className="text-xs text-slate-500">Archived {formatDate(toDateKey(new Date(a.archived_at)))}</p>
+                    </div>
+                    <button
+                      onClick={() => handleRestore(a)}
+                      disabled={saving}
+                      className="px-3 py-1.5 rounded-lg bg-amber-500/20 text-xs font-medium text-amber-400 hover:bg-amber-500/30 flex items-center gap-1 disabled:opacity-50"
+                    >
+                      <ArchiveRestore className="w-3.5 h-3.5" />
+                      Restore
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// STREAKS
+// ----------------------------------------------------------------------------
+const WEEKDAYS = [
+  { id: 0, short: 'S', label: 'Sunday' },
+  { id: 1, short: 'M', label: 'Monday' },
+  { id: 2, short: 'T', label: 'Tuesday' },
+  { id: 3, short: 'W', label: 'Wednesday' },
+  { id: 4, short: 'T', label: 'Thursday' },
+  { id: 5, short: 'F', label: 'Friday' },
+  { id: 6, short: 'S', label: 'Saturday' },
+];
+
+function StreakSummary({ streaks }) {
+  return (
+    <div className="grid grid-cols-2 gap-3">
+      <div className="bg-slate-700/50 rounded-xl p-3">
+        <p className="text-2xl font-bold text-white">
+          {streaks.currentDays}<span className="text-sm font-normal text-slate-400"> day{streaks.currentDays === 1 ? '' : 's'}</span>
+        </p>
+        <p className="text-xs text-slate-400 mt-0.5">Daily streak · best {streaks.longestDays}</p>
+      </div>
+      <div className="bg-slate-700/50 rounded-xl p-3">
+        <p className="text-2xl font-bold text-white">
+          {streaks.currentWeeks}<span className="text-sm font-normal text-slate-400"> week{streaks.currentWeeks === 1 ? '' : 's'}</span>
+        </p>
+        <p className="text-xs text-slate-400 mt-0.5">
+          {streaks.weeklyTarget}+ practices/week · best {streaks.longestWeeks}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function StreakSettingsModal({ athlete, saving, onClose, onSave }) {
+  const initial = streakSettings(athlete);
+  const [restDays, setRestDays] = useState(initial.restDays);
+  const [weeklyTarget, setWeeklyTarget] = useState(initial.weeklyTarget);
+
+  const toggleRestDay = (dayId) => {
+    setRestDays(prev => prev.includes(dayId) ? prev.filter(d => d !== dayId) : [...prev, dayId].sort());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center p-4">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg modal-content">
+        <div className="px-5 py-4 border-b border-slate-700 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-slate-100">Streak Settings</h2>
+          <button onClick={onClose} className="p-2 -mr-2 hover:bg-slate-700 rounded-full">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-5">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">Rest days</label>
+            <p className="text-xs text-slate-500 mb-2">Skipping practice on these days won't break {athlete.name}'s streak.</p>
+            <div className="flex gap-2">
+              {WEEKDAYS.map(day => (
+                <button
+                  key={day.id}
+                  onClick={() => toggleRestDay(day.id)}
+                  title={day.label}
+                  className={`duration-chip flex-1 px-0 ${restDays.includes(day.id) ? 'selected' : ''}`}
+                >
+                  {day.short}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">Weekly target</label>
+            <p className="text-xs text-slate-500 mb-2">Practices per week that keep the weekly streak going.</p>
+            <div className="flex flex-wrap gap-2">
+              {[1, 2, 3, 4, 5, 6, 7].map(n => (
+                <button
+                  key={n}
+                  onClick={() => setWeeklyTarget(n)}
+                  className={`duration-chip ${weeklyTarget === n ? 'selected' : ''}`}
+                >
+                  {n}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="px-5 py-4 border-t border-slate-700 flex gap-3">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 py-3 rounded-xl border border-slate-600 font-medium text-slate-300 hover:bg-slate-700 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave({ rest_days: restDays, weekly_practice_target: weeklyTarget })}
+            disabled={saving}
+            className="flex-1 btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// EFFORT & TRAINING LOAD
+// ----------------------------------------------------------------------------
+// Session check-ins: effort on the 1-10 RPE scale, how fun it was, and where
+// anything hurts. Weekly load is minutes x RPE, the usual youth-sports
+// overuse signal; a week well above the recent average gets flagged.
+const RPE_LEVELS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+function TrainingLoadCard({ sessions }) {
+  const weeks = useMemo(() => computeWeeklyLoad(sessions), [sessions]);
+  const soreSpots = useMemo(() => recentSoreness(sessions), [sessions]);
+
+  if (!weeks.some(w => w.load > 0) && soreSpots.length === 0) return null;
+
+  const thisWeek = weeks[weeks.length - 1];
+
+  return (
+    <div className="card p-5">
+      <div className="mb-3">
+        <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Training Load</p>
+        <p className="text-xs text-slate-500 mt-0.5">Minutes × effort each week. Red weeks jumped well above the recent average.</p>
+      </div>
+
+      {thisWeek.spike && (
+        <div className="flex items-start gap-2 text-sm text-red-300 bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50 mb-3">
+          <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <span>
+            This week's load is {Math.round((thisWeek.load / thisWeek.baseline) * 10) / 10}× the recent average.
+            Consider an easier day, especially for throwing arms.
+          </span>
+        </div>
+      )}
+
+      <div className="h-36">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={weeks} margin={{ top: 10, right: 10, left: -15, bottom: 0 }}>
+            <XAxis
+              dataKey="label"
+              tick={{ fontSize: 10, fill: '#94a3b8' }}
+              axisLine={{ stroke: '#334155' }}
+              tickLine={false}
+              interval={1}
+            />
+            <YAxis tick={{ fontSize: 10, fill: '#94a3b8' }} axisLine={false} tickLine={false} />
+            <Tooltip
+              formatter={(value, name, item) => [
+                `${value}${item.payload.baseline ? ` (avg ${Math.round(item.payload.baseline)})` : ''}`,
+                'Load'
+              ]}
+              contentStyle={{
+                backgroundColor: '#1e293b',
+                border: '1px solid #334155',
+                borderRadius: '8px',
+                fontSize: '13px',
+                color: '#e2e8f0'
+              }}
+            />
+            <Bar dataKey="load" radius={[4, 4, 0, 0]}>
+              {weeks.map(week => (
+                <Cell key={week.key} fill={week.spike ? '#f87171' : '#d4a418'} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      {soreSpots.length > 0 && (
+        <p className="text-xs text-slate-400 mt-3">
+          Sore in the last {SORENESS_WINDOW_DAYS} days:{' '}
+          {soreSpots.map(([id, count]) => `${sorenessLabel(id)}${count > 1 ? ` ×${count}` : ''}`).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// GOALS
+// ----------------------------------------------------------------------------
+// A goal is free text, optionally with a measurable target: a number of
+// practices, minutes in the goal's skill area, or uses of its linked drill.
+// Targets are counted per week, per month, or in total from when the goal was
+// set, and an optional deadline closes the counting window.
+const GOAL_TARGET_TYPES = [
+  { id: 'practices', label: 'Practices', unit: 'practices' },
+  { id: 'minutes', label: 'Minutes', unit: 'min' },
+  { id: 'drill_uses', label: 'Drill uses', unit: 'times' }, // needs a linked drill (Pro)
+];
+
+// How a goal ended. Goals deactivated before statuses existed have no status.
+const GOAL_OUTCOMES = [
+  { id: 'completed', label: 'Completed', icon: Trophy, className: 'text-emerald-400' },
+  { id: 'abandoned', label: 'Abandoned', icon: Flag, className: 'text-slate-400' },
+];
+
+const getGoalOutcome = (status) =>
+  GOAL_OUTCOMES.find(o => o.id === status) || { id: 'ended', label: 'Ended', icon: Archive, className: 'text-slate-500' };
+
+// Every goal an athlete has set, finished ones most recently closed first
+const fetchGoalHistory = async (athleteId) => {
+  const { data, error } = await db.from('goals').select()
+    .eq('athlete_id', athleteId)
+    .order('closed_at', { ascending: false })
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(g => ({ ...toGoal(g), skill: g.skill }));
+};
+
+function GoalProgressBar({ goal, progress, description }) {
+  const unit = GOAL_TARGET_TYPES.find(t => t.id === goal.targetType)?.unit || '';
+
+  let deadlineLabel = null;
+  if (progress.daysLeft !== null) {
+    if (progress.daysLeft < 0) deadlineLabel = 'Past deadline';
+    else if (progress.daysLeft === 0) deadlineLabel = 'Due today';
+    else deadlineLabel = `${progress.daysLeft} day${progress.daysLeft === 1 ? '' : 's'} left`;
+  }
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center justify-between text-xs mb-1">
+        <span className="text-slate-400 truncate">{description}</span>
+        <span className={`font-medium flex-shrink-0 ml-2 ${progress.complete ? 'text-emerald-400' : 'text-slate-300'}`}>
+          {progress.current}/{progress.target} {unit}
+        </span>
+      </div>
+      <div className="h-2 rounded-full bg-slate-700 overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all ${progress.complete ? 'bg-emerald-500' : 'bg-amber-500'}`}
+          style={{ width: `${progress.percent}%` }}
+        />
+      </div>
+      {deadlineLabel && (
+        <p className={`text-xs mt-1 ${progress.daysLeft < 0 && !progress.complete ? 'text-red-400' : 'text-slate-500'}`}>
+          {deadlineLabel} · {formatDate(goal.deadline)}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function CloseGoalModal({ goal, skill, sport, progress, saving, onClose, onSave }) {
+  const [status, setStatus] = useState(progress?.complete ? 'completed' : '');
+  const [closedAt, setClosedAt] = useState(toDateKey(new Date()));
+  const [reflection, setReflection] = useState('');
+  const focusOption = getFocusOption(sport, skill);
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center p-4">
+      <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg modal-content">
+        <div className="px-5 py-4 border-b border-slate-700 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-slate-100">Finish Goal</h2>
+          <button onClick={onClose} className="p-2 -mr-2 hover:bg-slate-700 rounded-full">
+            <X className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-4">
+          <div>
+            <p className="text-xs text-slate-500">{focusOption.emoji} {focusOption.label}</p>
+            <p className="text-slate-200">{goal.text}</p>
+            {progress && (
+              <p className="text-xs text-slate-400 mt-1">Reached {progress.current} of {progress.target}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            {GOAL_OUTCOMES.map(outcome => {
+              const Icon = outcome.icon;
+              return (
+                <button
+                  key={outcome.id}
+                  onClick={() => setStatus(outcome.id)}
+                  className={`focus-chip flex items-center justify-center gap-2 ${status === outcome.id ? 'selected' : ''}`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {outcome.label}
+                </button>
+              );
+            })}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">Date</label>
+            <input
+              type="date"
+              value={closedAt}
+              max={toDateKey(new Date())}
+              onChange={(e) => setClosedAt(e.target.value)}
+              className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">
+              How did it go? <span className="text-slate-500 font-normal">(optional)</span>
+            </label>
+            <textarea
+              value={reflection}
+              onChange={(e) => setReflection(e.target.value)}
+              placeholder="e.g., Stuck with it even on busy weeks"
+              rows={3}
+              maxLength={500}
+              className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100 placeholder:text-slate-500 resize-none"
+            />
+          </div>
+        </div>
+
+        <div className="px-5 py-4 border-t border-slate-700 flex gap-3">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 py-3 rounded-xl border border-slate-600 font-medium text-slate-300 hover:bg-slate-700 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave({ status, closedAt, reflection: reflection.trim() })}
+            disabled={!status || !closedAt || saving}
+            className="flex-1 btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function GoalHistoryView({ athlete, sport, customDrills, onBack }) {
+  const [history, setHistory] = useState(null);
+  const [outcomeFilter, setOutcomeFilter] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchGoalHistory(athlete.id)
+      .then(goals => { if (!cancelled) setHistory(goals); })
+      .catch(err => {
+        console.error('Error loading goal history:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => { cancelled = true; };
+  }, [athlete.id]);
+
+  const finished = (history || []).filter(g => !g.isActive);
+  const active = (history || []).filter(g => g.isActive);
+  const completedCount = finished.filter(g => g.status === 'completed').length;
+  const shown = outcomeFilter ? finished.filter(g => getGoalOutcome(g.status).id === outcomeFilter) : finished;
+
+  const renderGoal = (goal) => {
+    const focusOption = getFocusOption(sport, goal.skill);
+    const outcome = getGoalOutcome(goal.isActive ? 'active' : goal.status);
+    const Icon = goal.isActive ? Target : outcome.icon;
+    const target = describeGoalTarget(goal, {
+      focusLabel: focusOption.label,
+      drillName: findDrill(goal.linkedDrillId, customDrills)?.name
+    });
+
+    return (
+      <div key={goal.id} className="p-4 flex items-start gap-3">
+        <Icon className={`w-4 h-4 mt-1 flex-shrink-0 ${goal.isActive ? 'text-amber-400' : outcome.className}`} />
+        <div className="flex-1 min-w-0">
+          <p className="text-xs text-slate-500">
+            {focusOption.emoji} {focusOption.label}
+            {!goal.isActive && ` · ${outcome.label}${goal.closedAt ? ` ${formatDate(goal.closedAt)}` : ''}`}
+          </p>
+          <p className="text-slate-200">{goal.text}</p>
+          {target && target !== goal.text && <p className="text-xs text-slate-400 mt-0.5">{target}</p>}
+          {goal.closingReflection && (
+            <p className="text-sm text-slate-400 italic mt-1">"{goal.closingReflection}"</p>
+          )}
+          {goal.createdAt && (
+            <p className="text-xs text-slate-600 mt-1">Set {formatDate(toDateKey(new Date(goal.createdAt)))}</p>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <main className="max-w-lg mx-auto px-4 py-6 pb-32 space-y-5">
+      <div className="flex items-center gap-2">
+        <button onClick={onBack} className="p-2 -ml-2 rounded-full hover:bg-slate-700 text-slate-400" title="Back">
+          <ChevronLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h2 className="text-lg font-semibold text-slate-100">Goal History</h2>
+          <p className="text-xs text-slate-500">
+            {history === null ? 'Loading…' : `${completedCount} completed · ${finished.length} finished in total`}
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-3 py-2 rounded-lg border border-red-800/50">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {history === null && !error ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-6 h-6 text-amber-400 animate-spin" />
+        </div>
+      ) : (
+        <>
+          {active.length > 0 && (
+            <div className="card overflow-hidden">
+              <p className="px-4 pt-4 text-xs font-medium text-slate-400 uppercase tracking-wide">In progress</p>
+              <div className="divide-y divide-slate-700">{active.map(renderGoal)}</div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            {[{ id: '', label: 'All' }, ...GOAL_OUTCOMES].map(option => (
+              <button
+                key={option.id}
+                onClick={() => setOutcomeFilter(option.id)}
+                className={`drill-chip ${outcomeFilter === option.id ? 'selected' : ''}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="card overflow-hidden">
+            {shown.length === 0 ? (
+              <p className="p-6 text-center text-slate-500 italic">
+                {finished.length === 0 ? 'Finished goals will show up here.' : 'No goals match this filter.'}
+              </p>
+            ) : (
+              <div className="divide-y divide-slate-700">{shown.map(renderGoal)}</div>
+            )}
+          </div>
+        </>
+      )}
+    </main>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// PRACTICE HISTORY
+// ----------------------------------------------------------------------------
+const EMPTY_HISTORY_FILTERS = { search: '', from: '', to: '', focus: '', drillId: '' };
+
+function HistoryView({ athlete, sport, isPro, streaks, drillCatalog, reloadToken, userId, memberNames, games = [], onBack, onEdit, onDelete, onEditGame }) {
+  const [filters, setFilters] = useState(EMPTY_HISTORY_FILTERS);
+  const [searchInput, setSearchInput] = useState('');
+  const [pageSessions, setPageSessions] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [nextOffset, setNextOffset] = useState(0); // server rows loaded so far
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Debounce the free-text search so we don't query on every keystroke
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      setFilters(prev => (prev.search === searchInput ? prev : { ...prev, search: searchInput }));
+    }, 300);
+    return () => clearTimeout(timeoutId);
+  }, [searchInput]);
+
+  // Reload the first page whenever filters change or practices are edited/deleted
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadFirstPage = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const page = await fetchSessionPage(athlete.id, filters, 0);
+        if (cancelled) return;
+        setPageSessions(page.sessions);
+        setTotal(page.total);
+        setNextOffset(page.nextOffset);
+      } catch (err) {
+        console.error('Error loading history:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadFirstPage();
+    return () => { cancelled = true; };
+  }, [athlete.id, filters, reloadToken]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    setError(null);
+    try {
+      const page = await fetchSessionPage(athlete.id, filters, nextOffset);
+      setPageSessions(prev => [...prev, ...page.sessions]);
+      setTotal(page.total);
+      setNextOffset(page.nextOffset);
+    } catch (err) {
+      console.error('Error loading history:', err);
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  // Games have no focus, drills or notes to match, so only date filters keep them.
+  // They're interleaved down to the oldest practice loaded so far.
+  const oldestLoaded = total !== null && nextOffset < total ? pageSessions[pageSessions.length - 1]?.date : null;
+  const shownGames = filters.search || filters.focus || filters.drillId ? [] : games.filter(g =>
+    (!filters.from || g.date >= filters.from)
+    && (!filters.to || g.date <= filters.to)
+    && (!oldestLoaded || g.date >= oldestLoaded));
+  const entries = [
+    ...pageSessions.map(session => ({ type: 'session', date: session.date, session })),
+    ...shownGames.map(game => ({ type: 'game', date: game.date, game }))
+  ].sort((a, b) => b.date.localeCompare(a.date));
+  const inputClass = 'w-full px-3 py-2 rounded-lg border border-slate-600 bg-slate-700 text-sm text-slate-100 outline-none focus:border-amber-500 placeholder:text-slate-500';
+
+  return (
+    <main className="max-w-lg mx-auto px-4 py-6 pb-32 space-y-5">
+      <div className="flex items-center gap-2">
+        <button onClick={onBack} className="p-2 -ml-2 rounded-full hover:bg-slate-700 text-slate-400" title="Back">
+          <ChevronLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h2 className="text-lg font-semibold text-slate-100">Practice History</h2>
+          <p className="text-xs text-slate-500">
+            {total === null ? 'Loading…' : `${total} practice${total === 1 ? '' : 's'}${hasFilters ? ' match' : ' logged'}`}
+            {shownGames.length > 0 && ` · ${shownGames.length} game${shownGames.length === 1 ? '' : 's'}`}
+          </p>
+        </div>
+      </div>
+
+      <div className="card p-4">
+        <StreakSummary streaks={streaks} />
+      </div>
+
+      {/* Filters */}
+      <div className="card p-4 space-y-3">
+        <div className="relative">
+          <Search className="w-4 h-4 text-slate-500 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search notes and reflections"
+            className={`${inputClass} pl-9`}
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">From</label>
+            <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">To</label>
+            <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className={inputClass} />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {sport.focusOptions.map(opt => (
+            <button
+              key={opt.id}
+              onClick={() => setFilter('focus', filters.focus === opt.id ? '' : opt.id)}
+              className={`drill-chip ${filters.focus === opt.id ? 'selected' : ''}`}
+            >
+              {opt.emoji} {opt.label}
+            </button>
+          ))}
+        </div>
+
+        {isPro && (
+          <select value={filters.drillId} onChange={(e) => setFilter('drillId', e.target.value)} className={inputClass}>
+            <option value="">Any drill</option>
+            {sport.focusOptions.map(opt => (
+              <optgroup key={opt.id} label={opt.label}>
+                {drillCatalog[opt.id]?.map(drill => (
+                  <option key={drill.id} value={drill.id}>{drill.name}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        )}
+
+        {hasFilters && (
+          <button
+            onClick={() => {
+              setFilters(EMPTY_HISTORY_FILTERS);
+              setSearchInput('');
+            }}
+            className="text-xs text-amber-400 font-medium"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-400 text-sm bg-red-900/30 px-4 py-3 rounded-xl border border-red-800/50">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {/* Results */}
+      <div className="card overflow-hidden">
+        {loading ? (
+          <div className="p-8 flex justify-center">
+            <Loader2 className="w-6 h-6 animate-spin text-amber-500" />
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="text-slate-500 text-sm italic text-center py-8">
+            {hasFilters ? 'No practices match these filters' : 'No practices logged yet'}
+          </p>
+        ) : (
+          <div className="divide-y divide-slate-700/50">
+            {entries.map(({ type, session, game }) => type === 'game' ? (
+              <GameRow key={game.id} game={game} sport={sport} showDate onEdit={onEditGame} />
+            ) : (
+              <div key={session.id} className="p-4 flex items-start gap-3 group">
+                <div className="w-10 h-10 rounded-full bg-amber-500/20 flex items-center justify-center text-lg flex-shrink-0">
+                  {session.focus[0] ? getFocusOption(sport, session.focus[0]).emoji : sport.emoji}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-slate-200">{formatDate(session.date)}</p>
+                  <p className="text-xs text-slate-400 truncate">
+                    {session.focus.map(f => getFocusOption(sport, f).label).join(', ')}
+                  </p>
+                  {session.note && <p className="text-xs text-slate-400 italic mt-1">"{session.note}"</p>}
+                  {session.reflection && <p className="text-xs text-slate-500 mt-0.5">Felt better: {session.reflection}</p>}
+                  {checkInSummary(session) && <p className="text-xs text-slate-500 mt-0.5">{checkInSummary(session)}</p>}
+                  {loggedByName(session, userId, memberNames) && (
+                    <p className="text-xs text-slate-500 mt-0.5">Logged by {loggedByName(session, userId, memberNames)}</p>
+                  )}
+                </div>
+                <div className="text-right flex items-center gap-2">
+                  <p className="text-sm font-medium text-slate-300">{session.duration}m</p>
+                  <button
+                    onClick={() => onEdit(session)}
+                    className="p-1.5 rounded-lg text-slate-500 hover:text-amber-400 hover:bg-slate-700 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity"
+                    title="Edit practice"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(session.id)}
+                    className="p-1.5 rounded-lg text-slate-500 hover:text-red-400 hover:bg-slate-700 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity"
+                    title="Delete practice"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        {!loading && total !== null && nextOffset < total && (
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="w-full p-3 text-sm text-amber-400 font-medium hover:bg-slate-700/50 border-t border-slate-700 flex items-center justify-center gap-2"
+          >
+            {loadingMore && <Loader2 className="w-4 h-4 animate-spin" />}
+            Load more ({total - nextOffset} older)
+          </button>
+        )}
+      </div>
+    </main>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// CALENDAR
+// ----------------------------------------------------------------------------
+// Minutes at which a day reaches full heatmap intensity (months with longer
+// practices scale up to their busiest day instead)
+const CALENDAR_FULL_MINUTES = 60;
+
+function CalendarView({ sessions, games = [], sport, onBack, onEdit, onDelete, onLogForDate, onLogGameForDate, onEditGame }) {
+  const todayKey = toDateKey(new Date());
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const [selectedDate, setSelectedDate] = useState(todayKey);
+
+  const sessionsByDate = useMemo(() => {
+    const byDate = {};
+    sessions.forEach(s => {
+      (byDate[s.date] = byDate[s.date] || []).push(s);
+    });
+    return byDate;
+  }, [sessions]);
+
+  const gamesByDate = useMemo(() => {
+    const byDate = {};
+    games.forEach(g => {
+      (byDate[g.date] = byDate[g.date] || []).push(g);
+    });
+    return byDate;
+  }, [games]);
+
+  // Leading blanks so the 1st lands on its weekday, then one cell per day
+  const cells = useMemo(() => {
+    const days = [];
+    const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    for (let i = 0; i < month.getDay(); i++) days.push(null);
+    for (let d = 1; d <= daysInMonth; d++) {
+      const key = toDateKey(new Date(month.getFullYear(), month.getMonth(), d));
+      const daySessions = sessionsByDate[key] || [];
+      days.push({
+        key,
+        day: d,
+        minutes: daySessions.reduce((sum, s) => sum + s.duration, 0),
+        focus: [...new Set(daySessions.flatMap(s => s.focus || []))],
+        hasGame: Boolean(gamesByDate[key])
+      });
+    }
+    return days;
+  }, [month, sessionsByDate, gamesByDate]);
+
+  const monthDays = cells.filter(Boolean);
+  const maxMinutes = Math.max(CALENDAR_FULL_MINUTES, ...monthDays.map(c => c.minutes));
+  const monthMinutes = monthDays.reduce((sum, c) => sum + c.minutes, 0);
+  const monthPracticeDays = monthDays.filter(c => c.minutes > 0).length;
+  const selectedSessions = sessionsByDate[selectedDate] || [];
+  const selectedGames = gamesByDate[selectedDate] || [];
+  const monthGames = monthDays.filter(c => c.hasGame).length;
+
+  const shiftMonth = (delta) => {
+    setMonth(prev => new Date(prev.getFullYear(), prev.getMonth() + delta, 1));
+  };
+
+  return (
+    <main className="max-w-lg mx-auto px-4 py-6 pb-32 space-y-5">
+      <div className="flex items-center gap-2">
+        <button onClick={onBack} className="p-2 -ml-2 rounded-full hover:bg-slate-700 text-slate-400" title="Back">
+          <ChevronLeft className="w-5 h-5" />
+        </button>
+        <h2 className="text-lg font-semibold text-slate-100">Practice Calendar</h2>
+      </div>
+
+      <div className="card p-4">
+        <div className="flex items-center justify-between mb-4">
+          <button onClick={() => shiftMonth(-1)} className="p-2 rounded-full hover:bg-slate-700 text-slate-400" title="Previous month">
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <div className="text-center">
+            <p className="font-semibold text-slate-100">
+              {month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+            </p>
+            <p className="text-xs text-slate-500">
+              {monthPracticeDays} practice day{monthPracticeDays === 1 ? '' : 's'} · {monthMinutes} min
+              {monthGames > 0 && ` · ${monthGames} game day${monthGames === 1 ? '' : 's'}`}
+            </p>
+          </div>
+          <button onClick={() => shiftMonth(1)} className="p-2 rounded-full hover:bg-slate-700 text-slate-400" title="Next month">
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-7 gap-1 text-center mb-1">
+          {WEEKDAYS.map(day => (
+            <span key={day.id} className="text-xs text-slate-500">{day.short}</span>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-7 gap-1">
+          {cells.map((cell, i) => cell ? (
+            <button
+              key={cell.key}
+              onClick={() => setSelectedDate(cell.key)}
+              title={[cell.minutes > 0 && `${cell.minutes} min`, cell.hasGame && 'Game'].filter(Boolean).join(' · ') || undefined}
+              className={`relative aspect-square rounded-lg flex flex-col items-center justify-center gap-1 border-2 transition ${
+                cell.key === selectedDate ? 'border-amber-400' : cell.key === todayKey ? 'border-slate-500' : 'border-transparent'
+              }`}
+              style={{
+                backgroundColor: cell.minutes > 0
+                  ? `rgba(212, 164, 24, ${0.15 + 0.6 * (cell.minutes / maxMinutes)})`
+                  : '#334155'
+              }}
+            >
+              {cell.hasGame && <Trophy className="absolute top-0.5 right-0.5 w-3 h-3 text-sky-400" />}
+              <span className={`text-xs font-medium ${cell.minutes > 0 ? 'text-slate-900' : 'text-slate-400'}`}>
+                {cell.day}
+              </span>
+              {cell.focus.length > 0 && (
+                <span className="flex gap-0.5">
+                  {cell.focus.map(f => (
+                    <span
+                      key={f}
+                      className="w-1.5 h-1.5 rounded-full"
+                      style={{ backgroundColor: getFocusOption(sport, f).color }}
+                    />
+                  ))}
+                </span>
+              )}
+            </button>
+          ) : (
+            <span key={`blank-${i}`} />
+          ))}
+        </div>
+
+        <div className="flex flex-wrap gap-3 mt-4">
+          {sport.focusOptions.map(opt => (
+            <span key={opt.id} className="flex items-center gap-1.5 text-xs text-slate-400">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: opt.color || FALLBACK_FOCUS_COLOR }} />
+              {opt.label}
+            </span>
+          ))}
+          <span className="flex items-center gap-1.5 text-xs text-slate-400">
+            <Trophy className="w-3 h-3 text-sky-400" />
+            Game
+          </span>
+        </div>
+      </div>
+
+      {/* Selected day */}
+      <div className="card overflow-hidden">
+        <div className="p-4 border-b border-slate-700 flex items-center justify-between">
+          <p className="text-sm font-medium text-slate-200">{formatDate(selectedDate)}</p>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => onLogGameForDate(selectedDate)}
+              className="flex items-center gap-1 text-xs text-sky-400 font-medium"
+            >
+              <Trophy className="w-3.5 h-3.5" />
+              Log game
+            </button>
+            <button
+              onClick={() => onLogForDate(selectedDate)}
+              className="flex items-center gap-1 text-xs text-amber-400 font-medium"
+            >
+              <Plus className="w-3.5 h-3.5" />
+              Log practice
+            </button>
+          </div>
+        </div>
+        {selectedGames.length > 0 && (
+          <div className="divide-y divide-slate-700/50 border-b border-slate-700/50">
+            {selectedGames.map(game => (
+              <GameRow key={game.id} game={game} sport={sport} onEdit={onEditGame} />
+            ))}
+          </div>
+        )}
+        {selectedSessions.length === 0 ? (
+          <p className="text-slate-500 text-sm italic text-center py-6">No practice logged this day</p>
+        ) : (
+          <div className="divide-y divide-slate-700/50">
+            {selectedSessions.map(session => (
+              <div key={session.id} className="p-4 flex items-center gap-3 group">
+                <div className="w-10 h-10 rounded-full bg-amber-500/20 flex items-center justify-center text-lg">
+                  {session.focus[0] ? getFocusOption(sport, session.focus[0]).emoji : sport.emoji}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-slate-200 truncate">
+                    {session.focus.map(f => getFocusOption(sport, f).label).join(', ')}
+                  </p>
+                  {session.note && <p className="text-xs text-slate-400 italic truncate">"{session.note}"</p>}
+                </div>
+                <div className="text-right flex items-center gap-2">
+                  <p className="text-sm font-medium text-slate-300">{session.duration}m</p>
+                  <button
+                    onClick={() => onEdit(session)}
+                    className="p-1.5 rounded-lg text-slate-500 hover:text-amber-400 hover:bg-slate-700 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity"
+                    title="Edit practice"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(session.id)}
+                    className="p-1.5 rounded-lg text-slate-500 hover:text-red-400 hover:bg-slate-700 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity"
+                    title="Delete practice"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </main>
+  );
+}
+
+// ----------------------------------------------------------------------------
+// QUICK LOG DRAFT
+// ----------------------------------------------------------------------------
+// When the session expires with Quick Log open, its fields are stashed in
+// localStorage and the modal reopens, filled in, once the same account signs
+// back in. Field names follow the Quick Log state (logDate -> date, ...).
+const QUICK_LOG_DRAFT_KEY = 'quickLogDraft';
+
+const loadQuickLogDraft = (userId) => {
+  try {
+    const draft = JSON.parse(localStorage.getItem(QUICK_LOG_DRAFT_KEY));
+    return draft?.userId === userId ? draft : null;
+  } catch {
+    return null;
+  }
+};
+
+const saveQuickLogDraft = (draft) => {
+  if (draft) localStorage.setItem(QUICK_LOG_DRAFT_KEY, JSON.stringify(draft));
+  else localStorage.removeItem(QUICK_LOG_DRAFT_KEY);
+};
+
+// ----------------------------------------------------------------------------
+// MAIN APP COMPONENT
+// ----------------------------------------------------------------------------
+function PracticeTrackerApp() {
+  const { user, profile, signOut, refreshProfile } = useAuth();
+  
+  // Data state
+  const [athlete, setAthlete] = useState(null);
+  const [athletes, setAthletes] = useState([]); // Pro: all athletes
+  const [sessions, setSessions] = useState([]);
+  const [historyVersion, setHistoryVersion] = useState(0); // bumped when a practice is edited or deleted, so History refetches
+  const [goals, setGoals] = useState({});
+  const [drillUses, setDrillUses] = useState([]); // Pro: { id, sessionId, drillId } for drill goals
+  const [drillFrequency, setDrillFrequency] = useState([]);
+  const [customDrills, setCustomDrills] = useState([]); // Pro: drills of every visible athlete's owner, incl. archived
+  const [customSports, setCustomSports] = useState([]); // likewise for sports
+  const [athleteAccess, setAthleteAccess] = useState({}); // athlete id -> { role, shared }
+  const [athleteMembers, setAthleteMembers] = useState([]); // athlete_members rows for the current athlete
+  const [pendingInvites, setPendingInvites] = useState([]); // invites to this account's email
+  const [assignments, setAssignments] = useState([]); // practice plans for the current athlete
+  const [templates, setTemplates] = useState([]); // practice templates for the current athlete, most used first
+  const [games, setGames] = useState([]); // game results for the current athlete, most recent first
+  const [pendingWrites, setPendingWrites] = useState([]); // offline writes waiting to sync
+  
+  // UI state
+  const [quickLogDraft] = useState(() => loadQuickLogDraft(user.id)); // stashed when the last session expired
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showQuickLog, setShowQuickLog] = useState(Boolean(quickLogDraft));
+  const [showGoalEdit, setShowGoalEdit] = useState(null);
+  const [showProUpsell, setShowProUpsell] = useState(false);
+  const [showAddAthlete, setShowAddAthlete] = useState(false);
+  const [showRestoreBackup, setShowRestoreBackup] = useState(false);
+  const [showCsvImport, setShowCsvImport] = useState(false);
+  const [view, setView] = useState('home'); // 'home' | 'history' | 'calendar' | 'goals' | 'team' | 'drill'
+  const [detailDrillId, setDetailDrillId] = useState(null); // drill shown in the 'drill' view
+  const [showStreakSettings, setShowStreakSettings] = useState(false);
+  const [showSportSettings, setShowSportSettings] = useState(false);
+  const [editingAthlete, setEditingAthlete] = useState(null); // athlete open in Athlete Settings
+  const [showShareAthlete, setShowShareAthlete] = useState(false);
+  const [showTeams, setShowTeams] = useState(false);
+  const [showAssignPlan, setShowAssignPlan] = useState(false);
+  const [showCompletedPlans, setShowCompletedPlans] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(null); // template draft to edit, or true for the list
+  const [timer, setTimer] = useState(() => loadTimer(user.id)); // running (or stopped, unsaved) practice, persisted across reloads
+  const [showGameLog, setShowGameLog] = useState(null); // game to edit, or { date } for a new one
+  const [showTimer, setShowTimer] = useState(false);
+  const [showCustomDrills, setShowCustomDrills] = useState(null); // focus id to preselect, or true
+  const [saving, setSaving] = useState(false);
+  
+  // Derived state
+  const isPro = profile?.is_pro && (!profile?.pro_expires_at || new Date(profile.pro_expires_at) > new Date());
+  console.log('isPro check:', { is_pro: profile?.is_pro, expires: profile?.pro_expires_at, isPro });
+
+  // ----------------------------------------------------------------------------
+  // DATA FETCHING
+  // ----------------------------------------------------------------------------
+  useEffect(() => {
+    if (user) {
+      loadData();
+    }
+  }, [user]);
+
+  // Replay offline writes when the connection comes back, and swap temp ids
+  // for real ones in local state as queued inserts reach the server
+  useEffect(() => {
+    const unsubscribe = writeQueue.subscribe(({ pending, remapped, failed }) => {
+      setPendingWrites(pending);
+
+      if (Object.keys(remapped).length > 0) {
+        setSessions(prev => prev.map(s => remapped[s.id] ? { ...s, id: remapped[s.id] } : s));
+        setAthletes(prev => prev.map(a => remapped[a.id] ? { ...a, id: remapped[a.id] } : a));
+        setAthlete(prev => prev && remapped[prev.id] ? { ...prev, id: remapped[prev.id] } : prev);
+        setDrillUses(prev => prev.map(u => ({
+          ...u,
+          id: remapped[u.id] || u.id,
+          sessionId: remapped[u.sessionId] || u.sessionId
+        })));
+      }
+
+      if (failed.length > 0) {
+        setError(`${failed.length} offline change${failed.length === 1 ? '' : 's'} could not be synced: ${failed[0].error.message}`);
+      }
+    });
+
+    const handleOnline = () => writeQueue.flush();
+    window.addEventListener('online', handleOnline);
+
+    writeQueue.notify();
+    writeQueue.flush();
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
+
+  // Follow the selected athlete live. Resubscribes whenever the athlete changes
+  // (handleSelectAthlete, archive/delete), dropping the old channel first.
+  const athleteId = athlete?.id;
+  useEffect(() => {
+    if (!athleteId || isTempId(athleteId)) return;
+
+    return subscribeToAthlete(athleteId, (table, payload) => {
+      if (table === 'sessions') setSessions(prev => mergeSessionChange(prev, payload));
+      if (table === 'goals') setGoals(prev => mergeGoalChange(prev, payload));
+      setDrillUses(prev => mergeDrillUseChange(prev, table, payload));
+    });
+  }, [athleteId]);
+
+  const loadData = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      // Invites waiting for this account's email (shown even before any athletes exist)
+      const { data: inviteData, error: inviteError } = await db.from('athlete_members').select('*,athletes(name)')
+        .eq('invited_email', user.email.toLowerCase())
+        .is('accepted_at', null);
+
+      if (inviteError) throw inviteError;
+      setPendingInvites(inviteData || []);
+
+      // Fetch athletes I own (Pro gets all, Free gets 1)
+      const { data: ownedData, error: athleteError } = await db.from('athletes').select()
+        .eq('profile_id', user.id)
+        .is('archived_at', null)
+        .limit(isPro ? 10 : 1);
+
+      if (athleteError) throw athleteError;
+
+      // ...plus athletes shared with me
+      const { data: membershipData, error: membershipError } = await db.from('athlete_members').select('role,athletes(*)')
+        .eq('profile_id', user.id);
+
+      if (membershipError) throw membershipError;
+
+      const access = {};
+      (ownedData || []).forEach(a => { access[a.id] = { role: 'owner', shared: false }; });
+      const sharedAthletes = (membershipData || [])
+        .filter(m => m.athletes && !m.athletes.archived_at && !access[m.athletes.id])
+        .map(m => {
+          access[m.athletes.id] = { role: m.role, shared: true };
+          return m.athletes;
+        });
+
+      const athleteData = [...(ownedData || []), ...sharedAthletes].slice(0, isPro ? undefined : 1);
+
+      if (athleteData.length === 0) {
+        setShowAddAthlete(true);
+        setLoading(false);
+        return;
+      }
+
+      setAthletes(athleteData);
+      setAthleteAccess(access);
+
+      // Custom sports and drills belong to an account, not an athlete: load ours
+      // and those of every shared athlete's owner
+      const ownerIds = [...new Set([user.id, ...athleteData.map(a => a.profile_id)])];
+      const { data: sportData, error: sportError } = await db.from('custom_sports').select()
+        .in('profile_id', ownerIds)
+        .order('name');
+
+      if (sportError) throw sportError;
+      setCustomSports(sportData || []);
+
+      // Custom drills are Pro only
+      if (isPro) {
+        const { data: drillData, error: drillError } = await db.from('custom_drills').select()
+          .in('profile_id', ownerIds)
+          .order('name');
+
+        if (drillError) throw drillError;
+        setCustomDrills(drillData || []);
+      }
+      
+      // Check localStorage for previously selected athlete
+      const savedAthleteId = localStorage.getItem('selectedAthleteId');
+      const savedAthlete = savedAthleteId 
+        ? athleteData.find(a => a.id === savedAthleteId) 
+        : null;
+      
+      // Use saved athlete if found, otherwise first athlete
+      const currentAthlete = savedAthlete || athleteData[0];
+      setAthlete(currentAthlete);
+      
+      // Save selection to localStorage
+      localStorage.setItem('selectedAthleteId', currentAthlete.id);
+
+      // Load data for this athlete
+      await loadAthleteData(currentAthlete.id);
+
+    } catch (err) {
+      console.error('Error loading data:', err);
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const loadAthleteData = async (athleteId) => {
+    try {
+      // Fetch sessions (most recent first). Streaks, Pro charts and exports
+      // all need the full history, not just the latest page.
+      const sessionData = await fetchAllSessions(athleteId);
+
+      // Include practices logged offline that haven't synced yet
+      const sessionRows = await writeQueue.overlay('sessions', sessionData || [], { athlete_id: athleteId });
+      setSessions(sortSessions(sessionRows.map(toSession)));
+
+      // Who else can see this athlete (drives "logged by" and the share dialog)
+      const { data: memberData, error: memberError } = await db.from('athlete_members').select()
+        .eq('athlete_id', athleteId)
+        .order('created_at');
+
+      if (memberError) throw memberError;
+      setAthleteMembers(memberData || []);
+
+      // Practice plans, soonest due first (no due date last)
+      const { data: assignmentData, error: assignmentError } = await db.from('assignments').select()
+        .eq('athlete_id', athleteId)
+        .order('due_date')
+        .order('created_at');
+
+      if (assignmentError) throw assignmentError;
+      setAssignments((assignmentData || []).map(toAssignment));
+
+      // Practice templates, most used first
+      const { data: templateData, error: templateError } = await db.from('practice_templates').select()
+        .eq('athlete_id', athleteId);
+
+      if (templateError) throw templateError;
+      setTemplates(sortTemplates((templateData || []).map(toTemplate)));
+
+      // Games (a season's worth is small enough to load in full)
+      const { data: gameData, error: gameError } = await db.from('games').select()
+        .eq('athlete_id', athleteId)
+        .order('date', { ascending: false });
+
+      if (gameError) throw gameError;
+      setGames((gameData || []).map(toGame));
+
+      // Fetch active goals
+      const { data: goalData, error: goalError } = await db.from('goals').select()
+        .eq('athlete_id', athleteId)
+        .eq('is_active', true);
+
+      if (goalError) throw goalError;
+
+      const goalsMap = {};
+      (goalData || []).forEach(g => {
+        goalsMap[g.skill] = toGoal(g);
+      });
+      setGoals(goalsMap);
+
+      // Drill uses feed progress on drill-count goals (Pro only)
+      setDrillUses(isPro ? await fetchDrillUses(athleteId) : []);
 
       // Fetch drill frequency (Pro only)
       if (isPro) {
-        const { data: drillData } = await db.select('drill_frequency', {
-          eq: { athlete_id: athleteId },
-          order: { column: 'times_used', ascending: false },
-          limit: 10
+        const { data: drillData } = await db.from('drill_frequency').select()
+          .eq('athlete_id', athleteId)
+          .order('times_used', { ascending: false })
+          .limit(10);
+        setDrillFrequency(drillData || []);
+      }
+
+    } catch (err) {
+      console.error('Error loading athlete data:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Switch athlete (Pro only)
+  const handleSelectAthlete = async (selectedAthlete) => {
+    setAthlete(selectedAthlete);
+    localStorage.setItem('selectedAthleteId', selectedAthlete.id);
+    setLoading(true);
+    await loadAthleteData(selectedAthlete.id);
+  };
+  
+  // Quick log state
+  const [logDate, setLogDate] = useState(quickLogDraft?.date ?? new Date().toISOString().split('T')[0]);
+  const [logDuration, setLogDuration] = useState(quickLogDraft?.duration ?? 30);
+  const [logFocus, setLogFocus] = useState(quickLogDraft?.focus ?? []);
+  const [logNote, setLogNote] = useState(quickLogDraft?.note ?? '');
+  const [logReflection, setLogReflection] = useState(quickLogDraft?.reflection ?? '');
+  const [logDrills, setLogDrills] = useState(quickLogDraft?.drills ?? []);
+  const [editingSession, setEditingSession] = useState(quickLogDraft?.editingSession ?? null); // { id, drillIds } when editing
+  const [logAssignmentId, setLogAssignmentId] = useState(quickLogDraft?.assignmentId ?? ''); // practice plan this log fulfils
+  const [logTemplateId, setLogTemplateId] = useState(quickLogDraft?.templateId ?? ''); // template this log was filled from
+  const [logDrillMinutes, setLogDrillMinutes] = useState(quickLogDraft?.drillMinutes ?? {}); // drill id -> minutes, from the practice timer
+  const [logFromTimer, setLogFromTimer] = useState(false); // saving this log clears the stopped timer
+  const [logDrillMetrics, setLogDrillMetrics] = useState(quickLogDraft?.drillMetrics ?? {}); // drill id -> { metric id: value }
+  const [logRpe, setLogRpe] = useState(quickLogDraft?.rpe ?? null);
+  const [logEnjoyment, setLogEnjoyment] = useState(quickLogDraft?.enjoyment ?? null);
+  const [logSoreness, setLogSoreness] = useState(quickLogDraft?.soreness ?? []);
+
+  // The restored draft now lives in state
+  useEffect(() => {
+    if (quickLogDraft) saveQuickLogDraft(null);
+  }, [quickLogDraft]);
+
+  // Stash an open Quick Log if the session expires, since signing out unmounts it
+  useEffect(() => {
+    if (!showQuickLog) return;
+    return onSessionExpired(() => saveQuickLogDraft({
+      userId: user.id,
+      date: logDate,
+      duration: logDuration,
+      focus: logFocus,
+      note: logNote,
+      reflection: logReflection,
+      drills: logDrills,
+      editingSession,
+      assignmentId: logAssignmentId,
+      templateId: logTemplateId,
+      drillMinutes: logDrillMinutes,
+      drillMetrics: logDrillMetrics,
+      rpe: logRpe,
+      enjoyment: logEnjoyment,
+      soreness: logSoreness
+    }));
+  }, [
+    showQuickLog, user.id, logDate, logDuration, logFocus, logNote, logReflection, logDrills, editingSession,
+    logAssignmentId, logTemplateId, logDrillMinutes, logDrillMetrics, logRpe, logEnjoyment, logSoreness
+  ]);
+  
+  // Goal edit state
+  const [editGoalText, setEditGoalText] = useState('');
+  const [editGoalDrill, setEditGoalDrill] = useState(''); // Pro: linked_drill_id
+  const [editGoalTargetType, setEditGoalTargetType] = useState(''); // '' = no target
+  const [editGoalTargetValue, setEditGoalTargetValue] = useState('');
+  const [editGoalPeriod, setEditGoalPeriod] = useState('week');
+  const [editGoalDeadline, setEditGoalDeadline] = useState('');
+  const [editGoalReplacedStatus, setEditGoalReplacedStatus] = useState('completed'); // free tier
+  const [closingGoal, setClosingGoal] = useState(null); // skill of the goal being finished
+  const [showMorePractices, setShowMorePractices] = useState(false);
+  
+  // Calculate stats
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  const startOfWeek = new Date(today);
+  startOfWeek.setDate(today.getDate() - today.getDay());
+  
+  const weekSessions = sessions.filter(s => {
+    const [year, month, day] = s.date.split('-').map(Number);
+    const sessionDate = new Date(year, month - 1, day);
+    return sessionDate >= startOfWeek;
+  });
+  const practicesThisWeek = weekSessions.length;
+  const minutesThisWeek = weekSessions.reduce((sum, s) => sum + s.duration, 0);
+  const lastSession = sessions[0];
+  
+  const sport = useMemo(() => resolveSport(athlete?.sport, customSports), [athlete, customSports]);
+  // Editing lists only show what this account owns
+  const ownCustomSports = useMemo(() => customSports.filter(cs => cs.profile_id === user.id), [customSports, user.id]);
+  const ownCustomDrills = useMemo(() => customDrills.filter(d => d.profile_id === user.id), [customDrills, user.id]);
+  const drillCatalog = useMemo(() => buildDrillCatalog(sport, customDrills), [sport, customDrills]);
+
+  const streaks = useMemo(() => computeStreaks(sessions, streakSettings(athlete)), [sessions, athlete]);
+
+  const memberNames = useMemo(() => memberNamesFor(athleteMembers), [athleteMembers]);
+
+  const pendingSessionIds = useMemo(() => new Set([
+    ...pendingRowIds(pendingWrites, 'sessions'),
+    ...pendingRowIds(pendingWrites, 'session_drills', 'session_id')
+  ]), [pendingWrites]);
+
+  const activeGoals = Object.entries(goals).filter(([_, g]) => g?.isActive);
+
+  const openAssignments = assignments.filter(a => !a.fulfilledAt);
+  const completedAssignments = assignments
+    .filter(a => a.fulfilledAt)
+    .sort((a, b) => b.fulfilledAt.localeCompare(a.fulfilledAt));
+  const activeGoal = activeGoals[0]?.[1];
+
+  const goalProgress = useMemo(() => Object.fromEntries(
+    Object.entries(goals)
+      .filter(([, g]) => g?.isActive)
+      .map(([skill, g]) => [skill, computeGoalProgress(g, skill, sessions, drillUses)])
+  ), [goals, sessions, drillUses]);
+
+  const resetQuickLog = () => {
+    setLogDate(new Date().toISOString().split('T')[0]);
+    setLogDuration(30);
+    setLogFocus([]);
+    setLogNote('');
+    setLogReflection('');
+    setLogDrills([]);
+    setEditingSession(null);
+    setLogAssignmentId('');
+    setLogTemplateId('');
+    setLogDrillMinutes({});
+    setLogFromTimer(false);
+    setLogDrillMetrics({});
+    setLogRpe(null);
+    setLogEnjoyment(null);
+    setLogSoreness([]);
+  };
+
+  const closeQuickLog = () => {
+    setShowQuickLog(false);
+    if (editingSession) resetQuickLog();
+  };
+
+  // Open a fresh Quick Log for a specific day (e.g. from the calendar)
+  const openQuickLogForDate = (date) => {
+    resetQuickLog();
+    setLogDate(date);
+    setShowQuickLog(true);
+  };
+
+  // Prefill Quick Log from a practice plan: its drills, total minutes and their focus areas
+  const applyAssignmentToLog = (assignmentId) => {
+    setLogAssignmentId(assignmentId);
+    const assignment = assignments.find(a => a.id === assignmentId);
+    if (!assignment) return;
+
+    const drillIds = assignment.drills.map(d => d.drillId);
+    setLogDrills(isPro ? drillIds : []);
+    setLogDuration(planTotalMinutes(assignment.drills) || 30);
+    setLogFocus([...new Set(drillIds.map(id => focusForDrill(drillCatalog, id)).filter(Boolean))]);
+  };
+
+  // Prefill Quick Log from a practice template
+  const applyTemplateToLog = (templateId) => {
+    setLogTemplateId(templateId);
+    const template = templates.find(t => t.id === templateId);
+    if (!template) return;
+
+    setLogDuration(template.duration);
+    setLogFocus(template.focus);
+    setLogDrills(isPro ? template.drillIds : []);
+    setLogNote(template.note);
+  };
+
+  const openQuickLogForAssignment = (assignment) => {
+    resetQuickLog();
+    applyAssignmentToLog(assignment.id);
+    setShowQuickLog(true);
+  };
+
+  // Reopen the Quick Log modal prefilled with an existing practice
+  const openEditPractice = async (session) => {
+    setError(null);
+
+    let drillIds = [];
+    let drillMetrics = {};
+    if (isPro) {
+      try {
+        // A practice logged offline only exists in the write queue so far
+        const { data: drillRows, error: drillError } = isTempId(session.id)
+          ? { data: [], error: null }
+          : await db.from('session_drills').select('drill_id,metrics')
+            .eq('session_id', session.id);
+
+        if (drillError) throw drillError;
+
+        const allDrillRows = await writeQueue.overlay('session_drills', drillRows || [], { session_id: session.id });
+        drillIds = allDrillRows.map(d => d.drill_id);
+        drillMetrics = Object.fromEntries(allDrillRows.filter(d => d.metrics).map(d => [d.drill_id, d.metrics]));
+      } catch (err) {
+        console.error('Error loading practice drills:', err);
+        setError(err.message);
+        return;
+      }
+    }
+
+    setLogDate(session.date);
+    setLogDuration(session.duration);
+    setLogFocus(session.focus);
+    setLogNote(session.note);
+    setLogReflection(session.reflection);
+    setLogRpe(session.rpe);
+    setLogEnjoyment(session.enjoyment);
+    setLogSoreness(session.soreness);
+    setLogDrills(drillIds);
+    setLogDrillMetrics(drillMetrics);
+    setEditingSession({ id: session.id, drillIds, drillMetrics });
+    setShowQuickLog(true);
+  };
+
+  // Insert a new practice (and its drills on Pro) and add it to the list.
+  // Callers handle saving/error state.
+  const logSession = async (sessionFields, drillIds, { minutes = {}, metrics = {} } = {}) => {
+    const { data: newSession, error: sessionError } = await db.from('sessions').insert({
+      athlete_id: athlete.id,
+      logged_by: user.id,
+      ...sessionFields
+    });
+
+    if (sessionError) throw sessionError;
+
+    if (isPro && drillIds.length > 0) {
+      const { data: drillRows, error: drillError } = await db.from('session_drills').insert(drillIds.map(drillId => ({
+        session_id: newSession.id,
+        drill_id: drillId,
+        minutes: minutes[drillId] || null,
+        metrics: cleanDrillMetrics(metrics[drillId])
+      })));
+
+      if (drillError) throw drillError;
+
+      setDrillUses(prev => addDrillUses(prev, drillRows.map(toDrillUse)));
+    }
+
+    setSessions(prev => sortSessions(upsertById(prev, toSession(newSession))));
+    return newSession;
+  };
+
+  const handleQuickLog = async () => {
+    if (logFocus.length === 0 || !athlete) return;
+    
+    setSaving(true);
+    setError(null);
+
+    const sessionFields = {
+      date: logDate,
+      duration_minutes: logDuration,
+      focus: logFocus,
+      note: logNote || null,
+      reflection: logReflection || null,
+      rpe: logRpe,
+      enjoyment: logEnjoyment,
+      soreness: logSoreness.length > 0 ? logSoreness : null
+    };
+
+    try {
+      if (editingSession) {
+        const { data: updatedRows, error: sessionError } = await db.from('sessions').update(sessionFields)
+          .eq('id', editingSession.id);
+
+        if (sessionError) throw sessionError;
+
+        // Reconcile session_drills: drop deselected drills, add newly selected ones
+        if (isPro) {
+          const removedDrills = editingSession.drillIds.filter(d => !logDrills.includes(d));
+          const addedDrills = logDrills.filter(d => !editingSession.drillIds.includes(d));
+
+          if (removedDrills.length > 0) {
+            const { error: drillError } = await db.from('session_drills').delete()
+              .eq('session_id', editingSession.id)
+              .in('drill_id', removedDrills);
+
+            if (drillError) throw drillError;
+          }
+
+          let addedRows = [];
+          if (addedDrills.length > 0) {
+            const { data, error: drillError } = await db.from('session_drills').insert(addedDrills.map(drillId => ({
+              session_id: editingSession.id,
+              drill_id: drillId,
+              metrics: cleanDrillMetrics(logDrillMetrics[drillId])
+            })));
+
+            if (drillError) throw drillError;
+            addedRows = data;
+          }
+
+          // Kept drills only need a write when their counts changed
+          for (const drillId of logDrills.filter(d => editingSession.drillIds.includes(d))) {
+            const metrics = cleanDrillMetrics(logDrillMetrics[drillId]);
+            if (JSON.stringify(metrics) === JSON.stringify(cleanDrillMetrics(editingSession.drillMetrics[drillId]))) continue;
+
+            const { error: drillError } = await db.from('session_drills').update({ metrics })
+              .eq('session_id', editingSession.id)
+              .eq('drill_id', drillId);
+
+            if (drillError) throw drillError;
+          }
+
+          setDrillUses(prev => addDrillUses(
+            prev.filter(u => u.sessionId !== editingSession.id || logDrills.includes(u.drillId)),
+            addedRows.map(toDrillUse)
+          ));
+        }
+
+        const updatedSession = updatedRows?.[0]
+          ? toSession(updatedRows[0])
+          : toSession({ id: editingSession.id, ...sessionFields });
+
+        setSessions(prev => sortSessions(
+          prev.map(s => s.id === editingSession.id ? updatedSession : s)
+        ));
+        setHistoryVersion(v => v + 1);
+      } else {
+        const newSession = await logSession(sessionFields, logDrills, {
+          minutes: logDrillMinutes,
+          metrics: logDrillMetrics
+        });
+
+        if (logAssignmentId) {
+          const fulfilledAt = new Date().toISOString();
+          const { error: assignmentError } = await db.from('assignments').update({
+            fulfilled_session_id: newSession.id,
+            fulfilled_at: fulfilledAt
+          }).eq('id', logAssignmentId);
+
+          if (assignmentError) throw assignmentError;
+
+          setAssignments(prev => prev.map(a => a.id === logAssignmentId
+            ? { ...a, fulfilledSessionId: newSession.id, fulfilledAt }
+            : a));
+        }
+
+        if (logTemplateId) await markTemplateUsed(logTemplateId);
+        if (logFromTimer) updateTimer(null);
+      }
+      
+      resetQuickLog();
+      setShowQuickLog(false);
+
+    } catch (err) {
+      console.error('Error saving session:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleFocus = (id) => {
+    setLogFocus(prev => 
+      prev.includes(id) ? prev.filter(f => f !== id) : [...prev, id]
+    );
+  };
+
+  const toggleDrill = (drillId) => {
+    setLogDrills(prev =>
+      prev.includes(drillId) ? prev.filter(d => d !== drillId) : [...prev, drillId]
+    );
+  };
+
+  const setDrillMetric = (drillId, metricId, value) => {
+    setLogDrillMetrics(prev => ({
+      ...prev,
+      [drillId]: { ...prev[drillId], [metricId]: value }
+    }));
+  };
+
+  const openDrillDetail = (drillId) => {
+    setDetailDrillId(drillId);
+    setView('drill');
+  };
+
+  // Open the goal modal on a skill area, prefilled with its active goal (if any)
+  const openGoalEdit = (skill) => {
+    const goal = goals[skill]?.isActive ? goals[skill] : null;
+    setShowGoalEdit(skill);
+    setEditGoalText(goal?.text || '');
+    setEditGoalDrill(goal?.linkedDrillId || '');
+    setEditGoalTargetType(goal?.targetType || '');
+    setEditGoalTargetValue(goal?.targetValue ? String(goal.targetValue) : '');
+    setEditGoalPeriod(goal?.targetPeriod || 'week');
+    setEditGoalDeadline(goal?.deadline || '');
+    setEditGoalReplacedStatus('completed');
+  };
+
+  // Mark a goal completed or abandoned; it leaves the home card and stays in Goal History
+  const closeGoal = async (skill, { status, closedAt, reflection }) => {
+    const goal = goals[skill];
+    if (!goal?.id) return;
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { error } = await db.from('goals').update({
+        is_active: false,
+        status,
+        closed_at: closedAt,
+        closing_reflection: reflection || null
+      }).eq('id', goal.id);
+
+      if (error) throw error;
+
+      setGoals(prev => ({ ...prev, [skill]: null }));
+      setClosingGoal(null);
+    } catch (err) {
+      console.error('Error finishing goal:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveGoal = async (skill) => {
+    if (!athlete) return;
+    
+    setSaving(true);
+    setError(null);
+
+    // Drill-linked goals are Pro only
+    const linkedDrillId = isPro && editGoalDrill ? editGoalDrill : null;
+
+    const targetValue = parseInt(editGoalTargetValue, 10);
+    const hasTarget = editGoalTargetType && targetValue > 0 &&
+      (editGoalTargetType !== 'drill_uses' || linkedDrillId);
+    const goalFields = {
+      // A measurable goal doesn't need its own text; describe the target instead
+      text: editGoalText.trim() || (hasTarget
+        ? describeGoalTarget(
+            { targetType: editGoalTargetType, targetValue, targetPeriod: editGoalPeriod },
+            { focusLabel: getFocusOption(sport, skill).label, drillName: findDrill(linkedDrillId, customDrills)?.name }
+          )
+        : ''),
+      linked_drill_id: linkedDrillId,
+      target_type: hasTarget ? editGoalTargetType : null,
+      target_value: hasTarget ? targetValue : null,
+      target_period: editGoalPeriod,
+      deadline: editGoalDeadline || null
+    };
+
+    try {
+      // Finished goals stay in history; a new goal never overwrites one
+      const existingGoal = goals[skill]?.isActive ? goals[skill] : null;
+
+      if (!goalFields.text) {
+        throw new Error('Describe the goal or give it a target');
+      } else if (existingGoal?.id) {
+        const { error } = await db.from('goals').update(goalFields)
+          .eq('id', existingGoal.id);
+        
+        if (error) throw error;
+        
+        setGoals(prev => ({
+          ...prev,
+          [skill]: toGoal({ ...existingGoal, ...goalFields, created_at: existingGoal.createdAt, is_active: true })
+        }));
+      } else {
+        // Free tier has one goal at a time; the current one moves to history
+        // with the outcome picked in the goal modal
+        if (!isPro) {
+          const otherActiveGoals = Object.entries(goals)
+            .filter(([k, g]) => k !== skill && g?.isActive);
+          
+          for (const [, g] of otherActiveGoals) {
+            if (g?.id) {
+              const { error: closeError } = await db.from('goals').update({
+                is_active: false,
+                status: editGoalReplacedStatus,
+                closed_at: toDateKey(new Date())
+              }).eq('id', g.id);
+
+              if (closeError) throw closeError;
+            }
+          }
+        }
+
+        const { data: newGoal, error } = await db.from('goals').insert({
+          athlete_id: athlete.id,
+          skill: skill,
+          ...goalFields,
+          is_active: true,
+          status: 'active'
+        });
+        
+        if (error) throw error;
+        
+        const updatedGoals = { ...goals };
+        if (!isPro) {
+          Object.keys(updatedGoals).forEach(k => {
+            if (k !== skill) updatedGoals[k] = null;
+          });
+        }
+        updatedGoals[skill] = toGoal(newGoal);
+        setGoals(updatedGoals);
+      }
+      
+      setShowGoalEdit(null);
+      setEditGoalText('');
+      setEditGoalDrill('');
+      setEditGoalTargetType('');
+      setEditGoalTargetValue('');
+
+    } catch (err) {
+      console.error('Error saving goal:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ----------------------------------------------------------------------------
+  // CREATE ATHLETE
+  // ----------------------------------------------------------------------------
+  const [newAthleteName, setNewAthleteName] = useState('');
+  const [newAthleteSport, setNewAthleteSport] = useState(DEFAULT_SPORT_ID);
+
+  const createAthlete = async () => {
+    if (!newAthleteName.trim()) return;
+    
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { data: newAthlete, error } = await db.from('athletes').insert({
+        profile_id: user.id,
+        name: newAthleteName.trim(),
+        sport: newAthleteSport
+      });
+
+      if (error) throw error;
+
+      setAthletes(prev => [...prev, newAthlete]);
+      setAthleteAccess(prev => ({ ...prev, [newAthlete.id]: { role: 'owner', shared: false } }));
+      setAthlete(newAthlete);
+      setShowAddAthlete(false);
+      setNewAthleteName('');
+      setNewAthleteSport(DEFAULT_SPORT_ID);
+
+    } catch (err) {
+      console.error('Error creating athlete:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ----------------------------------------------------------------------------
+  // SPORTS
+  // ----------------------------------------------------------------------------
+  const saveAthleteSport = async (sportId) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { error } = await db.from('athletes').update({ sport: sportId }).eq('id', athlete.id);
+
+      if (error) throw error;
+
+      const updatedAthlete = { ...athlete, sport: sportId };
+      setAthlete(updatedAthlete);
+      setAthletes(prev => prev.map(a => a.id === updatedAthlete.id ? updatedAthlete : a));
+      setShowSportSettings(false);
+    } catch (err) {
+      console.error('Error saving sport:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Returns the new custom_sports row, or null if it couldn't be saved
+  const createCustomSport = async (sportFields) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { data: newSport, error } = await db.from('custom_sports').insert({
+        profile_id: user.id,
+        ...sportFields
+      });
+
+      if (error) throw error;
+      setCustomSports(prev => [...prev, newSport]);
+      return newSport;
+    } catch (err) {
+      console.error('Error creating sport:', err);
+      setError(err.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ----------------------------------------------------------------------------
+  // CUSTOM DRILLS
+  // ----------------------------------------------------------------------------
+  // Returns true on success so the drill form knows to close
+  const saveCustomDrill = async (drill) => {
+    setSaving(true);
+    setError(null);
+
+    const fields = {
+      name: drill.name.trim(),
+      sport: drill.sport || DEFAULT_SPORT_ID,
+      focus: drill.focus,
+      difficulty: drill.difficulty,
+      description: drill.description.trim() || null,
+      video_url: drill.video_url.trim() || null,
+      metrics: normalizeDrillMetrics(drill.metrics || [])
+    };
+
+    try {
+      if (drill.id) {
+        // Keep the id stable so existing session_drills rows still point at this drill
+        const { error } = await db.from('custom_drills').update(fields)
+          .eq('id', drill.id);
+
+        if (error) throw error;
+        setCustomDrills(prev => prev.map(d => d.id === drill.id ? { ...d, ...fields } : d));
+      } else {
+        const { data: newDrill, error } = await db.from('custom_drills').insert({
+          profile_id: user.id,
+          ...fields
         });
-        setDrillFrequency(drillData || []);
+
+        if (error) throw error;
+        setCustomDrills(prev => [...prev, newDrill]);
       }
+      return true;
+    } catch (err) {
+      console.error('Error saving drill:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Archiving hides a drill from pickers without touching past practices
+  const setCustomDrillArchived = async (drill, archived) => {
+    setSaving(true);
+    setError(null);
 
+    const archivedAt = archived ? new Date().toISOString() : null;
+
+    try {
+      const { error } = await db.from('custom_drills').update({ archived_at: archivedAt }).eq('id', drill.id);
+
+      if (error) throw error;
+      setCustomDrills(prev => prev.map(d => d.id === drill.id ? { ...d, archived_at: archivedAt } : d));
     } catch (err) {
-      console.error('Error loading athlete data:', err);
+      console.error('Error archiving drill:', err);
       setError(err.message);
     } finally {
-      setLoading(false);
+      setSaving(false);
     }
   };
 
-  // Switch athlete (Pro only)
-  const handleSelectAthlete = async (selectedAthlete) => {
-    setAthlete(selectedAthlete);
-    localStorage.setItem('selectedAthleteId', selectedAthlete.id);
-    setLoading(true);
-    await loadAthleteData(selectedAthlete.id);
+  // ----------------------------------------------------------------------------
+  // STREAK SETTINGS
+  // ----------------------------------------------------------------------------
+  const saveStreakSettings = async (updates) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { error } = await db.from('athletes').update(updates)
+        .eq('id', athlete.id);
+
+      if (error) throw error;
+
+      const updatedAthlete = { ...athlete, ...updates };
+      setAthlete(updatedAthlete);
+      setAthletes(prev => prev.map(a => a.id === updatedAthlete.id ? updatedAthlete : a));
+      setShowStreakSettings(false);
+    } catch (err) {
+      console.error('Error saving streak settings:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ----------------------------------------------------------------------------
+  // DELETE PRACTICE
+  // ----------------------------------------------------------------------------
+  const deletePractice = async (sessionId) => {
+    if (!confirm('Delete this practice? This cannot be undone.')) return;
+    
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { error } = await db.from('sessions').delete().eq('id', sessionId);
+      if (error) throw error;
+      
+      setSessions(prev => prev.filter(s => s.id !== sessionId));
+      setHistoryVersion(v => v + 1);
+    } catch (err) {
+      console.error('Error deleting practice:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ----------------------------------------------------------------------------
+  // GAMES
+  // ----------------------------------------------------------------------------
+  const saveGame = async (form) => {
+    setSaving(true);
+    setError(null);
+
+    const fields = {
+      date: form.date,
+      opponent: form.opponent.trim(),
+      stats: cleanGameStats(form.stats),
+      note: form.note.trim() || null
+    };
+
+    try {
+      if (form.id) {
+        const { error } = await db.from('games').update(fields).eq('id', form.id);
+        if (error) throw error;
+        setGames(prev => sortGames(prev.map(g => g.id === form.id ? { ...g, ...toGame({ id: form.id, ...fields }), loggedBy: g.loggedBy } : g)));
+      } else {
+        const { data, error } = await db.from('games').insert({
+          athlete_id: athlete.id,
+          logged_by: user.id,
+          ...fields
+        });
+        if (error) throw error;
+        setGames(prev => sortGames([toGame(data), ...prev]));
+      }
+      setShowGameLog(null);
+    } catch (err) {
+      console.error('Error saving game:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteGame = async (game) => {
+    if (!confirm(`Delete the game vs ${game.opponent}? This cannot be undone.`)) return;
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { error } = await db.from('games').delete().eq('id', game.id);
+      if (error) throw error;
+      setGames(prev => prev.filter(g => g.id !== game.id));
+      setShowGameLog(null);
+    } catch (err) {
+      console.error('Error deleting game:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ----------------------------------------------------------------------------
+  // PRACTICE PLANS
+  // ----------------------------------------------------------------------------
+  const assignPlan = async (plan) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const newAssignment = await createAssignments({
+        athleteIds: [athlete.id],
+        assignedBy: user.id,
+        assignedByEmail: user.email,
+        plan
+      });
+
+      setAssignments(prev => [...prev, toAssignment(newAssignment)]);
+      setShowAssignPlan(false);
+    } catch (err) {
+      console.error('Error assigning plan:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ----------------------------------------------------------------------------
+  // PRACTICE TIMER
+  // ----------------------------------------------------------------------------
+  const updateTimer = (next) => {
+    saveTimer(user.id, next);
+    setTimer(next);
+  };
+
+  // Athlete the timer belongs to; null once they're archived or deleted
+  const timerAthlete = timer ? athletes.find(a => a.id === timer.athleteId) || null : null;
+
+  const startPractice = () => {
+    updateTimer(newTimer(athlete.id));
+    setShowTimer(true);
+  };
+
+  // Stop the clock and hand the real numbers to Quick Log. The stopped timer
+  // is kept until that log saves, so this also reopens it after a cancel or reload.
+  const stopPractice = () => {
+    const stopped = stopTimer(timer);
+    const drillMinutes = isPro ? timerDrillMinutes(stopped) : {};
+    const drillIds = Object.keys(drillMinutes);
+
+    resetQuickLog();
+    setLogDuration(Math.max(1, Math.round(timerElapsedMs(stopped) / 60000)));
+    setLogFocus([...new Set([
+      ...stopped.focus,
+      ...drillIds.map(id => focusForDrill(drillCatalog, id)).filter(Boolean)
+    ])]);
+    setLogDrills(drillIds);
+    setLogDrillMinutes(drillMinutes);
+    setLogFromTimer(true);
+
+    updateTimer(stopped);
+    setShowTimer(false);
+    setShowQuickLog(true);
+  };
+
+  const discardPractice = () => {
+    if (!confirm('Discard this practice? The timer will be cleared and nothing is logged.')) return;
+    updateTimer(null);
+    setShowTimer(false);
+  };
+
+  // ----------------------------------------------------------------------------
+  // PRACTICE TEMPLATES
+  // ----------------------------------------------------------------------------
+  // Returns true on success
+  const saveTemplate = async (form) => {
+    setSaving(true);
+    setError(null);
+
+    const fields = {
+      name: form.name.trim(),
+      duration_minutes: form.duration,
+      focus: form.focus,
+      drill_ids: isPro ? form.drillIds.filter(id => findDrill(id, customDrills)) : [],
+      note: form.note.trim() || null
+    };
+
+    try {
+      if (form.id) {
+        const { error } = await db.from('practice_templates').update(fields).eq('id', form.id);
+        if (error) throw error;
+
+        const updated = toTemplate({ id: form.id, use_count: form.useCount, ...fields });
+        setTemplates(prev => sortTemplates(prev.map(t => t.id === form.id ? updated : t)));
+      } else {
+        const { data, error } = await db.from('practice_templates').insert({ athlete_id: athlete.id, ...fields });
+        if (error) throw error;
+        setTemplates(prev => sortTemplates([...prev, toTemplate(data)]));
+      }
+      return true;
+    } catch (err) {
+      console.error('Error saving template:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!confirm(`Delete the template "${template.name}"?`)) return;
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { error } = await db.from('practice_templates').delete().eq('id', template.id);
+      if (error) throw error;
+      setTemplates(prev => prev.filter(t => t.id !== template.id));
+    } catch (err) {
+      console.error('Error deleting template:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Bump a template's use count so the most used ones surface on the home screen
+  const markTemplateUsed = async (templateId) => {
+    const template = templates.find(t => t.id === templateId);
+    if (!template) return;
+
+    const { error } = await db.from('practice_templates').update({
+      use_count: template.useCount + 1,
+      last_used_at: new Date().toISOString()
+    }).eq('id', templateId);
+
+    if (error) throw error;
+    setTemplates(prev => sortTemplates(prev.map(t => t.id === templateId ? { ...t, useCount: t.useCount + 1 } : t)));
+  };
+
+  // One-tap log from the home screen: today's practice, exactly as the template says
+  const logFromTemplate = async (template) => {
+    if (!athlete) return;
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      await logSession({
+        date: toDateKey(new Date()),
+        duration_minutes: template.duration,
+        focus: template.focus,
+        note: template.note || null,
+        reflection: null
+      }, template.drillIds);
+      await markTemplateUsed(template.id);
+    } catch (err) {
+      console.error('Error logging template:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Open the template editor prefilled with whatever is in Quick Log right now
+  const saveLogAsTemplate = () => {
+    setShowTemplates({
+      ...EMPTY_TEMPLATE,
+      duration: logDuration,
+      focus: logFocus,
+      drillIds: logDrills,
+      note: logNote
+    });
+  };
+
+  const deleteAssignment = async (assignment) => {
+    if (!confirm(`Remove the plan "${assignment.title}"?`)) return;
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { error } = await db.from('assignments').delete().eq('id', assignment.id);
+      if (error) throw error;
+      setAssignments(prev => prev.filter(a => a.id !== assignment.id));
+    } catch (err) {
+      console.error('Error removing plan:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
   };
-  
-  // Quick log state
-  const [logDate, setLogDate] = useState(new Date().toISOString().split('T')[0]);
-  const [logDuration, setLogDuration] = useState(30);
-  const [logFocus, setLogFocus] = useState([]);
-  const [logNote, setLogNote] = useState('');
-  const [logReflection, setLogReflection] = useState('');
-  const [logDrills, setLogDrills] = useState([]);
-  
-  // Goal edit state
-  const [editGoalText, setEditGoalText] = useState('');
-  const [showMorePractices, setShowMorePractices] = useState(false);
-  
-  // Calculate stats
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  const startOfWeek = new Date(today);
-  startOfWeek.setDate(today.getDate() - today.getDay());
-  
-  const weekSessions = sessions.filter(s => {
-    const [year, month, day] = s.date.split('-').map(Number);
-    const sessionDate = new Date(year, month - 1, day);
-    return sessionDate >= startOfWeek;
-  });
-  const practicesThisWeek = weekSessions.length;
-  const minutesThisWeek = weekSessions.reduce((sum, s) => sum + s.duration, 0);
-  const lastSession = sessions[0];
-  
-  const activeGoals = Object.entries(goals).filter(([_, g]) => g?.isActive);
-  const activeGoal = activeGoals[0]?.[1];
 
-  const handleQuickLog = async () => {
-    if (logFocus.length === 0 || !athlete) return;
-    
+  // ----------------------------------------------------------------------------
+  // FAMILY SHARING
+  // ----------------------------------------------------------------------------
+  // Returns true on success
+  const inviteMember = async (email, role) => {
+    const invitedEmail = email.trim().toLowerCase();
+    if (invitedEmail === user.email.toLowerCase()) {
+      setError("That's your own email");
+      return false;
+    }
+    if (athleteMembers.some(m => m.invited_email === invitedEmail)) {
+      setError(`${invitedEmail} already has access or a pending invite`);
+      return false;
+    }
+
     setSaving(true);
     setError(null);
 
     try {
-      const { data: newSession, error: sessionError } = await db.insert('sessions', {
+      const { data: newMember, error } = await db.from('athlete_members').insert({
         athlete_id: athlete.id,
-        date: logDate,
-        duration_minutes: logDuration,
-        focus: logFocus,
-        note: logNote || null,
-        reflection: logReflection || null
+        invited_email: invitedEmail,
+        role,
+        invited_by: user.id,
+        invited_by_email: user.email
       });
 
-      if (sessionError) throw sessionError;
-
-      if (isPro && logDrills.length > 0) {
-        for (const drillId of logDrills) {
-          const { error: drillError } = await db.insert('session_drills', {
-            session_id: newSession.id,
-            drill_id: drillId
-          }, { returnData: false });
-
-          if (drillError) throw drillError;
-        }
+      // Someone else invited them since we loaded the list
+      if (error instanceof ConflictError) {
+        setError(`${invitedEmail} already has access or a pending invite`);
+        return false;
       }
-
-      setSessions(prev => [{
-        id: newSession.id,
-        date: newSession.date,
-        duration: newSession.duration_minutes,
-        focus: newSession.focus,
-        note: newSession.note || '',
-        reflection: newSession.reflection || ''
-      }, ...prev]);
-      
-      setLogDate(new Date().toISOString().split('T')[0]);
-      setLogDuration(30);
-      setLogFocus([]);
-      setLogNote('');
-      setLogReflection('');
-      setLogDrills([]);
-      setShowQuickLog(false);
-
+      if (error) throw error;
+      setAthleteMembers(prev => [...prev, newMember]);
+      return true;
     } catch (err) {
-      console.error('Error saving session:', err);
+      console.error('Error inviting member:', err);
       setError(err.message);
+      return false;
     } finally {
       setSaving(false);
     }
   };
 
-  const toggleFocus = (id) => {
-    setLogFocus(prev => 
-      prev.includes(id) ? prev.filter(f => f !== id) : [...prev, id]
-    );
-  };
+  // Owners remove someone's access; anyone can remove themselves (leave)
+  const removeMember = async (member) => {
+    const leaving = member.profile_id === user.id;
+    const prompt = leaving
+      ? `Leave ${athlete.name}? You'll lose access to their practices.`
+      : `Remove ${member.invited_email}'s access to ${athlete.name}?`;
+    if (!confirm(prompt)) return;
 
-  const toggleDrill = (drillId) => {
-    setLogDrills(prev =>
-      prev.includes(drillId) ? prev.filter(d => d !== drillId) : [...prev, drillId]
-    );
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { error } = await db.from('athlete_members').delete().eq('id', member.id);
+      if (error) throw error;
+
+      if (leaving) {
+        setShowShareAthlete(false);
+        await loadData();
+      } else {
+        setAthleteMembers(prev => prev.filter(m => m.id !== member.id));
+      }
+    } catch (err) {
+      console.error('Error removing member:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
   };
 
-  const saveGoal = async (skill) => {
-    if (!athlete) return;
-    
+  const respondToInvite = async (invite, accept) => {
     setSaving(true);
     setError(null);
 
     try {
-      const existingGoal = goals[skill];
-      
-      if (!editGoalText) {
-        if (existingGoal?.id) {
-          const { error } = await db.delete('goals', {
-            eq: { id: existingGoal.id }
-          });
-          
-          if (error) throw error;
-        }
-        
-        setGoals(prev => ({ ...prev, [skill]: null }));
-      } else if (existingGoal?.id) {
-        const { error } = await db.update('goals', { text: editGoalText }, {
-          eq: { id: existingGoal.id }
-        });
-        
-        if (error) throw error;
-        
-        setGoals(prev => ({
-          ...prev,
-          [skill]: { ...existingGoal, text: editGoalText }
-        }));
-      } else {
-        if (!isPro) {
-          const otherActiveGoals = Object.entries(goals)
-            .filter(([k, g]) => k !== skill && g?.isActive);
-          
-          for (const [, g] of otherActiveGoals) {
-            if (g?.id) {
-              await db.update('goals', { is_active: false }, {
-                eq: { id: g.id }
-              });
-            }
-          }
-        }
+      const { error } = accept
+        ? await db.from('athlete_members').update({ profile_id: user.id, accepted_at: new Date().toISOString() })
+          .eq('id', invite.id)
+        : await db.from('athlete_members').delete().eq('id', invite.id);
 
-        const { data: newGoal, error } = await db.insert('goals', {
-          athlete_id: athlete.id,
-          skill: skill,
-          text: editGoalText,
-          is_active: true
-        });
-        
-        if (error) throw error;
-        
-        const updatedGoals = { ...goals };
-        if (!isPro) {
-          Object.keys(updatedGoals).forEach(k => {
-            if (k !== skill && updatedGoals[k]) {
-              updatedGoals[k] = { ...updatedGoals[k], isActive: false };
-            }
-          });
-        }
-        updatedGoals[skill] = { id: newGoal.id, text: newGoal.text, isActive: true };
-        setGoals(updatedGoals);
-      }
-      
-      setShowGoalEdit(null);
-      setEditGoalText('');
+      if (error) throw error;
 
+      setPendingInvites(prev => prev.filter(i => i.id !== invite.id));
+      if (accept) {
+        // Switch to the newly shared athlete once the list reloads
+        localStorage.setItem('selectedAthleteId', invite.athlete_id);
+        setShowAddAthlete(false);
+        await loadData();
+      }
     } catch (err) {
-      console.error('Error saving goal:', err);
+      console.error('Error responding to invite:', err);
       setError(err.message);
     } finally {
       setSaving(false);
@@ -1399,86 +6856,118 @@ function PracticeTrackerApp() {
   };
 
   // ----------------------------------------------------------------------------
-  // CREATE ATHLETE
+  // ATHLETE SETTINGS
   // ----------------------------------------------------------------------------
-  const [newAthleteName, setNewAthleteName] = useState('');
-
-  const createAthlete = async () => {
-    if (!newAthleteName.trim()) return;
-    
+  const saveAthleteProfile = async (target, fields) => {
     setSaving(true);
     setError(null);
 
     try {
-      const { data: newAthlete, error } = await db.insert('athletes', {
-        profile_id: user.id,
-        name: newAthleteName.trim()
-      });
-
+      const { error } = await db.from('athletes').update(fields).eq('id', target.id);
       if (error) throw error;
 
-      setAthletes(prev => [...prev, newAthlete]);
-      setAthlete(newAthlete);
-      setShowAddAthlete(false);
-      setNewAthleteName('');
+      setAthletes(prev => prev.map(a => a.id === target.id ? { ...a, ...fields } : a));
+      if (athlete?.id === target.id) setAthlete(prev => ({ ...prev, ...fields }));
+      setEditingAthlete(null);
+    } catch (err) {
+      console.error('Error saving athlete:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Drop an athlete from the switcher, moving to another one if it was selected
+  const removeAthleteFromList = async (removedId) => {
+    const remainingAthletes = athletes.filter(a => a.id !== removedId);
+    setAthletes(remainingAthletes);
+    setEditingAthlete(null);
+
+    if (athlete?.id === removedId) {
+      await handleSelectAthlete(remainingAthletes[0]);
+    }
+  };
+
+  // Archiving hides an athlete without touching their history
+  const archiveAthlete = async (target) => {
+    if (athleteAccess[target.id]?.role !== 'owner') {
+      setError('Only owners can archive an athlete');
+      return;
+    }
+
+    if (athletes.length <= 1) {
+      setError("Can't archive your only athlete");
+      return;
+    }
+
+    if (!confirm(`Archive ${target.name}? Their practices are kept and you can restore them later.`)) return;
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { error } = await db.from('athletes').update({ archived_at: new Date().toISOString() }).eq('id', target.id);
+      if (error) throw error;
 
+      await removeAthleteFromList(target.id);
     } catch (err) {
-      console.error('Error creating athlete:', err);
+      console.error('Error archiving athlete:', err);
       setError(err.message);
     } finally {
       setSaving(false);
     }
   };
 
-  // ----------------------------------------------------------------------------
-  // DELETE PRACTICE
-  // ----------------------------------------------------------------------------
-  const deletePractice = async (sessionId) => {
-    if (!confirm('Delete this practice? This cannot be undone.')) return;
-    
+  // Returns true on success
+  const restoreAthlete = async (target) => {
+    // Free accounts track a single athlete
+    if (!isPro && athletes.length >= 1) {
+      setShowProUpsell(true);
+      return false;
+    }
+
     setSaving(true);
     setError(null);
 
     try {
-      const { error } = await db.delete('sessions', sessionId);
+      const { error } = await db.from('athletes').update({ archived_at: null }).eq('id', target.id);
       if (error) throw error;
-      
-      setSessions(prev => prev.filter(s => s.id !== sessionId));
+
+      setAthletes(prev => [...prev, { ...target, archived_at: null }]);
+      setAthleteAccess(prev => ({ ...prev, [target.id]: { role: 'owner', shared: false } }));
+      return true;
     } catch (err) {
-      console.error('Error deleting practice:', err);
+      console.error('Error restoring athlete:', err);
       setError(err.message);
+      return false;
     } finally {
       setSaving(false);
     }
   };
 
-  // ----------------------------------------------------------------------------
-  // DELETE ATHLETE
-  // ----------------------------------------------------------------------------
-  const deleteAthlete = async (athleteToDelete) => {
+  // Permanent delete. The settings screen already made the owner type the
+  // athlete's name; this is the second confirmation.
+  const deleteAthlete = async (target) => {
+    if (athleteAccess[target.id]?.role !== 'owner') {
+      setError('Only owners can delete an athlete');
+      return;
+    }
+
     if (athletes.length <= 1) {
       setError("Can't delete your only athlete");
       return;
     }
     
-    if (!confirm(`Delete ${athleteToDelete.name} and all their practice data? This cannot be undone.`)) return;
+    if (!confirm(`Delete ${target.name} and all their practice data? This cannot be undone.`)) return;
     
     setSaving(true);
     setError(null);
 
     try {
-      const { error } = await db.delete('athletes', athleteToDelete.id);
+      const { error } = await db.from('athletes').delete().eq('id', target.id);
       if (error) throw error;
-      
-      const remainingAthletes = athletes.filter(a => a.id !== athleteToDelete.id);
-      setAthletes(remainingAthletes);
-      
-      // If we deleted the current athlete, switch to another one
-      if (athlete?.id === athleteToDelete.id) {
-        const newAthlete = remainingAthletes[0];
-        setAthlete(newAthlete);
-        localStorage.setItem('selectedAthleteId', newAthlete.id);
-      }
+
+      await removeAthleteFromList(target.id);
     } catch (err) {
       console.error('Error deleting athlete:', err);
       setError(err.message);
@@ -1487,21 +6976,6 @@ function PracticeTrackerApp() {
     }
   };
 
-  const formatDate = (dateStr) => {
-    const [year, month, day] = dateStr.split('-').map(Number);
-    const date = new Date(year, month - 1, day);
-    
-    const todayDate = new Date();
-    todayDate.setHours(0, 0, 0, 0);
-    
-    const yesterday = new Date(todayDate);
-    yesterday.setDate(yesterday.getDate() - 1);
-    
-    if (date.getTime() === todayDate.getTime()) return 'Today';
-    if (date.getTime() === yesterday.getTime()) return 'Yesterday';
-    return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-  };
-
   return (
     <div className="min-h-screen bg-slate-900" style={{ fontFamily: "'SF Pro Display', -apple-system, sans-serif" }}>
       <style>{`
@@ -1619,6 +7093,25 @@ function PracticeTrackerApp() {
           <div className="bg-white rounded-2xl w-full max-w-sm p-6">
             <h2 className="text-xl font-semibold text-stone-900 mb-2">Add Your Athlete</h2>
             <p className="text-sm text-stone-500 mb-4">Enter your child's first name to get started.</p>
+
+            {pendingInvites.length > 0 && (
+              <div className="mb-4 space-y-2">
+                {pendingInvites.map(invite => (
+                  <div key={invite.id} className="flex items-center gap-3 p-3 rounded-xl bg-emerald-50 border border-emerald-100">
+                    <p className="flex-1 text-sm text-stone-700">
+                      {invite.invited_by_email || 'Someone'} shared <span className="font-medium">{invite.athletes?.name || 'an athlete'}</span> with you
+                    </p>
+                    <button
+                      onClick={() => respondToInvite(invite, true)}
+                      disabled={saving}
+                      className="px-3 py-1.5 rounded-lg bg-emerald-600 text-sm font-medium text-white hover:bg-emerald-700 disabled:opacity-50"
+                    >
+                      Accept
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
             
             <input
               type="text"
@@ -1629,6 +7122,19 @@ function PracticeTrackerApp() {
               className="w-full px-4 py-3 rounded-xl border border-stone-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-100 outline-none mb-4"
             />
 
+            <select
+              value={newAthleteSport}
+              onChange={(e) => setNewAthleteSport(e.target.value)}
+              className="w-full px-4 py-3 rounded-xl border border-stone-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-100 outline-none mb-4 bg-white"
+            >
+              {Object.values(SPORT_PACKS).map(pack => (
+                <option key={pack.id} value={pack.id}>{pack.emoji} {pack.name}</option>
+              ))}
+              {ownCustomSports.map(cs => (
+                <option key={cs.id} value={cs.id}>{cs.emoji} {cs.name}</option>
+              ))}
+            </select>
+
             {error && (
               <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 px-3 py-2 rounded-lg mb-4">
                 <AlertCircle className="w-4 h-4 flex-shrink-0" />
@@ -1644,10 +7150,147 @@ function PracticeTrackerApp() {
               {saving && <Loader2 className="w-4 h-4 animate-spin" />}
               Continue
             </button>
+
+            <button
+              onClick={() => setShowRestoreBackup(true)}
+              className="w-full mt-3 text-sm text-stone-500 hover:text-stone-700"
+            >
+              Restoring from a backup?
+            </button>
+
+            {!athlete && (
+              <button
+                onClick={() => {
+                  setShowAddAthlete(false);
+                  setView('team');
+                }}
+                className="w-full mt-2 text-sm text-stone-500 hover:text-stone-700"
+              >
+                Just coaching a team?
+              </button>
+            )}
           </div>
         </div>
       )}
 
+      {/* Coach dashboard for accounts without athletes of their own */}
+      {!loading && !athlete && view === 'team' && (
+        <TeamDashboard
+          userId={user.id}
+          userEmail={user.email}
+          onBack={() => {
+            setView('home');
+            setShowAddAthlete(true);
+          }}
+        />
+      )}
+
+      {/* Restore Backup Modal */}
+      {showRestoreBackup && (
+        <RestoreBackupModal
+          onClose={() => setShowRestoreBackup(false)}
+          onRestored={() => {
+            setShowAddAthlete(false);
+            loadData();
+          }}
+        />
+      )}
+
+      {/* Share Athlete Modal */}
+      {showShareAthlete && athlete && (
+        <ShareAthleteModal
+          athlete={athlete}
+          members={athleteMembers}
+          access={athleteAccess[athlete.id]}
+          userId={user.id}
+          saving={saving}
+          error={error}
+          onClose={() => setShowShareAthlete(false)}
+          onInvite={inviteMember}
+          onRemove={removeMember}
+        />
+      )}
+
+      {/* Assign Practice Plan Modal */}
+      {showAssignPlan && athlete && (
+        <AssignmentBuilderModal
+          sport={sport}
+          drillCatalog={drillCatalog}
+          athletes={[athlete]}
+          saving={saving}
+          error={error}
+          onClose={() => setShowAssignPlan(false)}
+          onSave={assignPlan}
+        />
+      )}
+
+      {/* Athlete Teams Modal */}
+      {showTeams && athlete && (
+        <AthleteTeamsModal
+          athlete={athlete}
+          canEdit={Boolean(athleteAccess[athlete.id])}
+          onClose={() => setShowTeams(false)}
+          onOpenCoachDashboard={() => {
+            setShowTeams(false);
+            setView('team');
+          }}
+        />
+      )}
+
+      {/* Athlete Settings Modal */}
+      {editingAthlete && (
+        <AthleteSettingsModal
+          athlete={editingAthlete}
+          sport={resolveSport(editingAthlete.sport, customSports)}
+          role={athleteAccess[editingAthlete.id]?.role}
+          userId={user.id}
+          canRemove={athletes.length > 1}
+          saving={saving}
+          error={error}
+          onClose={() => setEditingAthlete(null)}
+          onSave={saveAthleteProfile}
+          onArchive={archiveAthlete}
+          onRestore={restoreAthlete}
+          onDelete={deleteAthlete}
+        />
+      )}
+
+      {/* Sport Settings Modal */}
+      {showSportSettings && athlete && (
+        <SportSettingsModal
+          athlete={athlete}
+          customSports={ownCustomSports}
+          saving={saving}
+          error={error}
+          onClose={() => setShowSportSettings(false)}
+          onSelectSport={saveAthleteSport}
+          onCreateSport={createCustomSport}
+        />
+      )}
+
+      {/* Streak Settings Modal */}
+      {showStreakSettings && athlete && (
+        <StreakSettingsModal
+          athlete={athlete}
+          saving={saving}
+          onClose={() => setShowStreakSettings(false)}
+          onSave={saveStreakSettings}
+        />
+      )}
+
+      {/* CSV Import Modal */}
+      {showCsvImport && athlete && (
+        <CsvImportModal
+          athletes={athletes}
+          currentAthlete={athlete}
+          customSports={customSports}
+          onClose={() => setShowCsvImport(false)}
+          onImported={(athleteId) => {
+            if (athleteId === athlete.id) loadAthleteData(athleteId);
+          }}
+        />
+      )}
+
       {/* Main App (only show when we have an athlete) */}
       {!loading && athlete && (
         <>
@@ -1660,10 +7303,19 @@ function PracticeTrackerApp() {
                   currentAthlete={athlete}
                   onSelectAthlete={handleSelectAthlete}
                   onAddAthlete={() => setShowAddAthlete(true)}
-                  onDeleteAthlete={deleteAthlete}
+                  onEditAthlete={setEditingAthlete}
+                  athleteAccess={athleteAccess}
                   isPro={isPro}
                 />
                 <p className="text-sm text-slate-400">
+                  <button
+                    onClick={() => setShowSportSettings(true)}
+                    className="hover:text-slate-200"
+                    title="Change sport"
+                  >
+                    {sport.emoji} {sport.name}
+                  </button>
+                  {' · '}
                   {new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
                 </p>
               </div>
@@ -1677,6 +7329,27 @@ function PracticeTrackerApp() {
                 >
                   {isPro ? '✨ Pro' : 'Free'}
                 </span>
+                <button
+                  onClick={() => setEditingAthlete(athlete)}
+                  className="p-2 rounded-full hover:bg-slate-700 text-slate-400"
+                  title="Athlete settings"
+                >
+                  <UserCog className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setShowTeams(true)}
+                  className="p-2 rounded-full hover:bg-slate-700 text-slate-400"
+                  title="Teams"
+                >
+                  <ClipboardList className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setShowShareAthlete(true)}
+                  className="p-2 rounded-full hover:bg-slate-700 text-slate-400"
+                  title={`Share ${athlete.name}`}
+                >
+                  <Users className="w-4 h-4" />
+                </button>
                 <button
                   onClick={signOut}
                   className="p-2 rounded-full hover:bg-slate-700 text-slate-400"
@@ -1697,18 +7370,105 @@ function PracticeTrackerApp() {
                 <button onClick={() => setError(null)} className="ml-auto">
                   <X className="w-4 h-4" />
                 </button>
-              </div>
+              </div>
+            </div>
+          )}
+
+      {view === 'history' ? (
+        <HistoryView
+          athlete={athlete}
+          isPro={isPro}
+          sport={sport}
+          streaks={streaks}
+          drillCatalog={drillCatalog}
+          reloadToken={historyVersion}
+          userId={user.id}
+          memberNames={memberNames}
+          games={games}
+          onBack={() => setView('home')}
+          onEdit={openEditPractice}
+          onDelete={deletePractice}
+          onEditGame={setShowGameLog}
+        />
+      ) : view === 'calendar' ? (
+        <CalendarView
+          sessions={sessions}
+          games={games}
+          sport={sport}
+          onBack={() => setView('home')}
+          onEdit={openEditPractice}
+          onDelete={deletePractice}
+          onLogForDate={openQuickLogForDate}
+          onLogGameForDate={(date) => setShowGameLog({ date })}
+          onEditGame={setShowGameLog}
+        />
+      ) : view === 'team' ? (
+        <TeamDashboard
+          userId={user.id}
+          userEmail={user.email}
+          onBack={() => setView('home')}
+        />
+      ) : view === 'goals' ? (
+        <GoalHistoryView
+          athlete={athlete}
+          sport={sport}
+          customDrills={customDrills}
+          onBack={() => setView('home')}
+        />
+      ) : view === 'drill' && detailDrillId ? (
+        <DrillDetailView
+          athlete={athlete}
+          drillId={detailDrillId}
+          customDrills={customDrills}
+          onBack={() => setView('home')}
+        />
+      ) : (
+      <main className="max-w-lg mx-auto px-4 py-6 pb-32 space-y-5">
+        
+        {/* Tagline */}
+        <div className="text-center pb-2">
+          <p className="text-sm text-slate-400 leading-relaxed">
+            Turn "I think we practiced" into something you can actually see.<br />
+            Track consistency and focus without overthinking it.
+          </p>
+        </div>
+
+        <PendingInvitesCard
+          invites={pendingInvites}
+          saving={saving}
+          onAccept={(invite) => respondToInvite(invite, true)}
+          onDecline={(invite) => respondToInvite(invite, false)}
+        />
+
+        {/* One-tap Templates */}
+        <div className="card p-4">
+          <div className="flex items-center justify-between mb-3">
+            <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Log a Usual Practice</p>
+            <button
+              onClick={() => setShowTemplates(true)}
+              className="flex items-center gap-1 text-xs text-amber-400 font-medium"
+            >
+              {templates.length > 0 ? 'Templates' : (<><Plus className="w-3.5 h-3.5" />New template</>)}
+            </button>
+          </div>
+          {templates.length === 0 ? (
+            <p className="text-xs text-slate-500">Save a routine you repeat and log it here in one tap.</p>
+          ) : (
+            <div className="grid grid-cols-3 gap-2">
+              {templates.slice(0, HOME_TEMPLATE_COUNT).map(template => (
+                <button
+                  key={template.id}
+                  onClick={() => logFromTemplate(template)}
+                  disabled={saving}
+                  className="p-3 rounded-xl bg-slate-700/60 border border-slate-600 hover:border-amber-500 text-left disabled:opacity-50"
+                  title={`Log ${template.name} for today`}
+                >
+                  <p className="text-sm font-medium text-slate-200 truncate">{template.name}</p>
+                  <p className="text-xs text-slate-500">{template.duration} min</p>
+                </button>
+              ))}
             </div>
           )}
-
-      <main className="max-w-lg mx-auto px-4 py-6 pb-32 space-y-5">
-        
-        {/* Tagline */}
-        <div className="text-center pb-2">
-          <p className="text-sm text-slate-400 leading-relaxed">
-            Turn "I think we practiced" into something you can actually see.<br />
-            Track consistency and focus without overthinking it.
-          </p>
         </div>
 
         {/* Quick Stats */}
@@ -1737,12 +7497,36 @@ function PracticeTrackerApp() {
           </div>
         </div>
 
+        {/* Streaks */}
+        <div className="card p-5">
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex items-center gap-2">
+              <Flame className="w-4 h-4 text-amber-400" />
+              <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Practice Streaks</p>
+            </div>
+            <button
+              onClick={() => setShowStreakSettings(true)}
+              className="p-1.5 -mr-1.5 rounded-lg text-slate-500 hover:text-slate-300 hover:bg-slate-700"
+              title="Streak settings"
+            >
+              <Settings className="w-4 h-4" />
+            </button>
+          </div>
+          <StreakSummary streaks={streaks} />
+        </div>
+
+        {/* Training Load */}
+        <TrainingLoadCard sessions={sessions} />
+
         {/* Pro Charts Section */}
         <ProChartsCard 
           sessions={sessions} 
-          focusOptions={FOCUS_OPTIONS} 
+          games={games}
+          sport={sport}
           athlete={athlete}
+          customDrills={customDrills}
           isPro={isPro} 
+          onRestoreBackup={() => setShowRestoreBackup(true)}
         />
 
         {/* Last Practice */}
@@ -1761,7 +7545,7 @@ function PracticeTrackerApp() {
             <p className="text-sm text-slate-400 mb-3">{formatDate(lastSession.date)}</p>
             <div className="flex flex-wrap gap-2 mb-2">
               {lastSession.focus.map(f => {
-                const opt = FOCUS_OPTIONS.find(o => o.id === f);
+                const opt = getFocusOption(sport, f);
                 return (
                   <span key={f} className="text-sm bg-slate-700 text-slate-300 px-2.5 py-1 rounded-full">
                     {opt?.emoji} {opt?.label}
@@ -1781,22 +7565,21 @@ function PracticeTrackerApp() {
             <div className="flex items-center gap-2">
               <Target className="w-4 h-4 text-amber-400" />
               <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">
-                Weekly Goal
+                {isPro ? 'Goals' : 'Goal'}
               </p>
               {isPro && <span className="pro-badge">Up to 3</span>}
             </div>
             <button 
               onClick={() => {
-                const skill = Object.entries(goals).find(([_, g]) => g?.isActive)?.[0] || 'hitting';
-                setShowGoalEdit(skill);
-                setEditGoalText(goals[skill]?.text || '');
+                const skill = Object.entries(goals).find(([_, g]) => g?.isActive)?.[0] || sport.focusOptions[0]?.id;
+                openGoalEdit(skill);
               }}
               className="text-xs text-amber-400 font-medium"
             >
               {activeGoals.length > 0 ? 'Edit' : 'Add'}
             </button>
           </div>
-          <p className="text-xs text-slate-500 mb-3">The main focus or objective you're working toward this week.</p>
+          <p className="text-xs text-slate-500 mb-3">What you're working toward. Add a target to track progress.</p>
           
           {isPro ? (
             activeGoals.length > 0 ? (
@@ -1804,20 +7587,42 @@ function PracticeTrackerApp() {
                 {activeGoals.slice(0, 3).map(([skill, goal]) => (
                   <div key={skill} className="flex items-start gap-3">
                     <span className="text-lg mt-0.5">
-                      {FOCUS_OPTIONS.find(f => f.id === skill)?.emoji}
+                      {getFocusOption(sport, skill).emoji}
                     </span>
                     <div className="flex-1 min-w-0">
-                      <p className="text-xs text-slate-500 capitalize">{skill}</p>
+                      <p className="text-xs text-slate-500">{getFocusOption(sport, skill).label}</p>
                       <p className="text-slate-200">{goal.text}</p>
+                      {goal.linkedDrillId && (
+                        <p className="text-xs text-amber-400/80 mt-0.5 flex items-center gap-1">
+                          <Link className="w-3 h-3" />
+                          {findDrill(goal.linkedDrillId, customDrills)?.name || goal.linkedDrillId}
+                        </p>
+                      )}
+                      {goalProgress[skill] && (
+                        <GoalProgressBar
+                          goal={goal}
+                          progress={goalProgress[skill]}
+                          description={describeGoalTarget(goal, {
+                            focusLabel: getFocusOption(sport, skill).label,
+                            drillName: findDrill(goal.linkedDrillId, customDrills)?.name
+                          })}
+                        />
+                      )}
                     </div>
+                    <button
+                      onClick={() => setClosingGoal(skill)}
+                      className="p-1.5 rounded-lg text-slate-500 hover:text-emerald-400 hover:bg-slate-700"
+                      title="Mark completed or abandoned"
+                    >
+                      <Check className="w-4 h-4" />
+                    </button>
                   </div>
                 ))}
                 {activeGoals.length < 3 && (
                   <button
                     onClick={() => {
-                      const unusedSkill = FOCUS_OPTIONS.find(f => !goals[f.id]?.isActive)?.id || 'hitting';
-                      setShowGoalEdit(unusedSkill);
-                      setEditGoalText('');
+                      const unusedSkill = sport.focusOptions.find(f => !goals[f.id]?.isActive)?.id || sport.focusOptions[0]?.id;
+                      openGoalEdit(unusedSkill);
                     }}
                     className="text-sm text-amber-400 font-medium flex items-center gap-1"
                   >
@@ -1831,33 +7636,211 @@ function PracticeTrackerApp() {
             )
           ) : (
             activeGoal ? (
-              <p className="text-slate-200">{activeGoal.text}</p>
+              <div className="flex items-start gap-3">
+                <div className="flex-1 min-w-0">
+                  <p className="text-slate-200">{activeGoal.text}</p>
+                  {goalProgress[activeGoals[0][0]] && (
+                    <GoalProgressBar
+                      goal={activeGoal}
+                      progress={goalProgress[activeGoals[0][0]]}
+                      description={describeGoalTarget(activeGoal, {
+                        focusLabel: getFocusOption(sport, activeGoals[0][0]).label
+                      })}
+                    />
+                  )}
+                </div>
+                <button
+                  onClick={() => setClosingGoal(activeGoals[0][0])}
+                  className="p-1.5 rounded-lg text-slate-500 hover:text-emerald-400 hover:bg-slate-700"
+                  title="Mark completed or abandoned"
+                >
+                  <Check className="w-4 h-4" />
+                </button>
+              </div>
             ) : (
               <p className="text-slate-500 italic">Tap "Add" to set a goal</p>
             )
           )}
+
+          <button
+            onClick={() => setView('goals')}
+            className="mt-4 text-xs text-slate-400 font-medium flex items-center gap-1 hover:text-slate-200"
+          >
+            <History className="w-3.5 h-3.5" />
+            Goal History
+          </button>
+        </div>
+
+        {/* Practice Plans */}
+        <div className="card overflow-hidden">
+          <div className="p-4 border-b border-slate-700">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <ClipboardList className="w-4 h-4 text-amber-400" />
+                <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Practice Plans</p>
+              </div>
+              <button
+                onClick={() => setShowAssignPlan(true)}
+                className="flex items-center gap-1 text-xs text-amber-400 font-medium"
+              >
+                <Plus className="w-3.5 h-3.5" />
+                Assign
+              </button>
+            </div>
+            <p className="text-xs text-slate-500 mt-0.5">Drills assigned by a coach or parent. Log a practice to complete one.</p>
+          </div>
+
+          {openAssignments.length === 0 ? (
+            <p className="p-4 text-sm text-slate-500 italic">No open plans.</p>
+          ) : (
+            <div className="divide-y divide-slate-700/50">
+              {openAssignments.map(assignment => {
+                const due = dueLabel(assignment.dueDate);
+                return (
+                  <div key={assignment.id} className="p-4 flex items-start gap-3">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-slate-200">{assignment.title}</p>
+                      <p className="text-xs text-slate-400 mt-0.5">
+                        {assignment.drills
+                          .map(d => `${findDrill(d.drillId, customDrills)?.name || d.drillId} ${d.minutes}m`)
+                          .join(' · ')}
+                      </p>
+                      <p className="text-xs mt-0.5">
+                        {due && <span className={due.overdue ? 'text-red-400' : 'text-slate-500'}>{due.text}</span>}
+                        {assignment.assignedBy !== user.id && (
+                          <span className="text-slate-500">{due ? ' · ' : ''}From {assignment.assignedByEmail || 'coach'}</span>
+                        )}
+                      </p>
+                      {assignment.note && <p className="text-xs text-slate-400 italic mt-1">"{assignment.note}"</p>}
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <button
+                        onClick={() => openQuickLogForAssignment(assignment)}
+                        className="px-3 py-1.5 rounded-lg bg-amber-500/20 text-xs font-medium text-amber-400 hover:bg-amber-500/30"
+                      >
+                        Log it
+                      </button>
+                      {assignment.assignedBy === user.id && (
+                        <button
+                          onClick={() => deleteAssignment(assignment)}
+                          className="p-1.5 rounded-lg text-slate-500 hover:text-red-400 hover:bg-slate-700"
+                          title="Remove plan"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {completedAssignments.length > 0 && (
+            <>
+              <button
+                onClick={() => setShowCompletedPlans(!showCompletedPlans)}
+                className="w-full p-3 text-sm text-slate-400 font-medium hover:bg-slate-700/50 border-t border-slate-700"
+              >
+                {showCompletedPlans ? 'Hide completed' : `Completed (${completedAssignments.length})`}
+              </button>
+              {showCompletedPlans && (
+                <div className="divide-y divide-slate-700/50 border-t border-slate-700">
+                  {completedAssignments.slice(0, 10).map(assignment => (
+                    <div key={assignment.id} className="px-4 py-3 flex items-center gap-3">
+                      <Check className="w-4 h-4 text-emerald-400 flex-shrink-0" />
+                      <p className="flex-1 min-w-0 text-sm text-slate-300 truncate">{assignment.title}</p>
+                      <p className="text-xs text-slate-500">{formatDate(toDateKey(new Date(assignment.fulfilledAt)))}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Games */}
+        <div className="card overflow-hidden">
+          <div className="p-4 border-b border-slate-700">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <Trophy className="w-4 h-4 text-sky-400" />
+                <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Games</p>
+              </div>
+              <button
+                onClick={() => setShowGameLog({ date: toDateKey(new Date()) })}
+                className="flex items-center gap-1 text-xs text-amber-400 font-medium"
+              >
+                <Plus className="w-3.5 h-3.5" />
+                Log game
+              </button>
+            </div>
+            <p className="text-xs text-slate-500 mt-0.5">How practice is showing up on game day.</p>
+          </div>
+          {games.length === 0 ? (
+            <p className="p-4 text-sm text-slate-500 italic">No games logged yet.</p>
+          ) : (
+            <div className="divide-y divide-slate-700/50">
+              {games.slice(0, 3).map(game => (
+                <GameRow key={game.id} game={game} sport={sport} showDate onEdit={setShowGameLog} />
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Recent History */}
         <div className="card overflow-hidden">
           <div className="p-4 border-b border-slate-700">
-            <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Recent Practices</p>
+            <div className="flex items-center justify-between">
+              <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Recent Practices</p>
+              <button
+                onClick={() => setShowCsvImport(true)}
+                className="flex items-center gap-1 text-xs text-amber-400 font-medium"
+              >
+                <Upload className="w-3.5 h-3.5" />
+                Import CSV
+              </button>
+            </div>
             <p className="text-xs text-slate-500 mt-0.5">A log of recent practices with focus and time spent.</p>
+            {pendingWrites.length > 0 && (
+              <p className="flex items-center gap-1.5 text-xs text-amber-400 mt-2">
+                <CloudOff className="w-3.5 h-3.5" />
+                {pendingWrites.length} change{pendingWrites.length === 1 ? '' : 's'} waiting to sync
+              </p>
+            )}
           </div>
           <div className="divide-y divide-slate-700/50">
             {sessions.slice(0, showMorePractices ? 15 : 5).map(session => (
               <div key={session.id} className="p-4 flex items-center gap-3 group">
                 <div className="w-10 h-10 rounded-full bg-amber-500/20 flex items-center justify-center text-lg">
-                  {FOCUS_OPTIONS.find(f => f.id === session.focus[0])?.emoji || '🥎'}
+                  {session.focus[0] ? getFocusOption(sport, session.focus[0]).emoji : sport.emoji}
                 </div>
                 <div className="flex-1 min-w-0">
                   <p className="text-sm font-medium text-slate-200">{formatDate(session.date)}</p>
                   <p className="text-xs text-slate-400 truncate">
-                    {session.focus.map(f => FOCUS_OPTIONS.find(o => o.id === f)?.label).join(', ')}
+                    {session.focus.map(f => getFocusOption(sport, f).label).join(', ')}
                   </p>
+                  {pendingSessionIds.has(session.id) && (
+                    <p className="flex items-center gap-1 text-xs text-amber-400 mt-0.5">
+                      <CloudOff className="w-3 h-3" />
+                      Pending sync
+                    </p>
+                  )}
+                  {loggedByName(session, user.id, memberNames) && (
+                    <p className="text-xs text-slate-500 truncate mt-0.5">
+                      Logged by {loggedByName(session, user.id, memberNames)}
+                    </p>
+                  )}
                 </div>
                 <div className="text-right flex items-center gap-2">
                   <p className="text-sm font-medium text-slate-300">{session.duration}m</p>
+                  <button
+                    onClick={() => openEditPractice(session)}
+                    className="p-1.5 rounded-lg text-slate-500 hover:text-amber-400 hover:bg-slate-700 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity"
+                    title="Edit practice"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
                   <button
                     onClick={() => deletePractice(session.id)}
                     className="p-1.5 rounded-lg text-slate-500 hover:text-red-400 hover:bg-slate-700 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity"
@@ -1877,6 +7860,22 @@ function PracticeTrackerApp() {
               {showMorePractices ? 'Show Less' : `Show More (${Math.min(sessions.length, 15) - 5} more)`}
             </button>
           )}
+          <div className="grid grid-cols-2 border-t border-slate-700 divide-x divide-slate-700">
+            <button
+              onClick={() => setView('calendar')}
+              className="p-3 text-sm text-slate-400 font-medium hover:bg-slate-700/50 flex items-center justify-center gap-2"
+            >
+              <Calendar className="w-4 h-4" />
+              Calendar
+            </button>
+            <button
+              onClick={() => setView('history')}
+              className="p-3 text-sm text-slate-400 font-medium hover:bg-slate-700/50 flex items-center justify-center gap-2"
+            >
+              <History className="w-4 h-4" />
+              Full History
+            </button>
+          </div>
         </div>
 
         {/* Pro Upsell (only show for free users) */}
@@ -1902,18 +7901,26 @@ function PracticeTrackerApp() {
             <div className="flex items-center gap-2 mb-4">
               <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">Drill Focus This Month</p>
               <span className="pro-badge">Pro</span>
+              <button
+                onClick={() => setShowCustomDrills(true)}
+                className="ml-auto text-xs text-amber-400 font-medium"
+              >
+                My Drills
+              </button>
             </div>
             <div className="space-y-3">
               {drillFrequency.slice(0, 5).map(drill => {
                 const maxCount = drillFrequency[0]?.times_used || 1;
                 const pct = Math.round((drill.times_used / maxCount) * 100);
-                const drillInfo = Object.values(DRILL_CATALOG)
-                  .flat()
-                  .find(d => d.id === drill.drill_id);
+                const drillInfo = findDrill(drill.drill_id, customDrills);
                 return (
-                  <div key={drill.drill_id}>
+                  <button
+                    key={drill.drill_id}
+                    onClick={() => openDrillDetail(drill.drill_id)}
+                    className="block w-full text-left group"
+                  >
                     <div className="flex justify-between text-sm mb-1">
-                      <span className="text-slate-300">{drillInfo?.name || drill.drill_id}</span>
+                      <span className="text-slate-300 group-hover:text-amber-400">{drillInfo?.name || drill.drill_id}</span>
                       <span className="text-slate-500">{drill.times_used}×</span>
                     </div>
                     <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
@@ -1922,35 +7929,121 @@ function PracticeTrackerApp() {
                         style={{ width: `${pct}%` }}
                       />
                     </div>
-                  </div>
+                  </button>
                 );
               })}
             </div>
           </div>
         )}
       </main>
+      )}
 
       {/* Floating Log Button */}
       <div className="fixed bottom-0 left-0 right-0 p-4 bg-gradient-to-t from-slate-900 via-slate-900 to-transparent pointer-events-none">
         <div className="max-w-lg mx-auto pointer-events-auto">
-          <button
-            onClick={() => setShowQuickLog(true)}
-            className="btn-primary w-full flex items-center justify-center gap-2 text-lg shadow-lg shadow-amber-900/30"
-          >
-            <Plus className="w-5 h-5" />
-            Log Practice
-          </button>
+          {timer && timer.athleteId === athlete?.id ? (
+            timer.stoppedAt ? (
+              <div className="flex gap-3">
+                <button
+                  onClick={discardPractice}
+                  className="px-4 rounded-xl bg-slate-700 border border-slate-600 text-slate-200 shadow-lg"
+                  title="Discard this practice"
+                >
+                  <Trash2 className="w-5 h-5" />
+                </button>
+                <button
+                  onClick={stopPractice}
+                  className="btn-primary flex-1 flex items-center justify-center gap-2 text-lg shadow-lg shadow-amber-900/30"
+                >
+                  <Square className="w-5 h-5" />
+                  Log stopped practice · <TimerElapsed timer={timer} />
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => setShowTimer(true)}
+                className="btn-primary w-full flex items-center justify-center gap-2 text-lg shadow-lg shadow-amber-900/30"
+              >
+                <Timer className="w-5 h-5" />
+                {timer.pausedAt ? 'Paused' : 'Practicing'} · <TimerElapsed timer={timer} />
+              </button>
+            )
+          ) : (
+            <div className="flex gap-3">
+              {timer && (
+                // Another athlete's timer blocks Start; it can be dropped from here,
+                // which is the only way out once that athlete is archived or deleted
+                <button
+                  onClick={discardPractice}
+                  className="px-4 rounded-xl bg-slate-700 border border-slate-600 text-slate-200 shadow-lg"
+                  title={timerAthlete
+                    ? `Discard ${timerAthlete.name}'s unfinished practice`
+                    : 'Discard the practice left running for a removed athlete'}
+                >
+                  <Trash2 className="w-5 h-5" />
+                </button>
+              )}
+              <button
+                onClick={startPractice}
+                disabled={!athlete || Boolean(timer)}
+                className="px-4 rounded-xl bg-slate-700 border border-slate-600 text-slate-200 font-medium flex items-center gap-2 shadow-lg disabled:opacity-50"
+                title={timer
+                  ? timerAthlete ? `${timerAthlete.name} has a practice running` : 'A removed athlete has a practice running'
+                  : 'Start a timed practice'}
+              >
+                <Play className="w-5 h-5" />
+                Start
+              </button>
+              <button
+                onClick={() => setShowQuickLog(true)}
+                className="btn-primary flex-1 flex items-center justify-center gap-2 text-lg shadow-lg shadow-amber-900/30"
+              >
+                <Plus className="w-5 h-5" />
+                Log Practice
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Game Log Modal */}
+      {showGameLog && athlete && (
+        <GameLogModal
+          game={showGameLog.id ? showGameLog : null}
+          initialDate={showGameLog.date}
+          sport={sport}
+          saving={saving}
+          error={error}
+          onClose={() => setShowGameLog(null)}
+          onSave={saveGame}
+          onDelete={deleteGame}
+        />
+      )}
+
+      {/* Practice Timer Modal */}
+      {showTimer && timer && !timer.stoppedAt && (
+        <PracticeTimerModal
+          timer={timer}
+          sport={sport}
+          drillCatalog={drillCatalog}
+          isPro={isPro}
+          onChange={updateTimer}
+          onStop={stopPractice}
+          onDiscard={discardPractice}
+          onClose={() => setShowTimer(false)}
+        />
+      )}
+
       {/* Quick Log Modal */}
       {showQuickLog && (
         <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center">
           <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
             <div className="sticky top-0 bg-slate-800 px-5 py-4 border-b border-slate-700 flex items-center justify-between z-10">
-              <h2 className="text-lg font-semibold text-slate-100">Log Practice</h2>
+              <h2 className="text-lg font-semibold text-slate-100">
+                {editingSession ? 'Edit Practice' : 'Log Practice'}
+              </h2>
               <button 
-                onClick={() => setShowQuickLog(false)}
+                onClick={closeQuickLog}
                 className="p-2 -mr-2 hover:bg-slate-700 rounded-full"
               >
                 <X className="w-5 h-5 text-slate-400" />
@@ -1958,6 +8051,48 @@ function PracticeTrackerApp() {
             </div>
 
             <div className="p-5 space-y-5">
+              {/* Template */}
+              {!editingSession && templates.length > 0 && (
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="text-sm font-medium text-slate-300">Start from a template</label>
+                    <button
+                      onClick={() => setShowTemplates(true)}
+                      className="text-xs text-amber-400 font-medium"
+                    >
+                      Manage
+                    </button>
+                  </div>
+                  <select
+                    value={logTemplateId}
+                    onChange={(e) => applyTemplateToLog(e.target.value)}
+                    className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100"
+                  >
+                    <option value="">No template</option>
+                    {templates.map(t => (
+                      <option key={t.id} value={t.id}>{t.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {/* Practice plan this log completes */}
+              {!editingSession && openAssignments.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Completes a practice plan</label>
+                  <select
+                    value={logAssignmentId}
+                    onChange={(e) => applyAssignmentToLog(e.target.value)}
+                    className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100"
+                  >
+                    <option value="">No plan</option>
+                    {openAssignments.map(a => (
+                      <option key={a.id} value={a.id}>{a.title}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               {/* Date */}
               <div>
                 <label className="block text-sm font-medium text-slate-300 mb-2">Date</label>
@@ -1973,7 +8108,10 @@ function PracticeTrackerApp() {
               <div>
                 <label className="block text-sm font-medium text-slate-300 mb-2">Duration</label>
                 <div className="flex flex-wrap gap-2">
-                  {DURATION_PRESETS.map(mins => (
+                  {(DURATION_PRESETS.includes(logDuration)
+                    ? DURATION_PRESETS
+                    : [...DURATION_PRESETS, logDuration].sort((a, b) => a - b)
+                  ).map(mins => (
                     <button
                       key={mins}
                       onClick={() => setLogDuration(mins)}
@@ -1989,7 +8127,7 @@ function PracticeTrackerApp() {
               <div>
                 <label className="block text-sm font-medium text-slate-300 mb-2">Focus Areas</label>
                 <div className="flex flex-wrap gap-2">
-                  {FOCUS_OPTIONS.map(opt => (
+                  {sport.focusOptions.map(opt => (
                     <button
                       key={opt.id}
                       onClick={() => toggleFocus(opt.id)}
@@ -2007,30 +8145,83 @@ function PracticeTrackerApp() {
                   <div className="flex items-center gap-2 mb-3">
                     <label className="text-sm font-medium text-slate-300">Specific Drills</label>
                     <span className="pro-badge">Pro</span>
+                    <button
+                      onClick={() => setShowCustomDrills(logFocus[0])}
+                      className="ml-auto text-xs text-amber-400 font-medium"
+                    >
+                      My Drills
+                    </button>
                   </div>
                   <div className="space-y-3">
                     {logFocus.map(focusId => (
                       <div key={focusId}>
                         <p className="text-xs text-slate-400 uppercase tracking-wide mb-2">
-                          {FOCUS_OPTIONS.find(f => f.id === focusId)?.label}
+                          {getFocusOption(sport, focusId).label}
                         </p>
                         <div className="flex flex-wrap gap-2">
-                          {DRILL_CATALOG[focusId]?.map(drill => (
+                          {[
+                            ...(drillCatalog[focusId] || []),
+                            // Archived drills stay visible on practices that already used them
+                            ...customDrills.filter(d => d.archived_at && d.focus === focusId && logDrills.includes(d.id))
+                          ].map(drill => (
                             <button
                               key={drill.id}
                               onClick={() => toggleDrill(drill.id)}
+                              title={drill.description || undefined}
                               className={`drill-chip ${logDrills.includes(drill.id) ? 'selected' : ''}`}
                             >
                               {drill.name}
+                              {logDrillMinutes[drill.id] && (
+                                <span className="ml-1 text-slate-500">{logDrillMinutes[drill.id]}m</span>
+                              )}
                               {logDrills.includes(drill.id) && (
                                 <Check className="w-3 h-3 ml-1 inline text-amber-400" />
                               )}
                             </button>
                           ))}
+                          <button
+                            onClick={() => setShowCustomDrills(focusId)}
+                            className="drill-chip border-dashed text-amber-400"
+                            title="Add a custom drill"
+                          >
+                            <Plus className="w-3 h-3 inline" />
+                          </button>
                         </div>
                       </div>
                     ))}
                   </div>
+
+                  {/* Counts for the selected drills that track any */}
+                  {logDrills.some(id => drillMetricFields(findDrill(id, customDrills)).length > 0) && (
+                    <div className="mt-4 pt-4 border-t border-amber-500/20 space-y-3">
+                      <p className="text-xs text-slate-400 uppercase tracking-wide">Reps & Results</p>
+                      {logDrills.map(drillId => {
+                        const drill = findDrill(drillId, customDrills);
+                        const fields = drillMetricFields(drill);
+                        if (fields.length === 0) return null;
+                        return (
+                          <div key={drillId}>
+                            <p className="text-sm text-slate-300 mb-1.5">{drill.name}</p>
+                            <div className="flex gap-2">
+                              {fields.map(field => (
+                                <label key={field.id} className="flex-1 min-w-0">
+                                  <span className="block text-xs text-slate-500 mb-1 truncate">{field.label}</span>
+                                  <input
+                                    type="number"
+                                    inputMode="numeric"
+                                    min="0"
+                                    value={logDrillMetrics[drillId]?.[field.id] ?? ''}
+                                    onChange={(e) => setDrillMetric(drillId, field.id, e.target.value)}
+                                    className="w-full px-3 py-2 rounded-lg border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100"
+                                  />
+                                </label>
+                              ))}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -2061,6 +8252,73 @@ function PracticeTrackerApp() {
                   className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100 placeholder:text-slate-500"
                 />
               </div>
+
+              {/* Check-in */}
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Effort <span className="text-slate-500 font-normal">
+                    {logRpe ? `${logRpe}/10 · ${rpeLabel(logRpe)}` : '(optional, 1 = very easy, 10 = max)'}
+                  </span>
+                </label>
+                <div className="grid grid-cols-10 gap-1">
+                  {RPE_LEVELS.map(level => (
+                    <button
+                      key={level}
+                      onClick={() => setLogRpe(logRpe === level ? null : level)}
+                      className={`duration-chip px-0 ${logRpe === level ? 'selected' : ''}`}
+                    >
+                      {level}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Enjoyment <span className="text-slate-500 font-normal">(optional)</span>
+                </label>
+                <div className="flex gap-2">
+                  {ENJOYMENT_OPTIONS.map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => setLogEnjoyment(logEnjoyment === option.value ? null : option.value)}
+                      className={`focus-chip flex-1 px-0 text-xl ${logEnjoyment === option.value ? 'selected' : ''}`}
+                      title={option.label}
+                    >
+                      {option.emoji}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Anything sore? <span className="text-slate-500 font-normal">(optional)</span>
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {SORENESS_LOCATIONS.map(location => (
+                    <button
+                      key={location.id}
+                      onClick={() => setLogSoreness(prev => prev.includes(location.id)
+                        ? prev.filter(id => id !== location.id)
+                        : [...prev, location.id])}
+                      className={`drill-chip ${logSoreness.includes(location.id) ? 'selected' : ''}`}
+                    >
+                      {location.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {logFocus.length > 0 && (
+                <button
+                  onClick={saveLogAsTemplate}
+                  className="text-sm text-amber-400 font-medium flex items-center gap-1.5"
+                >
+                  <Copy className="w-4 h-4" />
+                  Save as template
+                </button>
+              )}
             </div>
 
             {/* Submit */}
@@ -2071,17 +8329,52 @@ function PracticeTrackerApp() {
                 className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
               >
                 {saving && <Loader2 className="w-4 h-4 animate-spin" />}
-                {saving ? 'Saving...' : 'Save Practice'}
+                {saving ? 'Saving...' : editingSession ? 'Save Changes' : 'Save Practice'}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {/* Custom Drills Modal (after Quick Log so it stacks on top when opened mid-log) */}
+      {showCustomDrills && (
+        <CustomDrillsModal
+          customDrills={ownCustomDrills}
+          sport={sport}
+          initialFocus={typeof showCustomDrills === 'string' ? showCustomDrills : null}
+          saving={saving}
+          error={error}
+          onClose={() => setShowCustomDrills(null)}
+          onSave={saveCustomDrill}
+          onSetArchived={setCustomDrillArchived}
+        />
+      )}
+
+      {/* Practice Templates Modal (also stacks on top of Quick Log for "Save as template") */}
+      {showTemplates && athlete && (
+        <TemplatesModal
+          templates={templates}
+          initialDraft={typeof showTemplates === 'object' ? showTemplates : null}
+          sport={sport}
+          drillCatalog={drillCatalog}
+          isPro={isPro}
+          saving={saving}
+          error={error}
+          onClose={() => setShowTemplates(null)}
+          onSave={async (form) => {
+            const saved = await saveTemplate(form);
+            // Coming from Quick Log there's no list to return to
+            if (saved && typeof showTemplates === 'object') setShowTemplates(null);
+            return saved;
+          }}
+          onDelete={deleteTemplate}
+        />
+      )}
+
       {/* Goal Edit Modal */}
       {showGoalEdit && (
         <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center p-4">
-          <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg modal-content">
+          <div className="bg-slate-800 rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-auto modal-content">
             <div className="px-5 py-4 border-b border-slate-700 flex items-center justify-between">
               <h2 className="text-lg font-semibold text-slate-100">Set Goal</h2>
               <button 
@@ -2096,13 +8389,10 @@ function PracticeTrackerApp() {
               <div>
                 <label className="block text-sm font-medium text-slate-300 mb-2">Skill Area</label>
                 <div className="flex flex-wrap gap-2">
-                  {FOCUS_OPTIONS.map(opt => (
+                  {sport.focusOptions.map(opt => (
                     <button
                       key={opt.id}
-                      onClick={() => {
-                        setShowGoalEdit(opt.id);
-                        setEditGoalText(goals[opt.id]?.text || '');
-                      }}
+                      onClick={() => openGoalEdit(opt.id)}
                       className={`focus-chip ${showGoalEdit === opt.id ? 'selected' : ''}`}
                     >
                       {opt.emoji} {opt.label}
@@ -2123,6 +8413,130 @@ function PracticeTrackerApp() {
                   className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 focus:ring-2 focus:ring-amber-500/20 outline-none text-slate-100 placeholder:text-slate-500 resize-none"
                 />
               </div>
+
+              {isPro && (
+                <div>
+                  <div className="flex items-center gap-2 mb-2">
+                    <label className="text-sm font-medium text-slate-300">Linked drill</label>
+                    <span className="pro-badge">Pro</span>
+                  </div>
+                  <select
+                    value={editGoalDrill}
+                    onChange={(e) => setEditGoalDrill(e.target.value)}
+                    className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100"
+                  >
+                    <option value="">No linked drill</option>
+                    {[
+                      ...(drillCatalog[showGoalEdit] || []),
+                      // Keep an archived drill selectable if this goal already links to it
+                      ...customDrills.filter(d => d.archived_at && d.id === editGoalDrill)
+                    ].map(drill => (
+                      <option key={drill.id} value={drill.id}>{drill.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Target</label>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => setEditGoalTargetType('')}
+                    className={`focus-chip ${!editGoalTargetType ? 'selected' : ''}`}
+                  >
+                    None
+                  </button>
+                  {GOAL_TARGET_TYPES
+                    .filter(t => t.id !== 'drill_uses' || isPro)
+                    .map(t => (
+                      <button
+                        key={t.id}
+                        onClick={() => setEditGoalTargetType(t.id)}
+                        className={`focus-chip ${editGoalTargetType === t.id ? 'selected' : ''}`}
+                      >
+                        {t.label}
+                      </button>
+                    ))}
+                </div>
+
+                {editGoalTargetType && (
+                  <div className="mt-3 space-y-3">
+                    <div className="flex gap-2">
+                      <input
+                        type="number"
+                        min="1"
+                        inputMode="numeric"
+                        value={editGoalTargetValue}
+                        onChange={(e) => setEditGoalTargetValue(e.target.value)}
+                        placeholder={editGoalTargetType === 'minutes' ? '120' : '4'}
+                        className="w-24 px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100 placeholder:text-slate-500"
+                      />
+                      <select
+                        value={editGoalPeriod}
+                        onChange={(e) => setEditGoalPeriod(e.target.value)}
+                        className="flex-1 px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100"
+                      >
+                        {GOAL_PERIODS.map(p => (
+                          <option key={p.id} value={p.id}>{p.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {editGoalTargetType === 'minutes' && (
+                      <p className="text-xs text-slate-500">
+                        Counts practices that included {getFocusOption(sport, showGoalEdit).label}.
+                      </p>
+                    )}
+                    {editGoalTargetType === 'drill_uses' && !editGoalDrill && (
+                      <p className="text-xs text-amber-400">Pick a linked drill above to count its uses.</p>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Deadline <span className="text-slate-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  type="date"
+                  value={editGoalDeadline}
+                  onChange={(e) => setEditGoalDeadline(e.target.value)}
+                  className="w-full px-4 py-3 rounded-xl border border-slate-600 bg-slate-700 focus:border-amber-500 outline-none text-slate-100"
+                />
+              </div>
+
+              {/* Free tier: the current goal moves to history when another skill gets a goal */}
+              {!isPro && activeGoals.length > 0 && activeGoals[0][0] !== showGoalEdit && (
+                <div className="p-3 rounded-xl bg-slate-700/50 border border-slate-600">
+                  <p className="text-sm text-slate-300 mb-2">
+                    "{activeGoal.text}" moves to Goal History as:
+                  </p>
+                  <div className="flex gap-2">
+                    {GOAL_OUTCOMES.map(outcome => (
+                      <button
+                        key={outcome.id}
+                        onClick={() => setEditGoalReplacedStatus(outcome.id)}
+                        className={`drill-chip ${editGoalReplacedStatus === outcome.id ? 'selected' : ''}`}
+                      >
+                        {outcome.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {goals[showGoalEdit]?.isActive && (
+                <button
+                  onClick={() => {
+                    setClosingGoal(showGoalEdit);
+                    setShowGoalEdit(null);
+                  }}
+                  className="text-sm text-emerald-400 font-medium flex items-center gap-1"
+                >
+                  <Check className="w-4 h-4" />
+                  Mark this goal completed or abandoned
+                </button>
+              )}
             </div>
 
             <div className="px-5 py-4 border-t border-slate-700 flex gap-3">
@@ -2135,7 +8549,7 @@ function PracticeTrackerApp() {
               </button>
               <button
                 onClick={() => saveGoal(showGoalEdit)}
-                disabled={saving}
+                disabled={saving || (!editGoalText.trim() && !editGoalTargetType)}
                 className="flex-1 btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
               >
                 {saving && <Loader2 className="w-4 h-4 animate-spin" />}
@@ -2146,6 +8560,19 @@ function PracticeTrackerApp() {
         </div>
       )}
 
+      {/* Finish Goal Modal */}
+      {closingGoal && goals[closingGoal] && (
+        <CloseGoalModal
+          goal={goals[closingGoal]}
+          skill={closingGoal}
+          sport={sport}
+          progress={goalProgress[closingGoal]}
+          saving={saving}
+          onClose={() => setClosingGoal(null)}
+          onSave={(outcome) => closeGoal(closingGoal, outcome)}
+        />
+      )}
+
       {/* Pro Upsell Modal */}
       {showProUpsell && (
         <div className="fixed inset-0 bg-black/60 z-50 modal-overlay flex items-end sm:items-center justify-center p-4">
@@ -2218,7 +8645,7 @@ export default function PracticeTrackerMVP() {
 }
 
 function AppContent() {
-  const { user, loading } = useAuth();
+  const { user, loading, passwordRecovery } = useAuth();
 
   if (loading) {
     return (
@@ -2228,9 +8655,14 @@ function AppContent() {
     );
   }
 
+  // A reset link signs the user in; ask for the new password before the app
+  if (user && passwordRecovery) {
+    return <AuthScreen initialMode="reset" />;
+  }
+
   if (!user) {
     return <AuthScreen />;
   }
 
   return <PracticeTrackerApp />;
-}
\ No newline at end of file
+}
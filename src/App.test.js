@@ -0,0 +1,592 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  db, backend, writeQueue, remapIds, newQuery, encodeFilter, queryUrl, sendWithRetry, onSessionExpired,
+  mergeSessionChange, mergeGoalChange, mergeDrillUseChange, NetworkError, PermissionDeniedError, AuthExpiredError
+} from './db';
+import {
+  parseCSV, parseImportDate, buildImportRows, computeStreaks, computeGoalProgress, computeWeeklyLoad, escapeHtml,
+  toSession, toGoal, newTimer, pauseTimer, resumeTimer, stopTimer, switchTimerDrill, timerElapsedMs, timerDrillMinutes
+} from './helpers';
+
+// Tests run against the in-memory backend (see vite.config.js), so every
+// account below lives only for this file
+const signUp = async (email) => {
+  const { data, error } = await backend.auth.signUp({ email, password: 'secret1' });
+  if (error) throw error;
+  return data.user;
+};
+
+const signInAs = (email) => backend.auth.signInWithPassword({ email, password: 'secret1' });
+
+const uniqueEmail = (name) => `${name}-${crypto.randomUUID().slice(0, 8)}@example.com`;
+
+const dateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+let online = true;
+Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+
+describe('local backend row level security', () => {
+  let owner, ownerEmail, coParentEmail, athlete;
+
+  beforeEach(async () => {
+    ownerEmail = uniqueEmail('owner');
+    coParentEmail = uniqueEmail('coparent');
+    await signUp(coParentEmail);
+    owner = await signUp(ownerEmail);
+
+    ({ data: athlete } = await db.from('athletes').insert({ profile_id: owner.id, name: 'Maya' }));
+    await db.from('sessions').insert({ athlete_id: athlete.id, date: '2026-10-01', duration_minutes: 30, focus: ['hitting'] });
+  });
+
+  const invite = async (role = 'editor') => {
+    await signInAs(ownerEmail);
+    const { data, error } = await db.from('athlete_members').insert({ athlete_id: athlete.id, invited_email: coParentEmail, role });
+    if (error) throw error;
+    return data;
+  };
+
+  const accept = async (member) => {
+    await signInAs(coParentEmail);
+    const { data: { session } } = await backend.auth.getSession();
+    return db.from('athlete_members').update({ profile_id: session.user.id, accepted_at: new Date().toISOString() })
+      .eq('id', member.id);
+  };
+
+  it("hides another account's athletes and practices", async () => {
+    await signUp(uniqueEmail('stranger'));
+
+    const { data: athletes } = await db.from('athletes').select().eq('id', athlete.id);
+    const { data: sessions } = await db.from('sessions').select().eq('athlete_id', athlete.id);
+    expect(athletes).toEqual([]);
+    expect(sessions).toEqual([]);
+  });
+
+  it("rejects writes to another account's athlete", async () => {
+    await signUp(uniqueEmail('stranger'));
+
+    const insert = await db.from('sessions').insert({ athlete_id: athlete.id, date: '2026-10-02', duration_minutes: 10, focus: [] });
+    expect(insert.error).toBeInstanceOf(PermissionDeniedError);
+
+    const update = await db.from('athletes').update({ name: 'Hacked' }).eq('id', athlete.id);
+    expect(update.data).toEqual([]);
+  });
+
+  it('lets an accepted co-parent log practices but not edit the athlete', async () => {
+    const { error } = await accept(await invite());
+    expect(error).toBeNull();
+
+    const { data: sessions } = await db.from('sessions').select().eq('athlete_id', athlete.id);
+    expect(sessions).toHaveLength(1);
+
+    const insert = await db.from('sessions').insert({ athlete_id: athlete.id, date: '2026-10-02', duration_minutes: 20, focus: ['fielding'] });
+    expect(insert.error).toBeNull();
+
+    const rename = await db.from('athletes').update({ name: 'Renamed' }).eq('id', athlete.id);
+    expect(rename.data).toEqual([]);
+  });
+
+  it('only lets an invitee fill in profile_id and accepted_at on their invite', async () => {
+    const member = await invite();
+    await signInAs(coParentEmail);
+
+    const promote = await db.from('athlete_members').update({ role: 'owner' }).eq('id', member.id);
+    expect(promote.error).toBeInstanceOf(PermissionDeniedError);
+
+    const { data: other } = await (async () => {
+      await signInAs(ownerEmail);
+      return db.from('athletes').insert({ profile_id: owner.id, name: 'Sam' });
+    })();
+    await signInAs(coParentEmail);
+    const move = await db.from('athlete_members').update({ athlete_id: other.id }).eq('id', member.id);
+    expect(move.error).toBeInstanceOf(PermissionDeniedError);
+
+    const forSomeoneElse = await db.from('athlete_members').update({ profile_id: owner.id }).eq('id', member.id);
+    expect(forSomeoneElse.error).toBeInstanceOf(PermissionDeniedError);
+
+    const accepted = await accept(member);
+    expect(accepted.error).toBeNull();
+    expect(accepted.data[0].role).toBe('editor');
+  });
+
+  it("shares the owner's custom drills with co-parents read-only", async () => {
+    await signInAs(ownerEmail);
+    const { data: drill } = await db.from('custom_drills').insert({ profile_id: owner.id, name: 'Wall ball', focus: 'fielding' });
+    await accept(await invite());
+
+    const { data: drills } = await db.from('custom_drills').select().eq('profile_id', owner.id);
+    expect(drills.map(d => d.id)).toEqual([drill.id]);
+
+    const rename = await db.from('custom_drills').update({ name: 'Renamed' }).eq('id', drill.id);
+    expect(rename.data).toEqual([]);
+  });
+
+  it("lets a team's coach read the custom sports its players use", async () => {
+    const coachEmail = uniqueEmail('coach');
+    const coach = await signUp(coachEmail);
+    await db.from('teams').insert({ coach_profile_id: coach.id, name: 'Hawks', join_code: 'HAWKS1' });
+
+    await signInAs(ownerEmail);
+    const { data: sport } = await db.from('custom_sports').insert({ profile_id: owner.id, name: 'Pickleball', emoji: '🏓' });
+    await signInAs(coachEmail);
+    expect((await db.from('custom_sports').select().eq('id', sport.id)).data).toEqual([]);
+
+    await signInAs(ownerEmail);
+    const { error } = await db.rpc('join_team', { p_join_code: 'HAWKS1', p_athlete_id: athlete.id });
+    expect(error).toBeNull();
+
+    await signInAs(coachEmail);
+    const { data: sports } = await db.from('custom_sports').select().eq('id', sport.id);
+    expect(sports.map(s => s.name)).toEqual(['Pickleball']);
+  });
+
+  it("cascades an athlete's delete to their practices and drills", async () => {
+    await signInAs(ownerEmail);
+    const { data: [session] } = await db.from('sessions').select().eq('athlete_id', athlete.id);
+    await db.from('session_drills').insert({ session_id: session.id, drill_id: 'tee-work' });
+
+    const { error } = await db.from('athletes').delete().eq('id', athlete.id);
+    expect(error).toBeNull();
+
+    const { data: drills } = await db.from('session_drills').select().eq('session_id', session.id);
+    const { data: sessions } = await db.from('sessions').select().eq('athlete_id', athlete.id);
+    expect(drills).toEqual([]);
+    expect(sessions).toEqual([]);
+  });
+});
+
+describe('local auth email links', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    window.localStorage.clear();
+    window.history.replaceState(null, '', '/');
+  });
+
+  // A fresh data layer, as after opening a link in a new tab
+  const loadDb = async () => {
+    vi.resetModules();
+    return import('./db');
+  };
+
+  const emailedLink = () => {
+    const [[message]] = console.info.mock.calls;
+    return message.slice(message.lastIndexOf(' ') + 1);
+  };
+
+  it('signs in from a password reset link and reports PASSWORD_RECOVERY', async () => {
+    vi.stubEnv('VITE_BACKEND', 'local');
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+    const email = uniqueEmail('forgetful');
+
+    const sender = await loadDb();
+    await sender.backend.auth.signUp({ email, password: 'secret1' });
+    await sender.backend.auth.signOut();
+    await sender.backend.auth.resetPasswordForEmail(email, { redirectTo: `${window.location.origin}/?auth=recovery` });
+
+    window.history.replaceState(null, '', emailedLink());
+    const opened = await loadDb();
+    const events = [];
+    opened.backend.auth.onAuthStateChange(event => events.push(event));
+
+    const { data: { session } } = await opened.backend.auth.getSession();
+    expect(session.user.email).toBe(email);
+    await vi.waitFor(() => expect(events).toContain('PASSWORD_RECOVERY'));
+    expect(window.location.search).toBe('');
+
+    // Links work once
+    window.history.replaceState(null, '', emailedLink());
+    const reopened = await loadDb();
+    const { data: { session: again } } = await reopened.backend.auth.getSession();
+    expect(again).toBeNull();
+  });
+
+  it("won't send a magic link that would create an account when told not to", async () => {
+    const { error } = await backend.auth.signInWithOtp({
+      email: uniqueEmail('nobody'),
+      options: { shouldCreateUser: false }
+    });
+    expect(error.message).toMatch(/not allowed/);
+  });
+});
+
+describe('offline write queue', () => {
+  let athlete;
+
+  beforeEach(async () => {
+    online = true;
+    const user = await signUp(uniqueEmail('parent'));
+    ({ data: athlete } = await db.from('athletes').insert({ profile_id: user.id, name: 'Maya' }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    clearTimeout(writeQueue.retryTimer);
+    writeQueue.retryTimer = null;
+    writeQueue.retryCount = 0;
+  });
+
+  const sessionRow = (date) => ({ athlete_id: athlete.id, date, duration_minutes: 30, focus: ['hitting'] });
+
+  it('replays queued writes in order, remapping temp ids even after a reload', async () => {
+    online = false;
+    const { data: queued, queued: wasQueued } = await db.from('sessions').insert(sessionRow('2026-10-05'));
+    await db.from('session_drills').insert({ session_id: queued.id, drill_id: 'tee-work' }, { returnData: false });
+    expect(wasQueued).toBe(true);
+    expect(await writeQueue.entries()).toHaveLength(2);
+
+    // Back online, but the network drops after the practice is saved
+    online = true;
+    const request = backend.request;
+    vi.spyOn(backend, 'request')
+      .mockImplementationOnce(request)
+      .mockRejectedValue(new TypeError('Failed to fetch'));
+    await writeQueue.flush();
+    expect(await writeQueue.entries()).toHaveLength(1);
+    expect(writeQueue.retryTimer).not.toBeNull();
+
+    // A reload forgets the in-memory id map; the stored one must be used
+    vi.restoreAllMocks();
+    writeQueue.idMap = {};
+    writeQueue.idMapLoaded = null;
+    await writeQueue.flush();
+
+    expect(await writeQueue.entries()).toEqual([]);
+    const { data: [saved] } = await db.from('sessions').select().eq('athlete_id', athlete.id);
+    const { data: drills } = await db.from('session_drills').select().eq('session_id', saved.id);
+    expect(drills.map(d => d.drill_id)).toEqual(['tee-work']);
+  });
+
+  it('keeps flushing after a network error while the browser stays online', async () => {
+    vi.spyOn(backend, 'request').mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    const first = await db.from('sessions').insert(sessionRow('2026-10-06'));
+    // Queued behind the first so the two land in order
+    const second = await db.from('sessions').insert(sessionRow('2026-10-07'));
+    expect(first.queued && second.queued).toBe(true);
+
+    await vi.waitFor(async () => expect(await writeQueue.entries()).toEqual([]));
+    const { data: sessions } = await db.from('sessions').select().eq('athlete_id', athlete.id).order('created_at');
+    expect(sessions.map(s => s.date)).toEqual(['2026-10-06', '2026-10-07']);
+  });
+
+  it("doesn't queue a timed-out insert that may have landed", async () => {
+    vi.spyOn(backend, 'request').mockRejectedValueOnce(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+
+    const result = await db.from('sessions').insert(sessionRow('2026-10-08'));
+    expect(result.error).toBeInstanceOf(NetworkError);
+    expect(await writeQueue.entries()).toEqual([]);
+  });
+});
+
+describe('remapIds', () => {
+  it('replaces temp ids anywhere in a query', () => {
+    const query = { filters: [['session_id', 'in', ['tmp-1', 'real']]], body: { session_id: 'tmp-1', note: 'tmp-2' } };
+    expect(remapIds(query, { 'tmp-1': 'a' })).toEqual({
+      filters: [['session_id', 'in', ['a', 'real']]],
+      body: { session_id: 'a', note: 'tmp-2' }
+    });
+  });
+});
+
+describe('PostgREST requests', () => {
+  const path = (query) => queryUrl(query).split('/rest/v1/')[1];
+
+  it('quotes list values that contain delimiters', () => {
+    expect(encodeFilter(['focus', 'cs', ['hitting', 'a,b']])).toBe(`focus=${encodeURIComponent('cs.{hitting,"a,b"}')}`);
+    expect(encodeFilter(['id', 'in', ['x', 'y z']])).toBe(`id=${encodeURIComponent('in.(x,"y z")')}`);
+    expect(encodeFilter(['deadline', 'is', null])).toBe('deadline=is.null');
+  });
+
+  it('puts filters, order, paging and bulk insert columns in the URL', () => {
+    const search = '(note.ilike.*bunt*,reflection.ilike.*bunt*)';
+    expect(path(newQuery('sessions', 'select', {
+      filters: [['athlete_id', 'eq', 'a1'], ['or', 'or', search]],
+      order: [{ column: 'date', ascending: false }, { column: 'created_at', ascending: false }],
+      limit: 25,
+      offset: 50
+    }))).toBe(`sessions?select=*&athlete_id=eq.a1&or=${encodeURIComponent(search)}&order=date.desc,created_at.desc&limit=25&offset=50`);
+
+    expect(path(newQuery('session_drills', 'insert', {
+      body: [{ session_id: 's1', drill_id: 'tee-work' }, { session_id: 's1', drill_id: 'bunting', minutes: 5 }]
+    }))).toBe('session_drills?columns=session_id,drill_id,minutes');
+
+    expect(path(newQuery('goals', 'upsert', { body: { skill: 'hitting' }, onConflict: 'athlete_id,skill' })))
+      .toBe('goals?on_conflict=athlete_id%2Cskill');
+  });
+
+  describe('retries', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    it('backs off exponentially between retries of an idempotent request', async () => {
+      vi.useFakeTimers();
+      vi.spyOn(Math, 'random').mockReturnValue(1); // no jitter: wait 500ms, then 1s
+      const request = vi.spyOn(backend, 'request')
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValue({ data: [], error: null, count: null });
+
+      const result = sendWithRetry(newQuery('sessions', 'select', { retries: 2 }), 'token');
+      await vi.advanceTimersByTimeAsync(499);
+      expect(request).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(request).toHaveBeenCalledTimes(2);
+      await vi.advanceTimersByTimeAsync(999);
+      expect(request).toHaveBeenCalledTimes(2);
+      await vi.advanceTimersByTimeAsync(1);
+      expect((await result).error).toBeNull();
+      expect(request).toHaveBeenCalledTimes(3);
+    });
+
+    it("doesn't retry inserts, or errors a retry can't fix", async () => {
+      const request = vi.spyOn(backend, 'request').mockRejectedValueOnce(new TypeError('Failed to fetch'));
+      const insert = await sendWithRetry(newQuery('sessions', 'insert', { body: {}, retries: 2 }), 'token');
+      expect(insert.error).toBeInstanceOf(NetworkError);
+      expect(request).toHaveBeenCalledTimes(1);
+
+      request.mockResolvedValue({ data: null, error: new PermissionDeniedError(), count: null });
+      const select = await sendWithRetry(newQuery('sessions', 'select', { retries: 2 }), 'token');
+      expect(select.error).toBeInstanceOf(PermissionDeniedError);
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('expired sessions', () => {
+    beforeEach(() => signUp(uniqueEmail('parent')));
+    afterEach(() => vi.restoreAllMocks());
+
+    it('refreshes the token once and sends the request again', async () => {
+      const request = vi.spyOn(backend, 'request')
+        .mockResolvedValueOnce({ data: null, error: new AuthExpiredError(), count: null })
+        .mockResolvedValueOnce({ data: [], error: null, count: null });
+      vi.spyOn(backend.auth, 'refreshSession').mockResolvedValue({ data: { session: { access_token: 'fresh' } }, error: null });
+
+      const { error } = await db.from('sessions').select();
+      expect(error).toBeNull();
+      expect(request).toHaveBeenCalledTimes(2);
+      expect(request.mock.calls[1][1]).toBe('fresh');
+    });
+
+    it('reports the session as expired when there is nothing to refresh', async () => {
+      const request = vi.spyOn(backend, 'request').mockResolvedValue({ data: null, error: new AuthExpiredError(), count: null });
+      vi.spyOn(backend.auth, 'refreshSession').mockResolvedValue({ data: { session: null }, error: null });
+      const expired = vi.fn();
+      const unsubscribe = onSessionExpired(expired);
+
+      const { error } = await db.from('sessions').select();
+      unsubscribe();
+      expect(error).toBeInstanceOf(AuthExpiredError);
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(expired).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe('realtime', () => {
+  const sessionRow = (id, date) => ({ id, athlete_id: 'a1', date, duration_minutes: 30, focus: ['hitting'] });
+
+  it('adds, replaces and drops practices, deleting by id alone', () => {
+    let sessions = [toSession(sessionRow('s1', '2026-10-01'))];
+    sessions = mergeSessionChange(sessions, { eventType: 'INSERT', new: sessionRow('s2', '2026-10-03'), old: {} });
+    sessions = mergeSessionChange(sessions, { eventType: 'UPDATE', new: { ...sessionRow('s1', '2026-10-05'), note: 'moved' }, old: { id: 's1' } });
+    expect(sessions.map(s => [s.id, s.date, s.note])).toEqual([['s1', '2026-10-05', 'moved'], ['s2', '2026-10-03', '']]);
+
+    sessions = mergeSessionChange(sessions, { eventType: 'DELETE', new: {}, old: { id: 's1' } });
+    expect(sessions.map(s => s.id)).toEqual(['s2']);
+  });
+
+  it("keeps one goal per skill and drops it once it's closed or deleted", () => {
+    const goalRow = { id: 'g1', skill: 'hitting', text: 'Hit 100 balls', is_active: true };
+    let goals = mergeGoalChange({ pitching: toGoal({ id: 'g0', skill: 'pitching', text: 'Spots' }) }, { eventType: 'INSERT', new: goalRow, old: {} });
+    expect(Object.keys(goals)).toEqual(['pitching', 'hitting']);
+
+    goals = mergeGoalChange(goals, { eventType: 'UPDATE', new: { ...goalRow, is_active: false }, old: { id: 'g1' } });
+    expect(Object.keys(goals)).toEqual(['pitching']);
+
+    goals = mergeGoalChange(goals, { eventType: 'DELETE', new: {}, old: { id: 'g0' } });
+    expect(goals).toEqual({});
+  });
+
+  it('tracks drill uses by row id and drops those of a deleted practice', () => {
+    const drillRow = (id, sessionId, drillId) => ({ id, session_id: sessionId, drill_id: drillId });
+    let uses = [{ id: 'tmp-1', sessionId: 's1', drillId: 'tee-work' }];
+    // The echo of a synced offline row replaces its temp id
+    uses = mergeDrillUseChange(uses, 'session_drills', { eventType: 'INSERT', new: drillRow('d1', 's1', 'tee-work'), old: {} });
+    uses = mergeDrillUseChange(uses, 'session_drills', { eventType: 'INSERT', new: drillRow('d2', 's1', 'bunting'), old: {} });
+    uses = mergeDrillUseChange(uses, 'session_drills', { eventType: 'INSERT', new: drillRow('d3', 's2', 'bunting'), old: {} });
+    expect(uses.map(u => u.id)).toEqual(['d1', 'd2', 'd3']);
+
+    uses = mergeDrillUseChange(uses, 'session_drills', { eventType: 'DELETE', new: {}, old: { id: 'd2' } });
+    uses = mergeDrillUseChange(uses, 'sessions', { eventType: 'DELETE', new: {}, old: { id: 's2' } });
+    expect(uses.map(u => u.id)).toEqual(['d1']);
+    expect(mergeDrillUseChange(uses, 'goals', { eventType: 'DELETE', new: {}, old: { id: 'd1' } })).toBe(uses);
+  });
+
+  it('sends local deletes with only the row id, as Realtime does under RLS', async () => {
+    const user = await signUp(uniqueEmail('parent'));
+    const { data: athlete } = await db.from('athletes').insert({ profile_id: user.id, name: 'Maya' });
+    const { data: session } = await db.from('sessions').insert({ athlete_id: athlete.id, date: '2026-10-01', duration_minutes: 30, focus: ['hitting'] });
+
+    const changes = [];
+    const unsubscribe = backend.subscribe(athlete.id, (table, payload) => changes.push([table, payload]));
+    await db.from('sessions').delete().eq('id', session.id);
+    await vi.waitFor(() => expect(changes).toHaveLength(1));
+    unsubscribe();
+
+    expect(changes[0]).toEqual(['sessions', { eventType: 'DELETE', new: {}, old: { id: session.id } }]);
+  });
+});
+
+describe('parseCSV', () => {
+  it('handles quoted fields, escaped quotes and CRLF line endings', () => {
+    const text = 'Date,Note\r\n2026-10-01,"Bunts, then ""soft"" toss"\r\n2026-10-02,"two\nlines"\r\n\r\n';
+    expect(parseCSV(text)).toEqual([
+      ['Date', 'Note'],
+      ['2026-10-01', 'Bunts, then "soft" toss'],
+      ['2026-10-02', 'two\nlines']
+    ]);
+  });
+});
+
+describe('CSV import rows', () => {
+  const focusOptions = [{ id: 'hitting', label: 'Hitting' }, { id: 'pitching', label: 'Pitching' }];
+  const mapping = { date: 0, duration: 1, focus: 2, note: 3, reflection: '' };
+
+  it("reads ISO and US dates and rejects days that don't exist", () => {
+    expect(parseImportDate('2026-3-5')).toBe('2026-03-05');
+    expect(parseImportDate(' 3/15/26 ')).toBe('2026-03-15');
+    expect(parseImportDate('2/30/2026')).toBeNull();
+    expect(parseImportDate('15.03.2026')).toBeNull();
+  });
+
+  it('resolves focus labels and mapped values, and reports bad rows by line', () => {
+    const rows = buildImportRows([
+      ['2026-10-01', '45', 'Hitting; bullpen', '  Tee work  '],
+      ['10/2/2026', '0', 'yoga', ''],
+      ['2026-10-03', '30', 'stretching', '']
+    ], mapping, { bullpen: 'pitching', stretching: 'ignore' }, focusOptions);
+
+    expect(rows[0]).toEqual({
+      line: 2,
+      errors: [],
+      session: { date: '2026-10-01', duration_minutes: 45, focus: ['hitting', 'pitching'], note: 'Tee work', reflection: null }
+    });
+    expect(rows[1]).toMatchObject({ line: 3, errors: ['Invalid duration "0"', 'Unknown focus "yoga"'] });
+    expect(rows[2]).toMatchObject({ line: 4, errors: ['No focus area'] });
+  });
+});
+
+describe('computeStreaks', () => {
+  const today = new Date(2026, 9, 21); // a Wednesday
+  const practices = (...dates) => dates.map(date => ({ date }));
+
+  it('keeps a daily streak going over rest days and a today not yet practiced', () => {
+    // Friday the 16th is missed; Sunday the 18th is the rest day
+    const sessions = practices('2026-10-15', '2026-10-17', '2026-10-19', '2026-10-20');
+    expect(computeStreaks(sessions, { restDays: [0], today })).toMatchObject({ currentDays: 3, longestDays: 3 });
+    expect(computeStreaks(sessions, { today })).toMatchObject({ currentDays: 2, longestDays: 2 });
+  });
+
+  it("counts weeks that hit the target without breaking on the week in progress", () => {
+    const sessions = practices('2026-09-28', '2026-10-05', '2026-10-06', '2026-10-12', '2026-10-13', '2026-10-19');
+    expect(computeStreaks(sessions, { weeklyTarget: 2, today })).toMatchObject({ currentWeeks: 2, longestWeeks: 2 });
+    // A week later the one-practice week is over and ends the run
+    expect(computeStreaks(sessions, { weeklyTarget: 2, today: new Date(2026, 9, 28) }))
+      .toMatchObject({ currentWeeks: 0, longestWeeks: 2 });
+  });
+});
+
+describe('computeGoalProgress', () => {
+  const today = new Date(2026, 9, 21); // a Wednesday; the week started on the 18th
+  const sessions = [
+    { id: 's1', date: '2026-09-30', duration: 40, focus: ['hitting'] },
+    { id: 's2', date: '2026-10-02', duration: 30, focus: ['pitching'] },
+    { id: 's3', date: '2026-10-17', duration: 20, focus: ['hitting', 'fielding'] },
+    { id: 's4', date: '2026-10-19', duration: 45, focus: ['hitting'] },
+    { id: 's5', date: '2026-10-20', duration: 30, focus: ['pitching'] }
+  ];
+  const goal = (fields) => ({ targetPeriod: 'week', targetValue: 3, deadline: null, createdAt: null, ...fields });
+
+  it('is null for a goal without a target', () => {
+    expect(computeGoalProgress(goal({ targetType: null }), 'hitting', sessions, [], today)).toBeNull();
+  });
+
+  it('counts practices in the current week or month', () => {
+    expect(computeGoalProgress(goal({ targetType: 'practices' }), 'hitting', sessions, [], today))
+      .toEqual({ current: 2, target: 3, percent: 67, complete: false, daysLeft: null });
+    expect(computeGoalProgress(goal({ targetType: 'practices', targetPeriod: 'month' }), 'hitting', sessions, [], today))
+      .toMatchObject({ current: 4, percent: 100, complete: true });
+  });
+
+  it('counts the minutes of every practice that included the skill', () => {
+    expect(computeGoalProgress(goal({ targetType: 'minutes', targetValue: 90, targetPeriod: 'month' }), 'hitting', sessions, [], today))
+      .toMatchObject({ current: 65, percent: 72, complete: false });
+  });
+
+  it('counts totals from the day the goal was set up to its deadline', () => {
+    const drillUses = ['s1', 's3', 's4', 's5'].map(sessionId => ({ sessionId, drillId: 'tee-work' }));
+    const since = { targetPeriod: 'total', createdAt: new Date(2026, 9, 1, 12).toISOString() };
+
+    expect(computeGoalProgress(goal({ ...since, targetType: 'drill_uses', linkedDrillId: 'tee-work', deadline: '2026-10-19' }),
+      'hitting', sessions, drillUses, today)).toMatchObject({ current: 2, daysLeft: -2 });
+    expect(computeGoalProgress(goal({ ...since, targetType: 'practices', deadline: '2026-10-31' }), 'hitting', sessions, [], today))
+      .toMatchObject({ current: 4, daysLeft: 10 });
+  });
+});
+
+describe('computeWeeklyLoad', () => {
+  const today = new Date(2026, 9, 21);
+  const weeksAgo = (n) => {
+    const date = new Date(today);
+    date.setDate(today.getDate() - n * 7);
+    return dateKey(date);
+  };
+
+  it('flags a week well above the average of the weeks before it', () => {
+    const sessions = [
+      { date: dateKey(today), duration: 60, rpe: 10 },
+      ...[1, 2, 3, 4].map(n => ({ date: weeksAgo(n), duration: 60, rpe: 5 })),
+      { date: weeksAgo(2), duration: 90, rpe: null }
+    ];
+
+    const weeks = computeWeeklyLoad(sessions, today);
+    const thisWeek = weeks[weeks.length - 1];
+    expect(weeks).toHaveLength(8);
+    expect(thisWeek).toMatchObject({ label: 'This Week', load: 600, baseline: 300, spike: true });
+    expect(weeks[weeks.length - 2]).toMatchObject({ load: 300, spike: false });
+  });
+});
+
+describe('practice timer', () => {
+  it('leaves paused time out of the elapsed time', () => {
+    let timer = newTimer('athlete-1', 0);
+    timer = pauseTimer(timer, 60000);
+    timer = resumeTimer(timer, 90000);
+    expect(timerElapsedMs(timer, 150000)).toBe(120000);
+  });
+
+  it('splits time between drills in whole minutes', () => {
+    let timer = newTimer('athlete-1', 0);
+    timer = switchTimerDrill(timer, 'tee-work', 0);
+    timer = switchTimerDrill(timer, 'bunting', 5 * 60000);
+    timer = switchTimerDrill(timer, 'bunting', 5 * 60000 + 10000);
+    expect(timerDrillMinutes(timer, 10 * 60000)).toEqual({ 'tee-work': 5, bunting: 1 });
+  });
+
+  it('freezes the clock when stopped, even if stopped twice', () => {
+    const stopped = stopTimer(newTimer('athlete-1', 0), 60000);
+    expect(timerElapsedMs(stopped, 120000)).toBe(60000);
+    expect(stopTimer(stopped, 120000)).toBe(stopped);
+  });
+});
+
+describe('escapeHtml', () => {
+  it('escapes markup in user text', () => {
+    expect(escapeHtml(`<img src=x onerror="alert('hi')"> & co`))
+      .toBe('&lt;img src=x onerror=&quot;alert(&#39;hi&#39;)&quot;&gt; &amp; co');
+    expect(escapeHtml(null)).toBe('');
+  });
+});
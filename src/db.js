@@ -0,0 +1,1550 @@
+import { createClient, isAuthRetryableFetchError } from '@supabase/supabase-js';
+import {
+  DEFAULT_SPORT_ID, DRILL_CATALOG, toDateKey, toSession, sortSessions, toGoal, toDrillUse, addDrillUses
+} from './helpers';
+
+// ----------------------------------------------------------------------------
+// SUPABASE CLIENT & API HELPERS
+// ----------------------------------------------------------------------------
+// VITE_BACKEND picks where data and auth live (see BACKEND below):
+//   supabase (default)  the real project at VITE_SUPABASE_URL
+//   local               the LOCAL BACKEND, saved in this browser's localStorage
+//   memory              the LOCAL BACKEND, gone on reload (handy for tests)
+const BACKEND_KIND = import.meta.env.VITE_BACKEND || 'supabase';
+export const usesSupabase = BACKEND_KIND === 'supabase';
+
+if (!['supabase', 'local', 'memory'].includes(BACKEND_KIND)) {
+  throw new Error(`Unknown VITE_BACKEND "${BACKEND_KIND}" (use supabase, local or memory)`);
+}
+
+const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
+const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+
+if (usesSupabase && (!supabaseUrl || !supabaseAnonKey)) {
+  throw new Error('Missing VITE_SUPABASE_URL or VITE_SUPABASE_ANON_KEY in .env file (or set VITE_BACKEND=local)');
+}
+
+// Where password reset and magic-link emails send people back to. Defaults to
+// the current origin; point it at the dev server when testing against a local
+// Supabase stack (`supabase start`), whose Inbucket inbox catches the emails.
+export const authRedirectUrl = import.meta.env.VITE_AUTH_REDIRECT_URL || window.location.origin;
+
+// Password reset links come back with `type=recovery` in the hash (implicit
+// flow, reported as a PASSWORD_RECOVERY event) or our own `auth=recovery` query
+// param (PKCE, whose code exchange is reported as a plain SIGNED_IN). Read it
+// before the supabase client consumes the URL, then drop our param so a reload
+// or bookmark doesn't reopen the set-new-password screen.
+export const RECOVERY_REDIRECT_PARAM = 'auth';
+export const isPkceRecoveryRedirect = new URLSearchParams(window.location.search).get(RECOVERY_REDIRECT_PARAM) === 'recovery';
+export const isRecoveryRedirect =
+  new URLSearchParams(window.location.hash.slice(1)).get('type') === 'recovery' || isPkceRecoveryRedirect;
+if (isPkceRecoveryRedirect) {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(RECOVERY_REDIRECT_PARAM);
+  window.history.replaceState(window.history.state, '', url.toString());
+}
+
+// Keep supabase client for auth and realtime only
+const supabase = usesSupabase ? createClient(supabaseUrl, supabaseAnonKey) : null;
+
+// Every db request gives up after DB_TIMEOUT_MS (override per query with
+// .timeout(ms)). Reads, updates, deletes and upserts that fail on the network
+// or a busy server are retried up to DB_MAX_RETRIES times with exponential
+// backoff; inserts and rpc calls aren't, since a retry could apply them twice.
+const DB_TIMEOUT_MS = Number(import.meta.env.VITE_DB_TIMEOUT_MS) || 10000;
+const DB_MAX_RETRIES = Number(import.meta.env.VITE_DB_MAX_RETRIES ?? 3);
+const DB_RETRY_BASE_MS = 500;
+
+// Current access token, or null when there's no session. Never the anon key:
+// a signed-out request would only come back as a confusing RLS error.
+export const getAuthToken = async () => {
+  const { data: { session } } = await backend.auth.getSession();
+  return session?.access_token || null;
+};
+
+// Concurrent 401s share a single refresh. Resolves to { token } on success,
+// { error } when the refresh itself couldn't reach the server, or {} when the
+// session is gone for good.
+let refreshPromise = null;
+
+const refreshAuthToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = backend.auth.refreshSession()
+      .then(({ data, error }) => {
+        if (isAuthRetryableFetchError(error)) return { error: new NetworkError(undefined, { details: error.message }) };
+        return data?.session ? { token: data.session.access_token } : {};
+      })
+      .finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+};
+
+// AuthProvider signs out and shows AuthScreen when this fires; screens with
+// unsaved input listen too so they can stash it first.
+const sessionExpiredListeners = new Set();
+
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => sessionExpiredListeners.delete(listener);
+};
+
+// ----------------------------------------------------------------------------
+// DB ERRORS
+// ----------------------------------------------------------------------------
+// Every failed request resolves to { error } holding one of these, so callers
+// can branch on `instanceof` (or `kind`) instead of parsing PostgREST bodies.
+class DbError extends Error {
+  constructor(message, { kind = 'unknown', status = null, code = null, details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// The request never reached the server (offline, DNS, CORS)
+export class NetworkError extends DbError {
+  constructor(message = "Can't reach the server. Check your connection.", info = {}) {
+    super(message, { kind: 'network', ...info });
+  }
+}
+
+// No response within the timeout. The server may still have applied a write.
+class TimeoutError extends NetworkError {
+  constructor(ms, info = {}) {
+    super(`The server didn't respond within ${Math.round(ms / 1000)} seconds.`, { ...info, kind: 'timeout' });
+  }
+}
+
+// The access token expired or was revoked; the user has to sign in again
+export class AuthExpiredError extends DbError {
+  constructor(message = 'Your session has expired. Please sign in again.', info = {}) {
+    super(message, { ...info, kind: 'auth-expired' });
+  }
+}
+
+// Row level security refused the read or write
+export class PermissionDeniedError extends DbError {
+  constructor(message = "You don't have permission to do that.", info = {}) {
+    super(message, { ...info, kind: 'rls-denied' });
+  }
+}
+
+// Bad input: constraint, type or check failures and errors raised by our own functions
+class ValidationError extends DbError {
+  constructor(message, info = {}) {
+    super(message, { ...info, kind: 'validation' });
+  }
+}
+
+// Unique or foreign key conflicts (e.g. the row already exists)
+export class ConflictError extends DbError {
+  constructor(message = 'That conflicts with something that already exists.', info = {}) {
+    super(message, { ...info, kind: 'conflict' });
+  }
+}
+
+// Error bodies can be empty (e.g. some 401s/404s) or plain text, so never
+// assume JSON
+const readErrorBody = async (response) => {
+  const text = await response.text().catch(() => '');
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return { message: text };
+  }
+};
+
+// Map an HTTP status and PostgREST/Postgres error code to a DbError.
+// Codes: https://postgrest.org/en/stable/references/errors.html
+const toDbError = (status, body = {}) => {
+  const code = body.code || null;
+  const serverMessage = body.message || body.error_description || body.msg || `Request failed (${status})`;
+  const info = { status, code, details: body.details || body.hint || serverMessage };
+
+  if (code === '42501' || status === 403) return new PermissionDeniedError(undefined, info);
+  if (status === 401 || code === 'PGRST301' || code === 'PGRST303') return new AuthExpiredError(undefined, info);
+  if (status === 409 || code === '23505' || code === '23503') return new ConflictError(undefined, info);
+  if (status === 400 || status === 422 || /^(22|23|P0|PGRST1)/.test(code || '')) {
+    return new ValidationError(serverMessage, info);
+  }
+  return new DbError(serverMessage, info);
+};
+
+const isNetworkError = (err) => err instanceof NetworkError;
+
+// Worth another try: the request never landed or the server was briefly unavailable
+const isRetryable = (err) => isNetworkError(err) || [429, 502, 503, 504].includes(err?.status);
+
+// ----------------------------------------------------------------------------
+// QUERIES
+// ----------------------------------------------------------------------------
+// A query is a plain, serializable description of one PostgREST request, so
+// the offline queue can store it in IndexedDB and replay it later:
+//   { table, method, columns, filters: [[column, operator, value]], order,
+//     offset, limit, count, single, body, returnData, onConflict, timeout, retries }
+// method is select | insert | upsert | update | delete | rpc.
+const WRITE_METHODS = ['insert', 'upsert', 'update', 'delete'];
+
+// Values inside in.(...) and cs.{...} lists are quoted when they contain
+// PostgREST delimiters
+const quoteListValue = (value) => {
+  const text = String(value);
+  return /[,(){}"\\\s]/.test(text) ? `"${text.replace(/["\\]/g, '\\$&')}"` : text;
+};
+
+export const encodeFilter = ([column, operator, value]) => {
+  let expression;
+  if (operator === 'in') expression = `in.(${value.map(quoteListValue).join(',')})`;
+  else if (operator === 'cs') expression = `cs.{${value.map(quoteListValue).join(',')}}`;
+  else if (operator === 'is') expression = `is.${value === null ? 'null' : value}`;
+  else if (operator === 'or') return `or=${encodeURIComponent(value)}`;
+  else expression = `${operator}.${value}`;
+  return `${column}=${encodeURIComponent(expression)}`;
+};
+
+export const queryUrl = (query) => {
+  if (query.method === 'rpc') return `${supabaseUrl}/rest/v1/rpc/${query.table}`;
+
+  const params = [];
+  if (query.method === 'select' || query.returnData) params.push(`select=${query.columns || '*'}`);
+  query.filters.forEach(filter => params.push(encodeFilter(filter)));
+
+  if (query.order.length > 0) {
+    params.push(`order=${query.order.map(o => `${o.column}.${o.ascending ? 'asc' : 'desc'}`).join(',')}`);
+  }
+  if (query.limit != null) params.push(`limit=${query.limit}`);
+  if (query.offset) params.push(`offset=${query.offset}`);
+
+  // Bulk inserts: PostgREST takes its column list from the first row unless told otherwise
+  if (Array.isArray(query.body)) {
+    const columns = [...new Set(query.body.flatMap(row => Object.keys(row)))];
+    params.push(`columns=${columns.map(encodeURIComponent).join(',')}`);
+  }
+  if (query.method === 'upsert' && query.onConflict) params.push(`on_conflict=${encodeURIComponent(query.onConflict)}`);
+
+  return `${supabaseUrl}/rest/v1/${query.table}${params.length ? `?${params.join('&')}` : ''}`;
+};
+
+const HTTP_METHODS = { select: 'GET', insert: 'POST', upsert: 'POST', rpc: 'POST', update: 'PATCH', delete: 'DELETE' };
+
+// Safe to send twice: repeating these leaves the same end state
+const IDEMPOTENT_METHODS = ['select', 'update', 'delete', 'upsert'];
+
+const preferHeader = (query) => {
+  const prefer = [];
+  if (WRITE_METHODS.includes(query.method)) prefer.push(query.returnData ? 'return=representation' : 'return=minimal');
+  if (query.method === 'upsert') prefer.push('resolution=merge-duplicates');
+  if (Array.isArray(query.body)) prefer.push('missing=default');
+  // Ask PostgREST for the total row count in the Content-Range header
+  if (query.count) prefer.push(`count=${query.count}`);
+  return prefer.join(',');
+};
+
+const failure = (error) => ({ data: null, error, count: null });
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The Supabase backend's request(): run a query over PostgREST and resolve to
+// { data, error, count } with data as PostgREST returns it (rows as an array)
+const supabaseRequest = async (query, token, signal) => {
+  const prefer = preferHeader(query);
+  const response = await fetch(queryUrl(query), {
+    method: HTTP_METHODS[query.method],
+    headers: {
+      'apikey': supabaseAnonKey,
+      'Authorization': `Bearer ${token}`,
+      ...(query.body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(prefer ? { 'Prefer': prefer } : {})
+    },
+    ...(query.body !== undefined ? { body: JSON.stringify(query.body) } : {}),
+    signal
+  });
+
+  if (!response.ok) return failure(toDbError(response.status, await readErrorBody(response)));
+
+  const text = await response.text();
+  const total = query.count ? Number(response.headers.get('content-range')?.split('/')[1]) : NaN;
+  return { data: text ? JSON.parse(text) : null, error: null, count: Number.isFinite(total) ? total : null };
+};
+
+// One attempt at a query. Resolves to { data, error, count }; never throws.
+export const sendQuery = async (query, token) => {
+  const timeout = query.timeout || DB_TIMEOUT_MS;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const result = await backend.request(query, token, controller.signal);
+    if (result.error) return result;
+
+    let data = result.data;
+    if (query.single) data = data?.[0] || null;
+    // A single-row insert/upsert hands back that row rather than a one-item array
+    else if (['insert', 'upsert'].includes(query.method) && data && !Array.isArray(query.body)) data = data[0] || null;
+
+    return { ...result, data };
+  } catch (err) {
+    if (err.name === 'AbortError') return failure(new TimeoutError(timeout));
+    // fetch() rejects with a TypeError when the request never reaches the server
+    return failure(new NetworkError(undefined, { details: err.message }));
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+export const sendWithRetry = async (query, token) => {
+  const retries = IDEMPOTENT_METHODS.includes(query.method) ? query.retries ?? DB_MAX_RETRIES : 0;
+
+  for (let attempt = 0; ; attempt++) {
+    const result = await sendQuery(query, token);
+    if (!result.error || attempt >= retries || !isRetryable(result.error) || !navigator.onLine) return result;
+
+    // 0.5s, 1s, 2s... with jitter so clients that failed together don't retry in lockstep
+    await wait(DB_RETRY_BASE_MS * 2 ** attempt * (0.5 + Math.random() / 2));
+  }
+};
+
+// Send a query to the backend. Resolves to { data, error, count }; never throws.
+const executeQuery = async (query) => {
+  if (['update', 'delete'].includes(query.method) && query.filters.length === 0) {
+    return failure(new ValidationError(`Refusing to ${query.method} every row in ${query.table}`));
+  }
+
+  const token = await getAuthToken();
+  let result = token ? await sendWithRetry(query, token) : failure(new AuthExpiredError());
+
+  // The access token expired or was revoked: refresh the session once and try again
+  if (result.error instanceof AuthExpiredError) {
+    const refreshed = await refreshAuthToken();
+    if (refreshed.error) return failure(refreshed.error);
+    if (refreshed.token) result = await sendWithRetry(query, refreshed.token);
+  }
+
+  if (result.error instanceof AuthExpiredError) {
+    sessionExpiredListeners.forEach(listener => listener());
+  }
+  return result;
+};
+
+export const newQuery = (table, method, fields = {}) => ({
+  table,
+  method,
+  columns: '*',
+  filters: [],
+  order: [],
+  limit: null,
+  offset: 0,
+  count: null,
+  single: false,
+  returnData: method === 'select' || method === 'rpc',
+  timeout: null,
+  retries: null,
+  ...fields
+});
+
+// Chainable, awaitable query builder in the style of supabase-js:
+//   await db.from('sessions').select('*', { count: 'exact' })
+//     .eq('athlete_id', id).gte('date', from).order('date', { ascending: false }).range(0, 19)
+// Writes go through the offline queue; reads and rpc calls always hit the network.
+const queryBuilder = (query) => {
+  const filter = (operator) => (column, value) => {
+    query.filters.push([column, operator, value]);
+    return builder;
+  };
+
+  const builder = {
+    eq: filter('eq'),
+    neq: filter('neq'),
+    gt: filter('gt'),
+    gte: filter('gte'),
+    lt: filter('lt'),
+    lte: filter('lte'),
+    in: filter('in'),
+    is: filter('is'),
+    // Array column containing all of the given values (e.g. sessions.focus)
+    contains: filter('cs'),
+    // Case-insensitive match; use * as the wildcard, e.g. ilike('note', '*bunt*')
+    ilike: filter('ilike'),
+
+    // Raw PostgREST or-filter, e.g. '(note.ilike.*bunt*,reflection.ilike.*bunt*)'
+    or(expression) {
+      query.filters.push(['or', 'or', expression]);
+      return builder;
+    },
+
+    // Call repeatedly to add tie-breakers
+    order(column, { ascending = true } = {}) {
+      query.order.push({ column, ascending });
+      return builder;
+    },
+
+    limit(count) {
+      query.limit = count;
+      return builder;
+    },
+
+    // Inclusive row range, e.g. range(0, 19) for the first page of 20
+    range(from, to) {
+      query.offset = from;
+      query.limit = to - from + 1;
+      return builder;
+    },
+
+    // Resolve to the first row (or null) instead of an array
+    single() {
+      query.single = true;
+      return builder;
+    },
+
+    // Give up after `ms` instead of DB_TIMEOUT_MS
+    timeout(ms) {
+      query.timeout = ms;
+      return builder;
+    },
+
+    // Retry at most `count` times instead of DB_MAX_RETRIES (idempotent requests only)
+    retry(count) {
+      query.retries = count;
+      return builder;
+    },
+
+    then(resolve, reject) {
+      const run = WRITE_METHODS.includes(query.method) ? sendOrQueue(query) : executeQuery(query);
+      return run.then(resolve, reject);
+    }
+  };
+
+  return builder;
+};
+
+// ----------------------------------------------------------------------------
+// OFFLINE WRITE QUEUE
+// ----------------------------------------------------------------------------
+// Writes made without a connection are persisted in IndexedDB and replayed in
+// order once we're back online. Queued inserts get temporary ids so later
+// queued writes (e.g. session_drills for a new session) can point at the rows
+// before the server has assigned their real ids. The temp id -> real id map
+// is stored alongside, so writes still waiting after a reload can be remapped.
+const QUEUE_DB_NAME = 'practice-tracker';
+const QUEUE_STORE = 'pending_writes';
+const ID_MAP_STORE = 'id_map';
+const TEMP_ID_PREFIX = 'tmp-';
+
+// A flush that hits a network error while the browser still reports being
+// online retries after 2s, 4s, 8s... up to a minute
+const FLUSH_RETRY_BASE_MS = 2000;
+const FLUSH_RETRY_MAX_MS = 60000;
+
+export const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+
+const newTempId = () => `${TEMP_ID_PREFIX}${crypto.randomUUID()}`;
+
+// Replace any temp ids (anywhere in a query) with their real ids
+export const remapIds = (value, idMap) => {
+  if (typeof value === 'string') return idMap[value] || value;
+  if (Array.isArray(value)) return value.map(v => remapIds(v, idMap));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, remapIds(v, idMap)]));
+  }
+  return value;
+};
+
+// Entries queued before queries were descriptors stored { op, table, args }
+// in the old db.insert/update/delete argument order
+const entryQuery = (entry) => {
+  if (entry.query) return entry.query;
+
+  const [first, options = {}] = entry.args;
+  if (entry.op === 'insert') return newQuery(entry.table, 'insert', { body: first, returnData: true });
+  const eq = entry.op === 'update' ? options.eq || {} : typeof first === 'string' ? { id: first } : first?.eq || {};
+  return newQuery(entry.table, entry.op, {
+    filters: Object.entries(eq).map(([column, value]) => [column, 'eq', value]),
+    ...(entry.op === 'update' ? { body: first, returnData: true } : {})
+  });
+};
+
+const entryTempIds = (entry) => entry.tempIds || (entry.tempId ? [entry.tempId] : []);
+
+// The rows a queued write inserts (one per temp id)
+const entryRows = (entry, query = entryQuery(entry)) => [].concat(query.body || []);
+
+// The values a queued update/delete targets in `column` (from eq and in filters)
+const entryFilterValues = (entry, column, query = entryQuery(entry)) => query.filters
+  .filter(([col, operator]) => col === column && ['eq', 'in'].includes(operator))
+  .flatMap(([, , value]) => [].concat(value));
+
+const matchesFilter = (row, filter) => Object.entries(filter).every(([col, val]) => row[col] === val);
+
+// Whether a locally held row is one a queued update/delete applies to.
+// Filters the overlay can't evaluate (ranges, or) never match, so unknown
+// rows are left alone rather than wrongly changed.
+const matchesQuery = (row, query) => query.filters.every(([column, operator, value]) => {
+  if (operator === 'eq' || operator === 'is') return row[column] === value;
+  if (operator === 'in') return value.includes(row[column]);
+  return false;
+});
+
+let queueDbPromise = null;
+
+const openQueueDb = () => {
+  if (!queueDbPromise) {
+    queueDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(QUEUE_DB_NAME, 2);
+      request.onupgradeneeded = (event) => {
+        if (event.oldVersion < 1) request.result.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+        if (event.oldVersion < 2) request.result.createObjectStore(ID_MAP_STORE, { keyPath: 'tempId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return queueDbPromise;
+};
+
+// Run a single request against one store and resolve with its result
+const queueRequest = async (mode, run, storeName = QUEUE_STORE) => {
+  const idb = await openQueueDb();
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(storeName, mode);
+    const request = run(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// Drop a replayed entry and record the real ids it produced in one transaction,
+// so a reload in between can't lose the mapping
+const completeQueuedWrite = async (seq, idPairs) => {
+  const idb = await openQueueDb();
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction([QUEUE_STORE, ID_MAP_STORE], 'readwrite');
+    tx.objectStore(QUEUE_STORE).delete(seq);
+    idPairs.forEach(([tempId, realId]) => tx.objectStore(ID_MAP_STORE).put({ tempId, realId }));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export const writeQueue = {
+  idMap: {}, // tempId -> real id, filled in as queued inserts replay
+  idMapLoaded: null,
+  listeners: new Set(),
+  flushing: false,
+  retryTimer: null,
+  retryCount: 0,
+
+  // Pending writes, oldest first
+  entries() {
+    return queueRequest('readonly', store => store.getAll());
+  },
+
+  // The oldest pending write, or undefined
+  async next() {
+    const [entry] = await queueRequest('readonly', store => store.getAll(undefined, 1));
+    return entry;
+  },
+
+  // Load the stored id map once, before anything remaps with it
+  loadIdMap() {
+    if (!this.idMapLoaded) {
+      this.idMapLoaded = queueRequest('readonly', store => store.getAll(), ID_MAP_STORE)
+        .then(pairs => pairs.forEach(({ tempId, realId }) => { this.idMap[tempId] ??= realId; }))
+        .catch(() => {});
+    }
+    return this.idMapLoaded;
+  },
+
+  // Flush again after `delay` (backing off while the network keeps failing)
+  scheduleFlush(delay = FLUSH_RETRY_BASE_MS * 2 ** (this.retryCount - 1)) {
+    if (this.retryTimer) return;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush().catch(error => console.error('Error flushing write queue:', error));
+    }, Math.min(delay, FLUSH_RETRY_MAX_MS));
+  },
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
+
+  async notify(event = {}) {
+    const pending = await this.entries();
+    this.listeners.forEach(listener => listener({ pending, remapped: {}, failed: [], ...event }));
+  },
+
+  async enqueue(query) {
+    const entry = { op: query.method, table: query.table, query, queuedAt: new Date().toISOString() };
+    const result = { data: null, error: null, count: null, queued: true };
+
+    if (['insert', 'upsert'].includes(query.method)) {
+      const rows = [].concat(query.body);
+      // Upserts keep the id they were given; new rows get temp ids
+      entry.tempIds = rows.map(row => row.id || newTempId());
+      // Always ask for the inserted rows on replay so we learn their real ids
+      entry.query = { ...query, returnData: true };
+      if (query.returnData) {
+        const withIds = rows.map((row, i) => ({ ...row, id: entry.tempIds[i] }));
+        result.data = Array.isArray(query.body) ? withIds : withIds[0];
+      }
+    }
+
+    await queueRequest('readwrite', store => store.add(entry));
+    this.notify();
+    // Offline, the 'online' event flushes; otherwise try shortly
+    if (navigator.onLine) this.scheduleFlush(this.retryCount === 0 ? 0 : undefined);
+    return result;
+  },
+
+  // Replay queued writes in order, including ones queued while this runs.
+  // Stops at the first network failure and retries with backoff (or on the
+  // next 'online' event); an expired session waits for the next sign-in.
+  async flush() {
+    if (this.flushing || !navigator.onLine) return;
+    this.flushing = true;
+
+    const remapped = {};
+    const failed = [];
+    let networkFailed = false;
+
+    try {
+      await this.loadIdMap();
+
+      for (let entry = await this.next(); entry; entry = await this.next()) {
+        const result = await executeQuery(remapIds(entryQuery(entry), this.idMap));
+        if (isNetworkError(result.error)) {
+          networkFailed = true;
+          break;
+        }
+        if (result.error instanceof AuthExpiredError) break;
+
+        const idPairs = [];
+        if (result.error) {
+          // The server rejected it (RLS, validation...). Drop it so it can't block the rest of the queue.
+          console.error('Dropping queued write:', entry, result.error);
+          failed.push({ entry, error: result.error });
+        } else {
+          const rows = [].concat(result.data || []);
+          entryTempIds(entry).forEach((tempId, i) => {
+            if (isTempId(tempId) && rows[i]?.id) idPairs.push([tempId, rows[i].id]);
+          });
+        }
+
+        await completeQueuedWrite(entry.seq, idPairs);
+        idPairs.forEach(([tempId, realId]) => {
+          this.idMap[tempId] = realId;
+          remapped[tempId] = realId;
+        });
+      }
+    } finally {
+      this.flushing = false;
+      await this.notify({ remapped, failed });
+    }
+
+    if (networkFailed) {
+      this.retryCount += 1;
+      this.scheduleFlush();
+    } else {
+      this.retryCount = 0;
+      // Nothing left that could carry a temp id across a reload
+      if (!(await this.next())) await queueRequest('readwrite', store => store.clear(), ID_MAP_STORE);
+    }
+  },
+
+  // Apply queued writes on top of rows fetched from the server, so offline
+  // changes still show after a reload. `match` limits which queued inserts apply.
+  async overlay(table, rows, match = {}) {
+    await this.loadIdMap();
+    let result = [...rows];
+
+    for (const entry of await this.entries()) {
+      if (entry.table !== table) continue;
+      const query = remapIds(entryQuery(entry), this.idMap);
+      const tempIds = entryTempIds(entry);
+
+      if (['insert', 'upsert'].includes(query.method)) {
+        entryRows(entry, query).forEach((body, i) => {
+          const row = { ...body, id: remapIds(tempIds[i], this.idMap) };
+          if (!matchesFilter(row, match)) return;
+          result = [...result.filter(r => r.id !== row.id), row];
+        });
+      } else if (query.method === 'update') {
+        result = result.map(row => matchesQuery(row, query) ? { ...row, ...query.body } : row);
+      } else {
+        result = result.filter(row => !matchesQuery(row, query));
+      }
+    }
+
+    return result;
+  }
+};
+
+// Ids of rows in `table` (by `column`) that still have writes waiting to sync
+export const pendingRowIds = (entries, table, column = 'id') => {
+  const ids = new Set();
+  entries
+    .filter(entry => entry.table === table)
+    .forEach(entry => {
+      const found = ['insert', 'upsert'].includes(entry.op)
+        ? (column === 'id' ? entryTempIds(entry) : entryRows(entry).map(row => row[column]))
+        : entryFilterValues(entry, column);
+      found.filter(Boolean).forEach(id => ids.add(remapIds(id, writeQueue.idMap)));
+    });
+  return ids;
+};
+
+// Send a write straight away when we can; otherwise (offline, or earlier
+// writes still waiting) queue it so writes always reach the server in order.
+const sendOrQueue = async (query) => {
+  await writeQueue.loadIdMap();
+  const remappedQuery = remapIds(query, writeQueue.idMap);
+  // If IndexedDB is unavailable, behave like a plain online client
+  const pending = await writeQueue.entries().catch(() => []);
+
+  if (navigator.onLine && pending.length === 0) {
+    const result = await executeQuery(remappedQuery);
+    if (!isNetworkError(result.error)) return result;
+    // A timed-out insert may have landed; queueing it could log it twice
+    if (result.error instanceof TimeoutError && !IDEMPOTENT_METHODS.includes(query.method)) return result;
+  }
+
+  return writeQueue.enqueue(remappedQuery);
+};
+
+// Database access. Start every request with db.from(table):
+//   db.from('goals').select().eq('athlete_id', id)
+//   db.from('sessions').insert(row)            (or an array of rows)
+//   db.from('custom_drills').upsert(rows, { onConflict: 'id' })
+//   db.from('sessions').update(fields).eq('id', id)
+//   db.from('sessions').delete().eq('id', id)
+export const db = {
+  from(table) {
+    return {
+      select: (columns = '*', { count = null } = {}) =>
+        queryBuilder(newQuery(table, 'select', { columns, count })),
+      insert: (rows, { returnData = true } = {}) =>
+        queryBuilder(newQuery(table, 'insert', { body: rows, returnData })),
+      upsert: (rows, { onConflict = null, returnData = true } = {}) =>
+        queryBuilder(newQuery(table, 'upsert', { body: rows, onConflict, returnData })),
+      update: (fields, { returnData = true } = {}) =>
+        queryBuilder(newQuery(table, 'update', { body: fields, returnData })),
+      delete: () => queryBuilder(newQuery(table, 'delete'))
+    };
+  },
+
+  // Postgres functions (POST /rpc/<fn>). Never queued offline: these validate
+  // server-side state, so they only make sense with a connection.
+  rpc(fn, args = {}, { timeout = null } = {}) {
+    return executeQuery(newQuery(fn, 'rpc', { body: args, timeout }));
+  }
+};
+
+// ----------------------------------------------------------------------------
+// REALTIME
+// ----------------------------------------------------------------------------
+// Live changes to the current athlete from other devices and co-parents, over
+// Supabase Realtime (the REST client above can't push). session_drills has no
+// athlete_id to filter on; RLS limits it to rows we can see, and drill uses
+// only count for sessions the app has loaded anyway.
+const REALTIME_TABLES = [
+  { table: 'sessions', filter: 'athlete_id' },
+  { table: 'goals', filter: 'athlete_id' },
+  { table: 'session_drills' }
+];
+
+// The Supabase backend's subscribe()
+const supabaseSubscribe = (athleteId, onChange) => {
+  const channel = supabase.channel(`athlete-${athleteId}`);
+
+  REALTIME_TABLES.forEach(({ table, filter }) => {
+    channel.on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table,
+      ...(filter ? { filter: `${filter}=eq.${athleteId}` } : {})
+    }, (payload) => onChange(table, payload));
+
+    // Realtime can't apply filters to deletes, so they only reach an unfiltered
+    // listener. With RLS on, old holds just the id, so every delete is passed
+    // on and dropping an id we never loaded does nothing.
+    if (filter) {
+      channel.on('postgres_changes', { event: 'DELETE', schema: 'public', table }, (payload) => onChange(table, payload));
+    }
+  });
+
+  channel.subscribe();
+  return () => supabase.removeChannel(channel);
+};
+
+// Calls onChange(table, payload) for every insert/update/delete; returns an unsubscribe function
+export const subscribeToAthlete = (athleteId, onChange) => backend.subscribe(athleteId, onChange);
+
+// Insert or replace a row by id. Realtime echoes of our own writes can land
+// before or after the local update, and a synced offline row replaces the
+// copy we were showing under its temp id.
+export const upsertById = (list, row) => {
+  const tempIds = Object.keys(writeQueue.idMap).filter(tempId => writeQueue.idMap[tempId] === row.id);
+  return [row, ...list.filter(item => item.id !== row.id && !tempIds.includes(item.id))];
+};
+
+// Merge a realtime payload into the loaded state. Deletes only carry the row
+// id (see the architecture notes), so they're matched on that alone.
+export const mergeSessionChange = (sessions, { eventType, new: row, old }) => eventType === 'DELETE'
+  ? sessions.filter(s => s.id !== old.id)
+  : sortSessions(upsertById(sessions, toSession(row)));
+
+// Goals are keyed by skill: drop whichever skill held this goal, then re-add
+// it if it's (still) active
+export const mergeGoalChange = (goals, { eventType, new: row, old }) => {
+  const goalId = eventType === 'DELETE' ? old.id : row.id;
+  const next = Object.fromEntries(Object.entries(goals).filter(([, g]) => g?.id !== goalId));
+  if (eventType !== 'DELETE' && row.is_active) next[row.skill] = toGoal(row);
+  return next;
+};
+
+// Drill uses follow their session_drills rows and go with a deleted session
+export const mergeDrillUseChange = (drillUses, table, { eventType, new: row, old }) => {
+  if (table === 'sessions' && eventType === 'DELETE') return drillUses.filter(u => u.sessionId !== old.id);
+  if (table !== 'session_drills') return drillUses;
+  return eventType === 'DELETE'
+    ? drillUses.filter(u => u.id !== old.id)
+    : addDrillUses(drillUses, [toDrillUse(row)]);
+};
+
+// ----------------------------------------------------------------------------
+// LOCAL BACKEND
+// ----------------------------------------------------------------------------
+// A stand-in for Supabase (VITE_BACKEND=local or memory) so the app runs with
+// no project and no network. It answers the same query descriptors db sends,
+// over tables kept as arrays of rows, and emulates what the app relies on from
+// Postgres: the RLS rules in the architecture notes, id/created_at and column
+// defaults, unique constraints, ON DELETE CASCADE, embedded selects like
+// '*,athletes(name)' or 'sessions!inner(athlete_id)', the drill_frequency and
+// team views, join_team, and realtime events for the current page.
+// Accounts are email + password with no confirmation. Password reset and magic
+// link emails are written to the console instead of sent; opening the link
+// signs in like Supabase's redirect (memory mode loses them on navigation).
+const LOCAL_STORAGE_KEY = 'localBackend';
+const LOCAL_SESSION_KEY = 'localBackendSession';
+const LOCAL_TOKEN_PREFIX = 'local:';
+const LOCAL_LINK_PARAM = 'local_auth_link';
+const LOCAL_LINK_TTL_MS = 60 * 60 * 1000;
+
+// Seeded into an empty store with a few weeks of practice, unless VITE_LOCAL_SEED=none
+export const DEMO_ACCOUNT = { email: 'demo@example.com', password: 'practice' };
+export const seedsDemoData = import.meta.env.VITE_LOCAL_SEED !== 'none';
+
+const LOCAL_TABLES = [
+  'profiles', 'athletes', 'sessions', 'session_drills', 'goals', 'custom_drills', 'custom_sports',
+  'athlete_members', 'teams', 'team_members', 'assignments', 'practice_templates', 'games'
+];
+
+// Column defaults the database fills in
+const LOCAL_DEFAULTS = {
+  profiles: { is_pro: false },
+  athletes: { sport: 'softball' },
+  goals: { is_active: true, status: 'active', target_period: 'week' },
+  custom_drills: { sport: 'softball', metrics: [] },
+  practice_templates: { use_count: 0, drill_ids: [] },
+  team_members: { share_goals: true, share_notes: false, share_reflections: false },
+  games: { stats: {} }
+};
+
+// Unique constraints besides the primary key
+const LOCAL_UNIQUE = {
+  athlete_members: [['athlete_id', 'invited_email']],
+  teams: [['join_code']],
+  team_members: [['team_id', 'athlete_id']]
+};
+
+// ON DELETE CASCADE: parent table -> [child table, foreign key]
+const LOCAL_CASCADES = {
+  athletes: [
+    ['sessions', 'athlete_id'], ['goals', 'athlete_id'], ['athlete_members', 'athlete_id'], ['assignments', 'athlete_id'],
+    ['practice_templates', 'athlete_id'], ['games', 'athlete_id'], ['team_members', 'athlete_id']
+  ],
+  sessions: [['session_drills', 'session_id']],
+  teams: [['team_members', 'team_id']]
+};
+
+// The caller's role on an athlete ('owner' | 'editor'), or null without access.
+// ctx is { user, tables, method } for the request being checked.
+const localAthleteRole = (ctx, athleteId) => {
+  const athlete = ctx.tables.athletes.find(a => a.id === athleteId);
+  if (!athlete) return null;
+  if (athlete.profile_id === ctx.user.id) return 'owner';
+  return ctx.tables.athlete_members
+    .find(m => m.athlete_id === athleteId && m.profile_id === ctx.user.id && m.accepted_at)?.role || null;
+};
+
+const coachesTeam = (ctx, teamId) => ctx.tables.teams.some(t => t.id === teamId && t.coach_profile_id === ctx.user.id);
+
+const ownRow = (row, ctx) => row.profile_id === ctx.user.id;
+// The caller is an accepted member of one of profileId's athletes
+const sharesAthleteWith = (ctx, profileId) =>
+  ctx.tables.athletes.some(a => a.profile_id === profileId && localAthleteRole(ctx, a.id) !== null);
+// The caller coaches a team one of profileId's athletes has joined
+const coachesAthleteOf = (ctx, profileId) => ctx.tables.team_members.some(m => coachesTeam(ctx, m.team_id) &&
+  ctx.tables.athletes.some(a => a.id === m.athlete_id && a.profile_id === profileId));
+const athleteRow = (row, ctx) => localAthleteRole(ctx, row.athlete_id) !== null;
+
+// Columns whose value differs between two versions of a row
+const changedColumns = (before, after) =>
+  Object.keys({ ...before, ...after }).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+// Row level security. `read` filters what a request sees (USING); `write`
+// (defaults to `read`) must hold for rows being written, before and after (WITH CHECK).
+// For the after check of an update, `write` also gets the row as it was.
+const LOCAL_POLICIES = {
+  profiles: { read: (row, ctx) => row.id === ctx.user.id },
+  athletes: {
+    read: (row, ctx) => localAthleteRole(ctx, row.id) !== null ||
+      ctx.tables.team_members.some(m => m.athlete_id === row.id && coachesTeam(ctx, m.team_id)),
+    write: (row, ctx) => (ctx.method === 'insert' ? ownRow(row, ctx) : localAthleteRole(ctx, row.id) === 'owner')
+  },
+  sessions: { read: athleteRow },
+  session_drills: {
+    read: (row, ctx) => {
+      const session = ctx.tables.sessions.find(s => s.id === row.session_id);
+      return Boolean(session) && athleteRow(session, ctx);
+    }
+  },
+  goals: { read: athleteRow },
+  practice_templates: { read: athleteRow },
+  games: { read: athleteRow },
+  // Readable by members of the owner's athletes, so shared athletes' drills and sports resolve
+  custom_drills: { read: (row, ctx) => ownRow(row, ctx) || sharesAthleteWith(ctx, row.profile_id), write: ownRow },
+  // Coaches also read sports so the team dashboard labels focus areas correctly
+  custom_sports: {
+    read: (row, ctx) => ownRow(row, ctx) || sharesAthleteWith(ctx, row.profile_id) || coachesAthleteOf(ctx, row.profile_id),
+    write: ownRow
+  },
+  athlete_members: {
+    read: (row, ctx) => localAthleteRole(ctx, row.athlete_id) === 'owner' ||
+      row.invited_email === ctx.user.email || row.profile_id === ctx.user.id,
+    // Only owners invite, edit or remove; the invitee can decline their own invite
+    // or accept it, which may only fill in profile_id (as themselves) and accepted_at
+    write: (row, ctx, old) => {
+      if (localAthleteRole(ctx, row.athlete_id) === 'owner') return true;
+      if (ctx.method === 'insert' || row.invited_email !== ctx.user.email) return false;
+      if (!old) return true;
+      return [null, ctx.user.id].includes(row.profile_id) &&
+        changedColumns(old, row).every(column => ['profile_id', 'accepted_at'].includes(column));
+    }
+  },
+  teams: { read: (row, ctx) => row.coach_profile_id === ctx.user.id },
+  team_members: {
+    read: (row, ctx) => coachesTeam(ctx, row.team_id) || athleteRow(row, ctx),
+    write: athleteRow
+  },
+  assignments: { read: (row, ctx) => athleteRow(row, ctx) || row.assigned_by === ctx.user.id }
+};
+
+const canReadLocal = (table, row, ctx) => LOCAL_POLICIES[table].read(row, ctx);
+const canWriteLocal = (table, row, ctx, old) => (LOCAL_POLICIES[table].write || LOCAL_POLICIES[table].read)(row, ctx, old);
+
+// Coach-side team rows, honouring each team_members share flag
+const localTeamRows = (ctx, table, toRow) => ctx.tables.team_members
+  .filter(m => coachesTeam(ctx, m.team_id))
+  .flatMap(m => ctx.tables[table].filter(row => row.athlete_id === m.athlete_id).map(row => toRow(row, m)));
+
+// Views, computed from the visible tables on every read
+const LOCAL_VIEWS = {
+  drill_frequency: (ctx) => {
+    const counts = {};
+    ctx.tables.session_drills.filter(d => canReadLocal('session_drills', d, ctx)).forEach(d => {
+      const session = ctx.tables.sessions.find(s => s.id === d.session_id);
+      const key = `${session.athlete_id}::${d.drill_id}`;
+      counts[key] ||= { athlete_id: session.athlete_id, drill_id: d.drill_id, times_used: 0, last_used: null };
+      counts[key].times_used += 1;
+      if (!counts[key].last_used || session.date > counts[key].last_used) counts[key].last_used = session.date;
+    });
+    return Object.values(counts);
+  },
+  team_sessions: (ctx) => localTeamRows(ctx, 'sessions', (s, m) => ({
+    team_id: m.team_id,
+    athlete_id: s.athlete_id,
+    id: s.id,
+    date: s.date,
+    duration_minutes: s.duration_minutes,
+    focus: s.focus,
+    note: m.share_notes ? s.note : null,
+    reflection: m.share_reflections ? s.reflection : null
+  })),
+  team_goals: (ctx) => localTeamRows(ctx, 'goals', (g, m) => (m.share_goals ? {
+    team_id: m.team_id,
+    athlete_id: g.athlete_id,
+    skill: g.skill,
+    text: g.text,
+    status: g.status,
+    is_active: g.is_active,
+    closed_at: g.closed_at
+  } : null)).filter(Boolean)
+};
+
+// Split on commas that aren't inside parentheses or quotes
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth += 1;
+    if (!quoted && char === ')') depth -= 1;
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  return current.trim() ? [...parts, current.trim()] : parts;
+};
+
+// 'role,athletes(*)' -> [{ column: 'role' }, { relation: 'athletes', inner: false, columns: '*' }]
+const parseSelectColumns = (columns) => splitTopLevel(columns || '*').map(item => {
+  const match = item.match(/^(\w+)(!inner)?\((.*)\)$/);
+  return match ? { relation: match[1], inner: Boolean(match[2]), columns: match[3] } : { column: item };
+});
+
+const pickColumns = (row, fields) => (fields.some(f => f.column === '*')
+  ? { ...row }
+  : Object.fromEntries(fields.filter(f => f.column).map(f => [f.column, row[f.column] ?? null])));
+
+// '(note.ilike.*bunt*,reflection.ilike.*bunt*)' -> filters
+const parseOrFilter = (expression) => splitTopLevel(expression.replace(/^\((.*)\)$/, '$1')).map(part => {
+  const [column, operator, ...rest] = part.split('.');
+  const value = rest.join('.');
+  if (operator === 'in') return [column, operator, splitTopLevel(value.slice(1, -1))];
+  return [column, operator, operator === 'is' && value === 'null' ? null : value];
+});
+
+const compareLocal = (a, b) => {
+  if (typeof a === 'number') return a - Number(b);
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const matchesLocalFilter = (row, [column, operator, value]) => {
+  if (operator === 'or') return parseOrFilter(value).some(filter => matchesLocalFilter(row, filter));
+
+  const actual = row[column];
+  if (operator === 'is') return value === null ? actual == null : actual === value;
+  if (actual == null) return false;
+
+  switch (operator) {
+    case 'eq': return String(actual) === String(value);
+    case 'neq': return String(actual) !== String(value);
+    case 'gt': return compareLocal(actual, value) > 0;
+    case 'gte': return compareLocal(actual, value) >= 0;
+    case 'lt': return compareLocal(actual, value) < 0;
+    case 'lte': return compareLocal(actual, value) <= 0;
+    case 'in': return value.map(String).includes(String(actual));
+    case 'cs': return Array.isArray(actual) && value.every(v => actual.includes(v));
+    case 'ilike': {
+      const pattern = String(value).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*');
+      return new RegExp(`^${pattern}$`, 'i').test(String(actual));
+    }
+    default: return false;
+  }
+};
+
+// Nulls sort last ascending and first descending, like Postgres
+const sortLocalRows = (rows, order) => [...rows].sort((a, b) => {
+  for (const { column, ascending } of order) {
+    const left = a[column];
+    const right = b[column];
+    if (left == null && right == null) continue;
+    if (left == null) return ascending ? 1 : -1;
+    if (right == null) return ascending ? -1 : 1;
+    const diff = compareLocal(left, right);
+    if (diff !== 0) return ascending ? diff : -diff;
+  }
+  return 0;
+});
+
+const singularTable = (table) => table.replace(/s$/, '');
+
+// Rows for an embedded relation: many-to-one when this row has <relation>_id
+// (session_drills -> sessions), otherwise one-to-many back to us (sessions -> session_drills)
+const localRelated = (table, row, relation, ctx) => {
+  const foreignKey = `${singularTable(relation)}_id`;
+  const readable = (ctx.tables[relation] || []).filter(r => canReadLocal(relation, r, ctx));
+  if (row[foreignKey] !== undefined) {
+    return { many: false, rows: readable.filter(r => r.id === row[foreignKey]) };
+  }
+  return { many: true, rows: readable.filter(r => r[`${singularTable(table)}_id`] === row.id) };
+};
+
+// Carries a row's selected shape through sorting on its full columns
+const LOCAL_RESULT = Symbol('result');
+
+const selectLocalRows = (query, ctx) => {
+  const source = LOCAL_VIEWS[query.table]
+    ? LOCAL_VIEWS[query.table](ctx)
+    : ctx.tables[query.table].filter(row => canReadLocal(query.table, row, ctx));
+  const fields = parseSelectColumns(query.columns);
+  // Filters like 'sessions.athlete_id' apply to the embedded rows
+  const isEmbedded = ([column]) => column !== 'or' && column.includes('.');
+
+  const matched = source
+    .filter(row => query.filters.filter(f => !isEmbedded(f)).every(f => matchesLocalFilter(row, f)))
+    .map(row => {
+      const result = pickColumns(row, fields);
+      for (const embed of fields.filter(f => f.relation)) {
+        const related = localRelated(query.table, row, embed.relation, ctx);
+        const embedFilters = query.filters
+          .filter(([column]) => column.startsWith(`${embed.relation}.`))
+          .map(([column, operator, value]) => [column.slice(embed.relation.length + 1), operator, value]);
+        const rows = related.rows
+          .filter(r => embedFilters.every(f => matchesLocalFilter(r, f)))
+          .map(r => pickColumns(r, parseSelectColumns(embed.columns)));
+
+        if (embed.inner && rows.length === 0) return null;
+        result[embed.relation] = related.many ? rows : rows[0] || null;
+      }
+      return { row, result };
+    })
+    .filter(Boolean);
+
+  const sorted = sortLocalRows(matched.map(m => ({ ...m.row, [LOCAL_RESULT]: m.result })), query.order);
+  const page = sorted.slice(query.offset || 0, query.limit != null ? (query.offset || 0) + query.limit : undefined);
+  return { data: page.map(row => row[LOCAL_RESULT]), error: null, count: query.count ? sorted.length : null };
+};
+
+const localRlsError = (table) => toDbError(403, {
+  code: '42501',
+  message: `new row violates row-level security policy for table "${table}"`
+});
+
+const localUniqueError = (table, columns) => toDbError(409, {
+  code: '23505',
+  message: `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`
+});
+
+// The first unique constraint `row` would break among `rows`, if any
+const localUniqueViolation = (table, row, rows) => [['id'], ...(LOCAL_UNIQUE[table] || [])].find(columns =>
+  rows.some(other => other !== row && columns.every(c => other[c] != null && other[c] === row[c]))
+);
+
+const createLocalBackend = ({ persist, seed }) => {
+  const storage = persist ? window.localStorage : null;
+  const readStored = (key) => {
+    try {
+      return JSON.parse(storage?.getItem(key)) || null;
+    } catch {
+      return null;
+    }
+  };
+
+  // Loaded on first use: seeding reads the drill catalog, declared further down
+  let state = null;
+  const store = () => {
+    if (!state) {
+      state = readStored(LOCAL_STORAGE_KEY) || { users: [], tables: {} };
+      LOCAL_TABLES.forEach(table => { state.tables[table] ||= []; });
+      if (seed && state.users.length === 0) seedLocalDemoData(state);
+      save();
+    }
+    return state;
+  };
+  const save = () => storage?.setItem(LOCAL_STORAGE_KEY, JSON.stringify(state));
+
+  // ----- Auth (the supabase.auth methods the app calls) -----
+  let session = readStored(LOCAL_SESSION_KEY);
+  const authListeners = new Set();
+
+  const toAuthUser = (user) => ({ id: user.id, email: user.email });
+  const sessionFor = (user) => ({ access_token: `${LOCAL_TOKEN_PREFIX}${user.id}`, user: toAuthUser(user) });
+  const userForToken = (token) => store().users.find(u => token === `${LOCAL_TOKEN_PREFIX}${u.id}`);
+
+  const setSession = (next, event) => {
+    session = next;
+    if (next) storage?.setItem(LOCAL_SESSION_KEY, JSON.stringify(next));
+    else storage?.removeItem(LOCAL_SESSION_KEY);
+    // Supabase fires these asynchronously too
+    authListeners.forEach(listener => setTimeout(() => listener(event, next), 0));
+  };
+
+  const authError = (message) => ({ message, status: 400 });
+
+  const createUser = (email, password) => {
+    const user = { id: crypto.randomUUID(), email, password };
+    store().users.push(user);
+    // The handle_new_user trigger's job
+    state.tables.profiles.push({ id: user.id, ...LOCAL_DEFAULTS.profiles, created_at: new Date().toISOString() });
+    save();
+    return user;
+  };
+
+  // "Send" a one-time sign-in link ('recovery' or 'magiclink') to the console
+  const sendEmailLink = (user, type, redirectTo) => {
+    const token = crypto.randomUUID();
+    store().emailLinks = [...(state.emailLinks || []), { token, userId: user.id, type, expiresAt: Date.now() + LOCAL_LINK_TTL_MS }];
+    save();
+
+    const link = new URL(redirectTo || window.location.origin);
+    link.searchParams.set(LOCAL_LINK_PARAM, token);
+    console.info(`Local backend email to ${user.email} (${type === 'recovery' ? 'password reset' : 'sign-in link'}): ${link}`);
+  };
+
+  // Like supabase-js reading its redirect: an opened link signs in once, firing
+  // PASSWORD_RECOVERY or SIGNED_IN; a bad or expired one drops any session
+  let linkChecked = false;
+  const consumeEmailLink = () => {
+    if (linkChecked) return;
+    linkChecked = true;
+
+    const url = new URL(window.location.href);
+    const token = url.searchParams.get(LOCAL_LINK_PARAM);
+    if (!token) return;
+    url.searchParams.delete(LOCAL_LINK_PARAM);
+    window.history.replaceState(window.history.state, '', url.toString());
+
+    const now = Date.now();
+    const link = (store().emailLinks || []).find(l => l.token === token && l.expiresAt > now);
+    state.emailLinks = (state.emailLinks || []).filter(l => l.token !== token && l.expiresAt > now);
+    save();
+
+    const user = link && state.users.find(u => u.id === link.userId);
+    if (user) {
+      setSession(sessionFor(user), link.type === 'recovery' ? 'PASSWORD_RECOVERY' : 'SIGNED_IN');
+    } else {
+      console.warn('Local backend: this email link is invalid or has expired.');
+      if (session) setSession(null, 'SIGNED_OUT');
+    }
+  };
+
+  const auth = {
+    async getSession() {
+      consumeEmailLink();
+      // A session whose account was removed from the store is gone
+      const current = session && userForToken(session.access_token) ? session : null;
+      return { data: { session: current }, error: null };
+    },
+
+    async refreshSession() {
+      const user = session && userForToken(session.access_token);
+      return user
+        ? { data: { session: sessionFor(user) }, error: null }
+        : { data: { session: null }, error: authError('Invalid Refresh Token') };
+    },
+
+    onAuthStateChange(listener) {
+      authListeners.add(listener);
+      return { data: { subscription: { unsubscribe: () => authListeners.delete(listener) } } };
+    },
+
+    async signInWithPassword({ email, password }) {
+      const user = store().users.find(u => u.email === email.trim().toLowerCase() && u.password === password);
+      if (!user) return { data: { session: null }, error: authError('Invalid login credentials') };
+      setSession(sessionFor(user), 'SIGNED_IN');
+      return { data: { session, user: toAuthUser(user) }, error: null };
+    },
+
+    // No email confirmation: new accounts are signed in straight away
+    async signUp({ email, password }) {
+      const normalized = email.trim().toLowerCase();
+      const existing = store().users.find(u => u.email === normalized);
+      // Like Supabase, an existing email comes back as a user with no identities
+      if (existing) return { data: { user: { ...toAuthUser(existing), identities: [] }, session: null }, error: null };
+
+      const user = createUser(normalized, password);
+      setSession(sessionFor(user), 'SIGNED_IN');
+      return { data: { user: { ...toAuthUser(user), identities: [{ provider: 'email' }] }, session }, error: null };
+    },
+
+    async signOut() {
+      setSession(null, 'SIGNED_OUT');
+      return { error: null };
+    },
+
+    async updateUser({ password }) {
+      const user = session && userForToken(session.access_token);
+      if (!user) return { data: { user: null }, error: authError('Auth session missing!') };
+      user.password = password;
+      save();
+      setSession(session, 'USER_UPDATED');
+      return { data: { user: toAuthUser(user) }, error: null };
+    },
+
+    // Succeeds for unknown emails too, so it can't be used to probe for accounts
+    async resetPasswordForEmail(email, { redirectTo } = {}) {
+      const user = store().users.find(u => u.email === email.trim().toLowerCase());
+      if (user) sendEmailLink(user, 'recovery', redirectTo);
+      return { data: {}, error: null };
+    },
+
+    async signInWithOtp({ email, options = {} }) {
+      const normalized = email.trim().toLowerCase();
+      let user = store().users.find(u => u.email === normalized);
+      if (!user) {
+        if (options.shouldCreateUser === false) return { data: { user: null, session: null }, error: authError('Signups not allowed for otp') };
+        // Passwordless until they set one
+        user = createUser(normalized, null);
+      }
+      sendEmailLink(user, 'magiclink', options.emailRedirectTo);
+      return { data: { user: null, session: null }, error: null };
+    }
+  };
+
+  // ----- Realtime (same-page only) -----
+  const changeListeners = new Set();
+
+  const emitChange = (table, eventType, newRow, oldRow) => {
+    changeListeners.forEach(listener => setTimeout(() => listener(table, eventType, newRow, oldRow), 0));
+  };
+
+  const subscribe = (athleteId, onChange) => {
+    // Deletes reach every subscriber, as they do on Realtime (see supabaseSubscribe)
+    const listener = (table, eventType, newRow, oldRow) => {
+      const config = REALTIME_TABLES.find(t => t.table === table);
+      if (!config || (eventType !== 'DELETE' && config.filter && newRow[config.filter] !== athleteId)) return;
+      onChange(table, { eventType, new: newRow || {}, old: oldRow || {} });
+    };
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  };
+
+  // ----- Functions (POST /rpc/<fn>) -----
+  const functions = {
+    join_team: (args, ctx) => {
+      const team = ctx.tables.teams.find(t => t.join_code === args.p_join_code);
+      if (!team) return { data: null, error: null };
+      if (!localAthleteRole(ctx, args.p_athlete_id)) return failure(localRlsError('team_members'));
+
+      const fields = {
+        share_goals: args.p_share_goals,
+        share_notes: args.p_share_notes,
+        share_reflections: args.p_share_reflections
+      };
+      let membership = ctx.tables.team_members.find(m => m.team_id === team.id && m.athlete_id === args.p_athlete_id);
+      if (membership) {
+        Object.assign(membership, fields);
+        emitChange('team_members', 'UPDATE', membership, membership);
+      } else {
+        membership = {
+          id: crypto.randomUUID(),
+          team_id: team.id,
+          athlete_id: args.p_athlete_id,
+          added_by: ctx.user.id,
+          ...fields,
+          created_at: new Date().toISOString()
+        };
+        ctx.tables.team_members.push(membership);
+        emitChange('team_members', 'INSERT', membership, null);
+      }
+      return { data: { ...membership, teams: { name: team.name } }, error: null, count: null };
+    }
+  };
+
+  // ----- Writes -----
+  const insertRows = (query, ctx) => {
+    const rows = ctx.tables[query.table];
+    const now = new Date().toISOString();
+    const added = [].concat(query.body).map(body => ({
+      id: crypto.randomUUID(),
+      created_at: now,
+      ...LOCAL_DEFAULTS[query.table],
+      ...body
+    }));
+
+    // All or nothing, like a single INSERT statement
+    for (const row of added) {
+      if (!canWriteLocal(query.table, row, ctx)) return failure(localRlsError(query.table));
+      const conflict = localUniqueViolation(query.table, row, [...rows, ...added]);
+      if (conflict) return failure(localUniqueError(query.table, conflict));
+    }
+
+    rows.push(...added);
+    added.forEach(row => emitChange(query.table, 'INSERT', row, null));
+    return { data: added, error: null, count: null };
+  };
+
+  const upsertRows = (query, ctx) => {
+    const rows = ctx.tables[query.table];
+    const keys = (query.onConflict || 'id').split(',');
+    const written = [];
+
+    for (const body of [].concat(query.body)) {
+      const existing = rows.find(row => keys.every(k => row[k] === body[k]));
+      if (!existing) {
+        const result = insertRows({ ...query, body }, { ...ctx, method: 'insert' });
+        if (result.error) return result;
+        written.push(...result.data);
+        continue;
+      }
+
+      const merged = { ...existing, ...body };
+      if (!canReadLocal(query.table, existing, ctx) || !canWriteLocal(query.table, merged, ctx, existing)) {
+        return failure(localRlsError(query.table));
+      }
+      rows[rows.indexOf(existing)] = merged;
+      emitChange(query.table, 'UPDATE', merged, existing);
+      written.push(merged);
+    }
+
+    return { data: written, error: null, count: null };
+  };
+
+  // Rows a filtered update/delete may touch: visible, writable and matching
+  const targetRows = (query, ctx) => ctx.tables[query.table].filter(row =>
+    canReadLocal(query.table, row, ctx) && canWriteLocal(query.table, row, ctx) &&
+    query.filters.every(f => matchesLocalFilter(row, f))
+  );
+
+  const updateRows = (query, ctx) => {
+    const rows = ctx.tables[query.table];
+    const updates = targetRows(query, ctx).map(row => [row, { ...row, ...query.body }]);
+
+    for (const [old, updated] of updates) {
+      if (!canWriteLocal(query.table, updated, ctx, old)) return failure(localRlsError(query.table));
+      const others = rows.filter(row => !updates.some(([old]) => old === row));
+      const conflict = localUniqueViolation(query.table, updated, [...others, ...updates.map(([, u]) => u)]);
+      if (conflict) return failure(localUniqueError(query.table, conflict));
+    }
+
+    updates.forEach(([old, updated]) => {
+      rows[rows.indexOf(old)] = updated;
+      emitChange(query.table, 'UPDATE', updated, old);
+    });
+    return { data: updates.map(([, updated]) => updated), error: null, count: null };
+  };
+
+  const deleteCascade = (tables, table, removed) => {
+    tables[table] = tables[table].filter(row => !removed.includes(row));
+    // Realtime with RLS only sends the primary key of a deleted row
+    removed.forEach(row => emitChange(table, 'DELETE', null, { id: row.id }));
+    (LOCAL_CASCADES[table] || []).forEach(([child, foreignKey]) => {
+      const ids = removed.map(row => row.id);
+      deleteCascade(tables, child, tables[child].filter(row => ids.includes(row[foreignKey])));
+    });
+  };
+
+  const deleteRows = (query, ctx) => {
+    const removed = targetRows(query, ctx);
+    deleteCascade(ctx.tables, query.table, removed);
+    return { data: removed, error: null, count: null };
+  };
+
+  const writers = { insert: insertRows, upsert: upsertRows, update: updateRows, delete: deleteRows };
+
+  // ----- request(): the local PostgREST -----
+  const request = async (query, token) => {
+    const user = userForToken(token);
+    if (!user) return failure(toDbError(401, { code: 'PGRST301', message: 'JWT expired' }));
+
+    const ctx = { user: toAuthUser(user), tables: store().tables, method: query.method };
+
+    if (query.method === 'rpc') {
+      const fn = functions[query.table];
+      if (!fn) return failure(toDbError(404, { code: 'PGRST202', message: `Could not find the function ${query.table}` }));
+      const result = fn(query.body || {}, ctx);
+      save();
+      return result;
+    }
+
+    if (!ctx.tables[query.table] && !LOCAL_VIEWS[query.table]) {
+      return failure(toDbError(404, { code: '42P01', message: `relation "${query.table}" does not exist` }));
+    }
+    if (query.method === 'select') return selectLocalRows(query, ctx);
+    if (LOCAL_VIEWS[query.table]) return failure(toDbError(405, { message: `cannot ${query.method} view "${query.table}"` }));
+
+    const result = writers[query.method](query, ctx);
+    if (result.error) return result;
+    save();
+    return query.returnData ? result : { data: null, error: null, count: null };
+  };
+
+  return { auth, request, subscribe };
+};
+
+// A demo account (DEMO_ACCOUNT, Pro) with one softball athlete, about five
+// weeks of practices with drills and counts, and an active goal. Uses a fixed
+// pseudo-random sequence so every fresh store looks the same.
+const seedLocalDemoData = (state) => {
+  let seed = 42;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const { tables } = state;
+  const now = new Date();
+
+  const userId = crypto.randomUUID();
+  const athleteId = crypto.randomUUID();
+  state.users.push({ id: userId, ...DEMO_ACCOUNT });
+  tables.profiles.push({ id: userId, is_pro: true, created_at: now.toISOString() });
+  tables.athletes.push({
+    id: athleteId,
+    profile_id: userId,
+    name: 'Maya',
+    sport: DEFAULT_SPORT_ID,
+    weekly_practice_target: 3,
+    positions: ['P', 'SS'],
+    jersey_number: '7',
+    created_at: now.toISOString()
+  });
+
+  const focusIds = Object.keys(DRILL_CATALOG);
+  for (let daysAgo = 35; daysAgo >= 1; daysAgo--) {
+    if (random() < 0.5) continue;
+
+    const date = new Date(now);
+    date.setDate(now.getDate() - daysAgo);
+    const sessionId = crypto.randomUUID();
+    const focus = [...new Set([pick(focusIds), pick(focusIds)])];
+
+    tables.sessions.push({
+      id: sessionId,
+      athlete_id: athleteId,
+      logged_by: userId,
+      date: toDateKey(date),
+      duration_minutes: 30 + 15 * Math.floor(random() * 3),
+      focus,
+      note: null,
+      reflection: null,
+      rpe: 4 + Math.floor(random() * 5),
+      enjoyment: 3 + Math.floor(random() * 3),
+      soreness: null,
+      created_at: date.toISOString()
+    });
+
+    const drills = [...new Set(focus.map(f => pick(DRILL_CATALOG[f])))];
+    drills.forEach(drill => {
+      const total = 20 + Math.floor(random() * 40);
+      const hitRate = 0.4 + random() * 0.4;
+      tables.session_drills.push({
+        id: crypto.randomUUID(),
+        session_id: sessionId,
+        drill_id: drill.id,
+        minutes: null,
+        metrics: Object.fromEntries((drill.metrics || []).slice(0, 2)
+          .map((metric, i) => [metric.id, i === 0 ? total : Math.round(total * hitRate)])),
+        created_at: date.toISOString()
+      });
+    });
+  }
+
+  tables.goals.push({
+    id: crypto.randomUUID(),
+    athlete_id: athleteId,
+    ...LOCAL_DEFAULTS.goals,
+    skill: focusIds[0],
+    text: 'Get in 3 practices every week',
+    target_type: 'practices',
+    target_value: 3,
+    created_at: now.toISOString()
+  });
+};
+
+// db, realtime and AuthProvider all go through this:
+//   auth                               the supabase.auth methods the app calls
+//   request(query, token, signal)      run a query; { data, error, count }, rows as an array
+//   subscribe(athleteId, onChange)     live changes for REALTIME_TABLES; returns unsubscribe
+export const backend = usesSupabase
+  ? { auth: supabase.auth, request: supabaseRequest, subscribe: supabaseSubscribe }
+  : createLocalBackend({ persist: BACKEND_KIND === 'local', seed: seedsDemoData });
@@ -0,0 +1,1111 @@
+// ----------------------------------------------------------------------------
+// BACKUP & RESTORE
+// ----------------------------------------------------------------------------
+export const BACKUP_VERSION = 1;
+export const BACKUP_TABLES = [
+  'custom_sports', 'athletes', 'custom_drills', 'sessions', 'session_drills', 'goals',
+  'practice_templates', 'games', 'assignments'
+];
+
+// Tables added after v1 backups were first written; older files may omit them
+const OPTIONAL_BACKUP_TABLES = ['custom_sports', 'custom_drills', 'practice_templates', 'games', 'assignments'];
+
+// Returns a list of human-readable problems; empty means the file can be restored
+export const validateBackup = (backup) => {
+  if (!backup || typeof backup !== 'object' || backup.app !== 'practice-tracker') {
+    return ['This is not a Practice Tracker backup file.'];
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return [`This backup was made by a newer version of the app (v${backup.version}).`];
+  }
+
+  const errors = [];
+  BACKUP_TABLES.forEach(table => {
+    if (OPTIONAL_BACKUP_TABLES.includes(table) && backup[table] === undefined) return;
+    if (!Array.isArray(backup[table])) errors.push(`Missing "${table}" list.`);
+  });
+  if (errors.length > 0) return errors;
+
+  const athleteIds = new Set(backup.athletes.map(a => a.id));
+  const sessionIds = new Set(backup.sessions.map(s => s.id));
+
+  backup.athletes.forEach((a, i) => {
+    if (!a.id || !a.name) errors.push(`Athlete #${i + 1} is missing an id or name.`);
+  });
+  backup.sessions.forEach((s, i) => {
+    if (!athleteIds.has(s.athlete_id)) errors.push(`Practice #${i + 1} belongs to an unknown athlete.`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(s.date || '')) errors.push(`Practice #${i + 1} has an invalid date.`);
+    if (!Number.isFinite(s.duration_minutes)) errors.push(`Practice #${i + 1} has an invalid duration.`);
+  });
+  (backup.custom_drills || []).forEach((d, i) => {
+    if (!d.id || !d.name || !d.focus) errors.push(`Custom drill #${i + 1} is missing an id, name or focus.`);
+  });
+  backup.session_drills.forEach((d, i) => {
+    if (!sessionIds.has(d.session_id) || !d.drill_id) errors.push(`Drill #${i + 1} belongs to an unknown practice.`);
+  });
+  backup.goals.forEach((g, i) => {
+    if (!athleteIds.has(g.athlete_id) || !g.skill) errors.push(`Goal #${i + 1} belongs to an unknown athlete.`);
+  });
+  (backup.practice_templates || []).forEach((t, i) => {
+    if (!athleteIds.has(t.athlete_id) || !t.name) errors.push(`Template #${i + 1} belongs to an unknown athlete.`);
+  });
+  (backup.games || []).forEach((g, i) => {
+    if (!athleteIds.has(g.athlete_id)) errors.push(`Game #${i + 1} belongs to an unknown athlete.`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(g.date || '')) errors.push(`Game #${i + 1} has an invalid date.`);
+  });
+  (backup.assignments || []).forEach((a, i) => {
+    if (!athleteIds.has(a.athlete_id) || !a.title) errors.push(`Practice plan #${i + 1} belongs to an unknown athlete.`);
+  });
+
+  return errors;
+};
+
+// Strip server-managed columns so rows can be re-inserted under a new account
+export const withoutServerColumns = (row) => {
+  const fields = { ...row };
+  delete fields.id;
+  delete fields.created_at;
+  return fields;
+};
+
+export const sessionKey = (athleteId, s) =>
+  [athleteId, s.date, s.duration_minutes, [...(s.focus || [])].sort().join('|'), s.note || ''].join('::');
+
+// ----------------------------------------------------------------------------
+// CSV IMPORT
+// ----------------------------------------------------------------------------
+// Import columns and the header names each one is recognised by
+export const CSV_FIELDS = [
+  { id: 'date', label: 'Date', required: true, aliases: ['date', 'day', 'practice date'] },
+  { id: 'duration', label: 'Duration (min)', required: true, aliases: ['duration (min)', 'duration', 'minutes', 'mins', 'time'] },
+  { id: 'focus', label: 'Focus Areas', required: true, aliases: ['focus areas', 'focus', 'skills', 'skill', 'area'] },
+  { id: 'note', label: 'Note', required: false, aliases: ['note', 'notes', 'what we worked on'] },
+  { id: 'reflection', label: 'Reflection', required: false, aliases: ['reflection', 'what felt better today?', 'what felt better'] },
+];
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF line endings
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+// Accepts 2024-03-15, 3/15/2024 and 3/15/24; returns YYYY-MM-DD or null
+export const parseImportDate = (value) => {
+  const trimmed = value.trim();
+  let year, month, day;
+
+  const iso = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const us = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+
+  if (iso) {
+    [year, month, day] = iso.slice(1).map(Number);
+  } else if (us) {
+    [month, day, year] = us.slice(1).map(Number);
+    if (year < 100) year += 2000;
+  } else {
+    return null;
+  }
+
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Match a focus value from the file against the sport's focus ids and labels
+export const matchFocusOption = (value, focusOptions) => {
+  const normalized = value.trim().toLowerCase();
+  return focusOptions.find(f => f.id === normalized || f.label.toLowerCase() === normalized)?.id || null;
+};
+
+export const splitFocusValues = (value) => value.split(/[;,|]/).map(v => v.trim()).filter(Boolean);
+
+export const guessColumnMapping = (headers) => {
+  const mapping = {};
+  CSV_FIELDS.forEach(field => {
+    const index = headers.findIndex(h => field.aliases.includes(h.trim().toLowerCase()));
+    mapping[field.id] = index >= 0 ? index : '';
+  });
+  return mapping;
+};
+
+// Turn raw CSV rows into session rows plus per-row validation errors.
+// `focusMapping` resolves focus values that aren't one of the sport's focus
+// areas: a focus id, 'ignore', or unset.
+export const buildImportRows = (rows, mapping, focusMapping, focusOptions) => rows.map((cells, i) => {
+  const cell = (fieldId) => (mapping[fieldId] === '' ? '' : cells[mapping[fieldId]] || '');
+  const errors = [];
+
+  const date = parseImportDate(cell('date'));
+  if (!date) errors.push(`Invalid date "${cell('date')}"`);
+
+  const duration = parseInt(cell('duration'), 10);
+  if (!Number.isFinite(duration) || duration <= 0 || duration > 600) {
+    errors.push(`Invalid duration "${cell('duration')}"`);
+  }
+
+  const focus = [];
+  splitFocusValues(cell('focus')).forEach(value => {
+    const resolved = matchFocusOption(value, focusOptions) || focusMapping[value];
+    if (!resolved) {
+      errors.push(`Unknown focus "${value}"`);
+    } else if (resolved !== 'ignore' && !focus.includes(resolved)) {
+      focus.push(resolved);
+    }
+  });
+  if (focus.length === 0 && !errors.some(e => e.startsWith('Unknown focus'))) {
+    errors.push('No focus area');
+  }
+
+  return {
+    line: i + 2, // 1-based, after the header row
+    errors,
+    session: {
+      date,
+      duration_minutes: duration,
+      focus,
+      note: cell('note').trim().slice(0, 200) || null,
+      reflection: cell('reflection').trim().slice(0, 200) || null
+    }
+  };
+});
+
+// ----------------------------------------------------------------------------
+// SPORTS
+// ----------------------------------------------------------------------------
+// Each athlete has a sport (athletes.sport). A sport defines its own focus
+// areas (with emoji and chart color) and drill catalog. Built-in packs live
+// here; user-defined sports come from the custom_sports table and get their
+// drills from custom_drills. Drill ids must stay unique across packs because
+// session_drills.drill_id doesn't record the sport.
+export const DEFAULT_SPORT_ID = 'softball';
+export const FALLBACK_FOCUS_COLOR = '#78716c';
+
+// Chart colors
+const CHART_COLORS = {
+  hitting: '#d4a418',    // gold
+  pitching: '#60a5fa',   // blue
+  fielding: '#34d399',   // green
+  conditioning: '#f472b6' // pink
+};
+
+// Optional counts a drill can record in Quick Log (session_drills.metrics).
+// Built-in drills use these sets; custom drills define their own.
+const SWING_METRICS = [{ id: 'swings', label: 'Swings' }, { id: 'hard_contact', label: 'Hard contact' }];
+const BUNT_METRICS = [{ id: 'attempts', label: 'Attempts' }, { id: 'good_bunts', label: 'Good bunts' }];
+const PITCH_METRICS = [{ id: 'pitches', label: 'Pitches' }, { id: 'strikes', label: 'Strikes' }];
+const FIELDING_METRICS = [{ id: 'reps', label: 'Reps' }, { id: 'clean', label: 'Clean plays' }];
+const THROW_METRICS = [{ id: 'throws', label: 'Throws' }, { id: 'on_target', label: 'On target' }];
+const REP_METRICS = [{ id: 'reps', label: 'Reps' }];
+
+// Softball drill catalog (PRO feature) - the built-in softball sport pack
+export const DRILL_CATALOG = {
+  hitting: [
+    { id: 'tee-work', name: 'Tee Work', difficulty: 'beginner', metrics: SWING_METRICS },
+    { id: 'soft-toss', name: 'Soft Toss', difficulty: 'beginner', metrics: SWING_METRICS },
+    { id: 'front-toss', name: 'Front Toss', difficulty: 'intermediate', metrics: SWING_METRICS },
+    { id: 'live-bp', name: 'Live BP', difficulty: 'intermediate', metrics: SWING_METRICS },
+    { id: 'machine-bp', name: 'Machine BP', difficulty: 'intermediate', metrics: SWING_METRICS },
+    { id: 'bunting', name: 'Bunting', difficulty: 'beginner', metrics: BUNT_METRICS },
+  ],
+  pitching: [
+    { id: 'warmup-throws', name: 'Warmup Throws', difficulty: 'beginner', metrics: THROW_METRICS },
+    { id: 'fastball-spots', name: 'Fastball Spots', difficulty: 'intermediate', metrics: PITCH_METRICS },
+    { id: 'changeup-work', name: 'Changeup Work', difficulty: 'intermediate', metrics: PITCH_METRICS },
+    { id: 'rise-ball', name: 'Rise Ball', difficulty: 'advanced', metrics: PITCH_METRICS },
+    { id: 'drop-ball', name: 'Drop Ball', difficulty: 'advanced', metrics: PITCH_METRICS },
+    { id: 'full-bullpen', name: 'Full Bullpen', difficulty: 'intermediate', metrics: PITCH_METRICS },
+  ],
+  fielding: [
+    { id: 'ground-balls', name: 'Ground Balls', difficulty: 'beginner', metrics: FIELDING_METRICS },
+    { id: 'fly-balls', name: 'Fly Balls', difficulty: 'beginner', metrics: FIELDING_METRICS },
+    { id: 'throwing', name: 'Throwing Accuracy', difficulty: 'beginner', metrics: THROW_METRICS },
+    { id: 'double-plays', name: 'Double Plays', difficulty: 'intermediate', metrics: FIELDING_METRICS },
+    { id: 'backhand', name: 'Backhand Plays', difficulty: 'intermediate', metrics: FIELDING_METRICS },
+    { id: 'first-base', name: 'First Base Footwork', difficulty: 'intermediate', metrics: FIELDING_METRICS },
+  ],
+  conditioning: [
+    { id: 'warmup', name: 'Dynamic Warmup', difficulty: 'beginner' },
+    { id: 'sprints', name: 'Sprint Work', difficulty: 'beginner', metrics: REP_METRICS },
+    { id: 'agility', name: 'Agility Drills', difficulty: 'intermediate', metrics: REP_METRICS },
+    { id: 'base-running', name: 'Base Running', difficulty: 'beginner', metrics: REP_METRICS },
+    { id: 'cooldown', name: 'Cooldown Stretch', difficulty: 'beginner' },
+  ],
+};
+
+const FOCUS_OPTIONS = [
+  { id: 'hitting', label: 'Hitting', emoji: '🏏' },
+  { id: 'pitching', label: 'Pitching', emoji: '🥎' },
+  { id: 'fielding', label: 'Fielding', emoji: '🧤' },
+  { id: 'conditioning', label: 'Conditioning', emoji: '🏃‍♀️' },
+];
+
+export const SPORT_PACKS = {
+  softball: {
+    id: 'softball',
+    name: 'Softball',
+    emoji: '🥎',
+    focusOptions: FOCUS_OPTIONS.map(f => ({ ...f, color: CHART_COLORS[f.id] })),
+    drills: DRILL_CATALOG
+  },
+  soccer: {
+    id: 'soccer',
+    name: 'Soccer',
+    emoji: '⚽',
+    focusOptions: [
+      { id: 'dribbling', label: 'Dribbling', emoji: '⚽', color: '#d4a418' },
+      { id: 'passing', label: 'Passing', emoji: '🎯', color: '#60a5fa' },
+      { id: 'shooting', label: 'Shooting', emoji: '🥅', color: '#f472b6' },
+      { id: 'defending', label: 'Defending', emoji: '🛡️', color: '#34d399' },
+      { id: 'soccer-conditioning', label: 'Conditioning', emoji: '🏃', color: '#a78bfa' },
+    ],
+    drills: {
+      dribbling: [
+        { id: 'cone-weaves', name: 'Cone Weaves', difficulty: 'beginner' },
+        { id: 'toe-taps', name: 'Toe Taps', difficulty: 'beginner' },
+        { id: 'one-v-one-moves', name: '1v1 Moves', difficulty: 'intermediate' },
+      ],
+      passing: [
+        { id: 'wall-passes', name: 'Wall Passes', difficulty: 'beginner' },
+        { id: 'rondo', name: 'Rondo', difficulty: 'intermediate' },
+        { id: 'long-balls', name: 'Long Balls', difficulty: 'intermediate' },
+      ],
+      shooting: [
+        { id: 'placement-shots', name: 'Placement Shots', difficulty: 'beginner' },
+        { id: 'volleys', name: 'Volleys', difficulty: 'advanced' },
+        { id: 'penalty-kicks', name: 'Penalty Kicks', difficulty: 'beginner' },
+      ],
+      defending: [
+        { id: 'jockeying', name: 'Jockeying', difficulty: 'beginner' },
+        { id: 'tackling', name: 'Tackling Technique', difficulty: 'intermediate' },
+        { id: 'headers', name: 'Defensive Headers', difficulty: 'intermediate' },
+      ],
+      'soccer-conditioning': [
+        { id: 'shuttle-runs', name: 'Shuttle Runs', difficulty: 'beginner' },
+        { id: 'ladder-footwork', name: 'Ladder Footwork', difficulty: 'beginner' },
+        { id: 'interval-runs', name: 'Interval Runs', difficulty: 'intermediate' },
+      ],
+    }
+  },
+  swimming: {
+    id: 'swimming',
+    name: 'Swimming',
+    emoji: '🏊',
+    focusOptions: [
+      { id: 'freestyle', label: 'Freestyle', emoji: '🏊', color: '#60a5fa' },
+      { id: 'backstroke', label: 'Backstroke', emoji: '🔙', color: '#34d399' },
+      { id: 'breaststroke', label: 'Breaststroke', emoji: '🐸', color: '#d4a418' },
+      { id: 'butterfly', label: 'Butterfly', emoji: '🦋', color: '#f472b6' },
+      { id: 'starts-turns', label: 'Starts & Turns', emoji: '🔄', color: '#fb923c' },
+      { id: 'dryland', label: 'Dryland', emoji: '🏋️', color: '#a78bfa' },
+    ],
+    drills: {
+      freestyle: [
+        { id: 'catch-up', name: 'Catch-Up Drill', difficulty: 'beginner' },
+        { id: 'fingertip-drag', name: 'Fingertip Drag', difficulty: 'beginner' },
+        { id: 'bilateral-breathing', name: 'Bilateral Breathing', difficulty: 'intermediate' },
+      ],
+      backstroke: [
+        { id: 'single-arm-back', name: 'Single-Arm Back', difficulty: 'beginner' },
+        { id: 'six-kick-switch', name: '6-Kick Switch', difficulty: 'intermediate' },
+      ],
+      breaststroke: [
+        { id: 'breast-kick-board', name: 'Kick with Board', difficulty: 'beginner' },
+        { id: 'two-kick-one-pull', name: '2 Kicks 1 Pull', difficulty: 'intermediate' },
+      ],
+      butterfly: [
+        { id: 'dolphin-kick', name: 'Dolphin Kick', difficulty: 'beginner' },
+        { id: 'single-arm-fly', name: 'Single-Arm Fly', difficulty: 'intermediate' },
+      ],
+      'starts-turns': [
+        { id: 'flip-turns', name: 'Flip Turns', difficulty: 'intermediate' },
+        { id: 'dive-starts', name: 'Dive Starts', difficulty: 'intermediate' },
+        { id: 'streamline-pushoffs', name: 'Streamline Push-offs', difficulty: 'beginner' },
+      ],
+      dryland: [
+        { id: 'core-circuit', name: 'Core Circuit', difficulty: 'beginner' },
+        { id: 'band-pulls', name: 'Band Pulls', difficulty: 'beginner' },
+        { id: 'shoulder-mobility', name: 'Shoulder Mobility', difficulty: 'beginner' },
+      ],
+    }
+  },
+  basketball: {
+    id: 'basketball',
+    name: 'Basketball',
+    emoji: '🏀',
+    focusOptions: [
+      { id: 'bball-shooting', label: 'Shooting', emoji: '🏀', color: '#d4a418' },
+      { id: 'ball-handling', label: 'Ball Handling', emoji: '🤹', color: '#60a5fa' },
+      { id: 'bball-passing', label: 'Passing', emoji: '🎯', color: '#34d399' },
+      { id: 'bball-defense', label: 'Defense', emoji: '🛡️', color: '#f472b6' },
+      { id: 'bball-conditioning', label: 'Conditioning', emoji: '🏃', color: '#a78bfa' },
+    ],
+    drills: {
+      'bball-shooting': [
+        { id: 'form-shooting', name: 'Form Shooting', difficulty: 'beginner' },
+        { id: 'free-throws', name: 'Free Throws', difficulty: 'beginner' },
+        { id: 'around-the-world', name: 'Around the World', difficulty: 'intermediate' },
+      ],
+      'ball-handling': [
+        { id: 'stationary-dribbles', name: 'Stationary Dribbles', difficulty: 'beginner' },
+        { id: 'two-ball-dribble', name: 'Two-Ball Dribble', difficulty: 'intermediate' },
+        { id: 'crossovers', name: 'Crossovers', difficulty: 'intermediate' },
+      ],
+      'bball-passing': [
+        { id: 'chest-bounce-passes', name: 'Chest & Bounce Passes', difficulty: 'beginner' },
+        { id: 'outlet-passes', name: 'Outlet Passes', difficulty: 'intermediate' },
+      ],
+      'bball-defense': [
+        { id: 'defensive-slides', name: 'Defensive Slides', difficulty: 'beginner' },
+        { id: 'closeouts', name: 'Closeouts', difficulty: 'intermediate' },
+      ],
+      'bball-conditioning': [
+        { id: 'suicides', name: 'Suicides', difficulty: 'intermediate' },
+        { id: 'jump-rope', name: 'Jump Rope', difficulty: 'beginner' },
+      ],
+    }
+  },
+};
+
+// Sport definition for an athlete: a built-in pack or one of the account's custom sports
+export const resolveSport = (sportId, customSports = []) => {
+  const custom = customSports.find(s => s.id === sportId);
+  if (custom) {
+    return {
+      id: custom.id,
+      name: custom.name,
+      emoji: custom.emoji || '🏅',
+      focusOptions: custom.focus_options || [],
+      drills: {},
+      isCustom: true
+    };
+  }
+  return SPORT_PACKS[sportId] || SPORT_PACKS[DEFAULT_SPORT_ID];
+};
+
+// Focus option by id, with a readable fallback for ids from another sport
+// (e.g. practices logged before the athlete's sport was changed)
+export const getFocusOption = (sport, focusId) =>
+  sport.focusOptions.find(f => f.id === focusId)
+  || { id: focusId, label: focusId, emoji: sport.emoji, color: FALLBACK_FOCUS_COLOR };
+
+// The sport's built-in drills plus the account's active custom drills for it, grouped by focus area
+export const buildDrillCatalog = (sport, customDrills = []) => {
+  const catalog = {};
+  sport.focusOptions.forEach(f => {
+    catalog[f.id] = [
+      ...(sport.drills[f.id] || []),
+      ...customDrills
+        .filter(d => (d.sport || DEFAULT_SPORT_ID) === sport.id && d.focus === f.id && !d.archived_at)
+        .map(d => ({ ...d, isCustom: true }))
+    ];
+  });
+  return catalog;
+};
+
+// Resolve a session_drills.drill_id (catalog slug from any pack, or custom drill
+// uuid). Archived custom drills still resolve so past practices keep their names.
+export const findDrill = (drillId, customDrills = []) =>
+  Object.values(SPORT_PACKS).flatMap(pack => Object.values(pack.drills).flat()).find(d => d.id === drillId)
+  || customDrills.find(d => d.id === drillId)
+  || null;
+
+export const drillMetricFields = (drill) => drill?.metrics || [];
+
+// Quick Log inputs -> session_drills.metrics: numbers only, null when nothing was entered
+export const cleanDrillMetrics = (values = {}) => {
+  const entries = Object.entries(values)
+    .filter(([, v]) => v !== '' && v != null && !Number.isNaN(Number(v)))
+    .map(([k, v]) => [k, Number(v)]);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
+
+// Map a sessions row from the database into the shape the UI works with
+export const toSession = (s) => ({
+  id: s.id,
+  date: s.date,
+  duration: s.duration_minutes,
+  focus: s.focus,
+  note: s.note || '',
+  reflection: s.reflection || '',
+  loggedBy: s.logged_by || null,
+  rpe: s.rpe ?? null,
+  enjoyment: s.enjoyment ?? null,
+  soreness: s.soreness || []
+});
+
+// Keep sessions ordered most recent first (matches the loadAthleteData query)
+export const sortSessions = (list) => [...list].sort((a, b) => b.date.localeCompare(a.date));
+
+// "Today", "Yesterday" or a short date for a YYYY-MM-DD string
+export const formatDate = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+
+  const todayDate = new Date();
+  todayDate.setHours(0, 0, 0, 0);
+
+  const yesterday = new Date(todayDate);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  if (date.getTime() === todayDate.getTime()) return 'Today';
+  if (date.getTime() === yesterday.getTime()) return 'Yesterday';
+  return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+// Newest first, with same-day sessions in the order they were logged
+export const orderSessions = (query) => query
+  .order('date', { ascending: false })
+  .order('created_at', { ascending: false });
+
+// A session_drills row as a drill use. The id is kept so realtime deletes,
+// which only carry the id, can find it.
+export const toDrillUse = (d) => ({ id: d.id, sessionId: d.session_id, drillId: d.drill_id });
+
+// A drill is logged at most once per practice, so (session, drill) identifies a
+// use. The newer row wins, e.g. a realtime echo replacing a queued temp id.
+export const addDrillUses = (uses, added) => [
+  ...uses.filter(u => !added.some(a => a.sessionId === u.sessionId && a.drillId === u.drillId)),
+  ...added
+];
+
+// PostgREST or-filters are comma/paren delimited, so keep those out of search terms
+export const sanitizeSearchTerm = (term) => term.replace(/[,()*"\\]/g, ' ').trim();
+
+// Whether a practice still in the offline queue passes the History view filters
+export const matchesHistoryFilters = (row, filters, search, queuedDrillRows) =>
+  (!filters.from || row.date >= filters.from)
+  && (!filters.to || row.date <= filters.to)
+  && (!filters.focus || (row.focus || []).includes(filters.focus))
+  && (!search || [row.note, row.reflection].some(text => (text || '').toLowerCase().includes(search.toLowerCase())))
+  && (!filters.drillId || queuedDrillRows.some(d => d.session_id === row.id));
+
+// ----------------------------------------------------------------------------
+// PDF EXPORT
+// ----------------------------------------------------------------------------
+// Names, notes and reflections are free text, so escape them before they go
+// into the printable report's HTML
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// ----------------------------------------------------------------------------
+// CUSTOM DRILLS
+// ----------------------------------------------------------------------------
+// Give new metric fields a stable id from their label. Existing ids never change,
+// so renaming "Reps" to "Sets" keeps the numbers already logged under it.
+export const normalizeDrillMetrics = (metrics) => {
+  const used = new Set();
+  return metrics
+    .filter(m => m.label.trim())
+    .map(m => {
+      let id = m.id || slugify(m.label) || 'metric';
+      for (let n = 2; !m.id && used.has(id); n++) id = `${slugify(m.label)}-${n}`;
+      used.add(id);
+      return { id, label: m.label.trim() };
+    });
+};
+
+export const isValidVideoUrl = (url) => !url || /^https?:\/\/\S+$/i.test(url.trim());
+
+// ----------------------------------------------------------------------------
+// FAMILY SHARING
+// ----------------------------------------------------------------------------
+// profile id -> email for everyone known to have access to an athlete
+export const memberNamesFor = (members) => {
+  const names = {};
+  members.forEach(m => {
+    if (m.invited_by && m.invited_by_email) names[m.invited_by] = m.invited_by_email;
+    if (m.profile_id) names[m.profile_id] = m.invited_email;
+  });
+  return names;
+};
+
+// "Logged by" label for a session someone else logged, or null for your own
+export const loggedByName = (session, userId, memberNames) => {
+  if (!session.loggedBy || session.loggedBy === userId) return null;
+  return memberNames[session.loggedBy] || 'another family member';
+};
+
+// ----------------------------------------------------------------------------
+// PRACTICE TEMPLATES
+// ----------------------------------------------------------------------------
+// Map a practice_templates row from the database into the shape the UI works with
+export const toTemplate = (t) => ({
+  id: t.id,
+  name: t.name,
+  duration: t.duration_minutes,
+  focus: t.focus || [],
+  drillIds: t.drill_ids || [],
+  note: t.note || '',
+  useCount: t.use_count || 0
+});
+
+// Most used first; ties go to the alphabetically first name
+export const sortTemplates = (list) =>
+  [...list].sort((a, b) => b.useCount - a.useCount || a.name.localeCompare(b.name));
+
+// ----------------------------------------------------------------------------
+// PRACTICE TIMER
+// ----------------------------------------------------------------------------
+// Times are wall-clock timestamps, never ticking counters:
+//   { athleteId, startedAt, pausedAt, pausedMs, focus, drillMs, drillId, drillSince, stoppedAt }
+// drillMs holds finished time per drill; the current drill's time is counted
+// from drillSince (null while paused or between drills).
+export const newTimer = (athleteId, now = Date.now()) => ({
+  athleteId,
+  startedAt: now,
+  pausedAt: null,
+  pausedMs: 0,
+  focus: [],
+  drillMs: {},
+  drillId: null,
+  drillSince: null,
+  stoppedAt: null
+});
+
+export const timerElapsedMs = (timer, now = Date.now()) =>
+  (timer.pausedAt ?? now) - timer.startedAt - timer.pausedMs;
+
+// Bank the current drill's running time into drillMs
+const closeDrillSegment = (timer, now) => {
+  if (!timer.drillId || timer.drillSince == null) return timer.drillMs;
+  return {
+    ...timer.drillMs,
+    [timer.drillId]: (timer.drillMs[timer.drillId] || 0) + (now - timer.drillSince)
+  };
+};
+
+export const pauseTimer = (timer, now = Date.now()) => ({
+  ...timer,
+  pausedAt: now,
+  drillMs: closeDrillSegment(timer, now),
+  drillSince: null
+});
+
+export const resumeTimer = (timer, now = Date.now()) => ({
+  ...timer,
+  pausedAt: null,
+  pausedMs: timer.pausedMs + (now - timer.pausedAt),
+  drillSince: timer.drillId ? now : null
+});
+
+// Freeze the clock for hand-off to Quick Log; stopping again is a no-op
+export const stopTimer = (timer, now = Date.now()) => {
+  if (timer.stoppedAt) return timer;
+  return { ...(timer.pausedAt ? timer : pauseTimer(timer, now)), stoppedAt: now };
+};
+
+// Move on to another drill; tapping the current drill again ends it
+export const switchTimerDrill = (timer, drillId, now = Date.now()) => {
+  const nextId = timer.drillId === drillId ? null : drillId;
+  return {
+    ...timer,
+    drillMs: closeDrillSegment(timer, now),
+    drillId: nextId,
+    drillSince: nextId && !timer.pausedAt ? now : null
+  };
+};
+
+// Whole minutes per drill, rounded but never below 1 for a drill that was used
+export const timerDrillMinutes = (timer, now = Date.now()) => {
+  const drillMs = timer.pausedAt ? timer.drillMs : closeDrillSegment(timer, now);
+  return Object.fromEntries(
+    Object.entries(drillMs).map(([drillId, ms]) => [drillId, Math.max(1, Math.round(ms / 60000))])
+  );
+};
+
+export const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+// ----------------------------------------------------------------------------
+// GAMES
+// ----------------------------------------------------------------------------
+// Stat lines per sport. Sports without an entry log games with just an
+// opponent and a note.
+export const GAME_STAT_LINES = {
+  softball: [
+    {
+      id: 'batting',
+      label: 'Batting',
+      stats: [
+        { id: 'ab', label: 'AB' },
+        { id: 'h', label: 'H' },
+        { id: 'bb', label: 'BB' },
+        { id: 'k', label: 'K' },
+        { id: 'rbi', label: 'RBI' }
+      ]
+    },
+    {
+      id: 'pitching',
+      label: 'Pitching',
+      stats: [
+        { id: 'ip', label: 'IP', step: 0.1 }, // 4.1 = 4⅓ innings
+        { id: 'k', label: 'K' },
+        { id: 'bb', label: 'BB' },
+        { id: 'er', label: 'ER' }
+      ]
+    },
+    {
+      id: 'fielding',
+      label: 'Fielding',
+      stats: [
+        { id: 'po', label: 'PO' },
+        { id: 'a', label: 'A' },
+        { id: 'e', label: 'E' }
+      ]
+    }
+  ],
+  soccer: [
+    {
+      id: 'attacking',
+      label: 'Attacking',
+      stats: [
+        { id: 'goals', label: 'Goals' },
+        { id: 'assists', label: 'Assists' },
+        { id: 'shots', label: 'Shots' }
+      ]
+    }
+  ],
+  basketball: [
+    {
+      id: 'box',
+      label: 'Box Score',
+      stats: [
+        { id: 'pts', label: 'PTS' },
+        { id: 'reb', label: 'REB' },
+        { id: 'ast', label: 'AST' },
+        { id: 'to', label: 'TO' }
+      ]
+    }
+  ]
+};
+
+export const sumGameStat = (games, lineId, statId) =>
+  games.reduce((sum, g) => sum + (g.stats[lineId]?.[statId] || 0), 0);
+
+// Innings pitched are written in thirds: 4.2 means 4 innings and 2 outs
+export const inningsToOuts = (ip) => Math.floor(ip) * 3 + Math.round((ip % 1) * 10);
+
+export const gamesPlayed = (games, lineId) => games.filter(g => g.stats[lineId]).length;
+
+// Map a games row from the database into the shape the UI works with
+export const toGame = (g) => ({
+  id: g.id,
+  date: g.date,
+  opponent: g.opponent,
+  stats: g.stats || {},
+  note: g.note || '',
+  loggedBy: g.logged_by || null
+});
+
+export const sortGames = (list) => [...list].sort((a, b) => b.date.localeCompare(a.date));
+
+// One-line stat summary, e.g. "4 AB, 2 H, 1 RBI · 3 IP, 5 K"
+export const gameSummary = (game, sport) =>
+  (GAME_STAT_LINES[sport.id] || [])
+    .map(line => line.stats
+      .filter(stat => game.stats[line.id]?.[stat.id] != null)
+      .map(stat => `${game.stats[line.id][stat.id]} ${stat.label}`)
+      .join(', '))
+    .filter(Boolean)
+    .join(' · ');
+
+// Form values -> stats jsonb: numbers only, empty lines dropped
+export const cleanGameStats = (stats) => Object.fromEntries(
+  Object.entries(stats)
+    .map(([lineId, values]) => [lineId, cleanDrillMetrics(values)])
+    .filter(([, values]) => values)
+);
+
+// ----------------------------------------------------------------------------
+// PRACTICE PLANS
+// ----------------------------------------------------------------------------
+// Map an assignments row from the database into the shape the UI works with
+export const toAssignment = (a) => ({
+  id: a.id,
+  planId: a.plan_id,
+  athleteId: a.athlete_id,
+  teamId: a.team_id || null,
+  assignedBy: a.assigned_by,
+  assignedByEmail: a.assigned_by_email || '',
+  title: a.title,
+  drills: (a.drills || []).map(d => ({ drillId: d.drill_id, minutes: d.minutes })),
+  dueDate: a.due_date || null,
+  note: a.note || '',
+  fulfilledSessionId: a.fulfilled_session_id || null,
+  fulfilledAt: a.fulfilled_at || null
+});
+
+export const planTotalMinutes = (drills) => drills.reduce((sum, d) => sum + (d.minutes || 0), 0);
+
+// Focus area a drill is filed under in a sport's catalog
+export const focusForDrill = (drillCatalog, drillId) =>
+  Object.entries(drillCatalog).find(([, drills]) => drills.some(d => d.id === drillId))?.[0] || null;
+
+export const dueLabel = (dueDate, today = new Date()) => {
+  if (!dueDate) return null;
+  const days = Math.round((parseDateKey(dueDate) - parseDateKey(toDateKey(today))) / 86400000);
+  if (days < 0) return { text: `Overdue · ${formatDate(dueDate)}`, overdue: true };
+  if (days === 0) return { text: 'Due today', overdue: false };
+  if (days === 1) return { text: 'Due tomorrow', overdue: false };
+  return { text: `Due ${formatDate(dueDate)}`, overdue: false };
+};
+
+// ----------------------------------------------------------------------------
+// TEAMS
+// ----------------------------------------------------------------------------
+// Days of practices behind the roster's focus mix
+export const TEAM_FOCUS_WINDOW_DAYS = 30;
+
+// Unambiguous characters only (no 0/O, 1/I/L), so codes survive being read aloud
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const JOIN_CODE_LENGTH = 6;
+
+export const generateJoinCode = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(JOIN_CODE_LENGTH));
+  return Array.from(bytes, b => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length]).join('');
+};
+
+// A player's sport on the coach side. A custom sport the coach can't read keeps
+// its raw focus ids instead of being mislabelled as the default pack.
+export const resolveTeamSport = (sportId, customSports) =>
+  !sportId || SPORT_PACKS[sportId] || customSports.some(s => s.id === sportId)
+    ? resolveSport(sportId, customSports)
+    : { id: sportId, name: 'Custom sport', emoji: '🏅', focusOptions: [], drills: {}, isCustom: true };
+
+// One roster row per athlete: this week's volume, last practice, focus mix and goals
+export const buildTeamRoster = (members, sessionRows, goalRows, customSports = [], today = new Date()) => {
+  const weekStartKey = startOfWeekKey(today);
+  const focusWindowStart = new Date(today);
+  focusWindowStart.setDate(today.getDate() - TEAM_FOCUS_WINDOW_DAYS);
+  const focusWindowKey = toDateKey(focusWindowStart);
+
+  return members.map(member => {
+    const sport = resolveTeamSport(member.athletes?.sport, customSports);
+    const athleteSessions = sessionRows
+      .filter(s => s.athlete_id === member.athlete_id)
+      .sort((a, b) => b.date.localeCompare(a.date));
+    const thisWeek = athleteSessions.filter(s => s.date >= weekStartKey);
+
+    const focusCounts = {};
+    athleteSessions
+      .filter(s => s.date >= focusWindowKey)
+      .forEach(s => (s.focus || []).forEach(f => { focusCounts[f] = (focusCounts[f] || 0) + 1; }));
+    const focusTotal = Object.values(focusCounts).reduce((sum, n) => sum + n, 0);
+    const focusMix = Object.entries(focusCounts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([id, n]) => ({ option: getFocusOption(sport, id), percent: Math.round((n / focusTotal) * 100) }));
+
+    const athleteGoals = goalRows.filter(g => g.athlete_id === member.athlete_id);
+
+    return {
+      member,
+      name: member.athletes?.name || 'Athlete',
+      weekPractices: thisWeek.length,
+      weekMinutes: thisWeek.reduce((sum, s) => sum + s.duration_minutes, 0),
+      lastDate: athleteSessions[0]?.date || null,
+      focusMix,
+      activeGoals: athleteGoals.filter(g => g.is_active),
+      completedGoals: athleteGoals.filter(g => g.status === 'completed').length,
+      recentNotes: athleteSessions.filter(s => s.note || s.reflection).slice(0, 3)
+    };
+  });
+};
+
+// ----------------------------------------------------------------------------
+// SPORT SETTINGS
+// ----------------------------------------------------------------------------
+export const slugify = (text) => text.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// ----------------------------------------------------------------------------
+// ATHLETE SETTINGS
+// ----------------------------------------------------------------------------
+export const MIN_BIRTH_YEAR = 1990;
+
+export const isValidBirthYear = (value) => {
+  if (!value) return true;
+  const year = Number(value);
+  return Number.isInteger(year) && year >= MIN_BIRTH_YEAR && year <= new Date().getFullYear();
+};
+
+// ----------------------------------------------------------------------------
+// STREAKS
+// ----------------------------------------------------------------------------
+const DEFAULT_WEEKLY_TARGET = 3;
+
+// Local-time YYYY-MM-DD (toISOString would shift late-evening dates to UTC)
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const parseDateKey = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Sunday that starts the week containing `date` (weeks match the Quick Stats card)
+export const startOfWeekKey = (date) => {
+  const weekStart = new Date(date);
+  weekStart.setDate(date.getDate() - date.getDay());
+  return toDateKey(weekStart);
+};
+
+// Current and longest streaks, counted both in days and in weeks that hit the
+// athlete's weekly target. Rest days without a practice neither count toward
+// nor break a daily streak, and a day or week still in progress doesn't break one.
+export const computeStreaks = (sessions, { restDays = [], weeklyTarget = DEFAULT_WEEKLY_TARGET, today = new Date() } = {}) => {
+  const empty = { currentDays: 0, longestDays: 0, currentWeeks: 0, longestWeeks: 0, weeklyTarget };
+  if (sessions.length === 0) return empty;
+
+  const practiceDays = new Set(sessions.map(s => s.date));
+  const weekCounts = {};
+  sessions.forEach(s => {
+    const key = startOfWeekKey(parseDateKey(s.date));
+    weekCounts[key] = (weekCounts[key] || 0) + 1;
+  });
+
+  const todayDate = new Date(today);
+  todayDate.setHours(0, 0, 0, 0);
+  const earliest = parseDateKey([...practiceDays].sort()[0]);
+  const isRestDay = (date) => restDays.includes(date.getDay());
+
+  // Daily: walk forward from the first practice to today
+  let run = 0;
+  let longestDays = 0;
+  for (const day = new Date(earliest); day <= todayDate; day.setDate(day.getDate() + 1)) {
+    if (practiceDays.has(toDateKey(day))) {
+      run += 1;
+      longestDays = Math.max(longestDays, run);
+    } else if (!isRestDay(day) && day.getTime() !== todayDate.getTime()) {
+      run = 0;
+    }
+  }
+  const currentDays = run;
+
+  // Weekly: walk forward week by week to the current week
+  let weekRun = 0;
+  let longestWeeks = 0;
+  const currentWeekKey = startOfWeekKey(todayDate);
+  for (const week = parseDateKey(startOfWeekKey(earliest)); toDateKey(week) <= currentWeekKey; week.setDate(week.getDate() + 7)) {
+    const key = toDateKey(week);
+    if ((weekCounts[key] || 0) >= weeklyTarget) {
+      weekRun += 1;
+      longestWeeks = Math.max(longestWeeks, weekRun);
+    } else if (key !== currentWeekKey) {
+      weekRun = 0;
+    }
+  }
+
+  return { currentDays, longestDays, currentWeeks: weekRun, longestWeeks, weeklyTarget };
+};
+
+export const streakSettings = (athlete) => ({
+  restDays: athlete?.rest_days || [],
+  weeklyTarget: athlete?.weekly_practice_target || DEFAULT_WEEKLY_TARGET
+});
+
+// ----------------------------------------------------------------------------
+// EFFORT & TRAINING LOAD
+// ----------------------------------------------------------------------------
+export const rpeLabel = (rpe) =>
+  rpe <= 2 ? 'Very easy' : rpe <= 4 ? 'Easy' : rpe <= 6 ? 'Moderate' : rpe <= 8 ? 'Hard' : 'Max effort';
+
+export const ENJOYMENT_OPTIONS = [
+  { value: 1, emoji: '😣', label: 'Not fun' },
+  { value: 2, emoji: '😕', label: 'Meh' },
+  { value: 3, emoji: '🙂', label: 'OK' },
+  { value: 4, emoji: '😀', label: 'Fun' },
+  { value: 5, emoji: '🤩', label: 'Loved it' }
+];
+
+export const SORENESS_LOCATIONS = [
+  { id: 'shoulder', label: 'Shoulder' },
+  { id: 'elbow', label: 'Elbow' },
+  { id: 'wrist-hand', label: 'Wrist/Hand' },
+  { id: 'back', label: 'Back' },
+  { id: 'hip', label: 'Hip' },
+  { id: 'knee', label: 'Knee' },
+  { id: 'ankle-foot', label: 'Ankle/Foot' },
+  { id: 'other', label: 'Other' }
+];
+
+export const sorenessLabel = (id) => SORENESS_LOCATIONS.find(l => l.id === id)?.label || id;
+
+const LOAD_CHART_WEEKS = 8;
+const LOAD_BASELINE_WEEKS = 4; // weeks averaged for "normal" load
+const LOAD_SPIKE_RATIO = 1.5; // a week this far above baseline is flagged
+export const SORENESS_WINDOW_DAYS = 14;
+
+// Weekly training load (minutes x RPE) for the last LOAD_CHART_WEEKS weeks.
+// Practices without an RPE don't count. A week spikes when its load is more
+// than LOAD_SPIKE_RATIO times the average of the LOAD_BASELINE_WEEKS before it
+// (weeks with no load are skipped so a rest week doesn't make a normal one look big).
+export const computeWeeklyLoad = (sessions, today = new Date()) => {
+  const totalWeeks = LOAD_CHART_WEEKS + LOAD_BASELINE_WEEKS;
+  const thisWeek = parseDateKey(startOfWeekKey(today));
+  const loadByWeek = {};
+
+  sessions.forEach(s => {
+    if (!s.rpe) return;
+    const key = startOfWeekKey(parseDateKey(s.date));
+    loadByWeek[key] = (loadByWeek[key] || 0) + s.duration * s.rpe;
+  });
+
+  const weeks = [];
+  for (let i = totalWeeks - 1; i >= 0; i--) {
+    const weekStart = new Date(thisWeek);
+    weekStart.setDate(thisWeek.getDate() - i * 7);
+    const key = toDateKey(weekStart);
+    weeks.push({ key, label: i === 0 ? 'This Week' : formatDate(key), load: loadByWeek[key] || 0 });
+  }
+
+  return weeks.slice(LOAD_BASELINE_WEEKS).map((week, index) => {
+    const prior = weeks.slice(index, index + LOAD_BASELINE_WEEKS).filter(w => w.load > 0);
+    const baseline = prior.length > 0 ? prior.reduce((sum, w) => sum + w.load, 0) / prior.length : null;
+    return { ...week, baseline, spike: baseline !== null && week.load > baseline * LOAD_SPIKE_RATIO };
+  });
+};
+
+// Sore spots reported in the last SORENESS_WINDOW_DAYS, most frequent first
+export const recentSoreness = (sessions, today = new Date()) => {
+  const since = new Date(today);
+  since.setDate(today.getDate() - SORENESS_WINDOW_DAYS);
+  const sinceKey = toDateKey(since);
+
+  const counts = {};
+  sessions
+    .filter(s => s.date >= sinceKey)
+    .forEach(s => s.soreness.forEach(id => { counts[id] = (counts[id] || 0) + 1; }));
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+};
+
+// One-line check-in summary for practice lists, e.g. "Effort 7/10 · 😀 · Sore: Elbow"
+export const checkInSummary = (session) => [
+  session.rpe && `Effort ${session.rpe}/10`,
+  session.enjoyment && ENJOYMENT_OPTIONS.find(o => o.value === session.enjoyment)?.emoji,
+  session.soreness.length > 0 && `Sore: ${session.soreness.map(sorenessLabel).join(', ')}`
+].filter(Boolean).join(' · ');
+
+// ----------------------------------------------------------------------------
+// GOALS
+// ----------------------------------------------------------------------------
+export const GOAL_PERIODS = [
+  { id: 'week', label: 'Per week', suffix: 'this week' },
+  { id: 'month', label: 'Per month', suffix: 'this month' },
+  { id: 'total', label: 'In total', suffix: 'in total' },
+];
+
+// Map a goals row from the database into the shape the UI works with
+export const toGoal = (g) => ({
+  id: g.id,
+  text: g.text,
+  linkedDrillId: g.linked_drill_id || null,
+  targetType: g.target_type || null,
+  targetValue: g.target_value || null,
+  targetPeriod: g.target_period || 'week',
+  deadline: g.deadline || null,
+  createdAt: g.created_at || null,
+  isActive: g.is_active !== false,
+  status: g.status || (g.is_active === false ? null : 'active'),
+  closedAt: g.closed_at || null,
+  closingReflection: g.closing_reflection || ''
+});
+
+// One-line description of a goal's target, e.g. "120 min of Pitching this month"
+export const describeGoalTarget = (goal, { focusLabel, drillName }) => {
+  if (!goal.targetType || !goal.targetValue) return null;
+
+  const period = GOAL_PERIODS.find(p => p.id === goal.targetPeriod)?.suffix || '';
+  if (goal.targetType === 'practices') return `${goal.targetValue} practices ${period}`;
+  if (goal.targetType === 'minutes') return `${goal.targetValue} min of ${focusLabel} ${period}`;
+  return `${drillName || 'Linked drill'} ${goal.targetValue} times ${period}`;
+};
+
+// Progress toward a goal's target, or null for a plain text goal. Minutes count
+// whole practices that included the goal's skill area, since practices don't
+// split their time between focus areas.
+export const computeGoalProgress = (goal, skill, sessions, drillUses, today = new Date()) => {
+  if (!goal?.targetType || !goal.targetValue) return null;
+  if (goal.targetType === 'drill_uses' && !goal.linkedDrillId) return null;
+
+  const todayKey = toDateKey(today);
+  let startKey = null;
+  if (goal.targetPeriod === 'week') startKey = startOfWeekKey(today);
+  else if (goal.targetPeriod === 'month') startKey = `${todayKey.slice(0, 7)}-01`;
+  else if (goal.createdAt) startKey = toDateKey(new Date(goal.createdAt));
+
+  const inWindow = sessions.filter(s =>
+    (!startKey || s.date >= startKey) && (!goal.deadline || s.date <= goal.deadline)
+  );
+
+  let current;
+  if (goal.targetType === 'practices') {
+    current = inWindow.length;
+  } else if (goal.targetType === 'minutes') {
+    current = inWindow
+      .filter(s => s.focus?.includes(skill))
+      .reduce((sum, s) => sum + (s.duration || 0), 0);
+  } else {
+    const sessionIds = new Set(inWindow.map(s => s.id));
+    current = drillUses.filter(u => u.drillId === goal.linkedDrillId && sessionIds.has(u.sessionId)).length;
+  }
+
+  const daysLeft = goal.deadline
+    ? Math.round((parseDateKey(goal.deadline) - parseDateKey(todayKey)) / 86400000)
+    : null;
+
+  return {
+    current,
+    target: goal.targetValue,
+    percent: Math.min(100, Math.round((current / goal.targetValue) * 100)),
+    complete: current >= goal.targetValue,
+    daysLeft
+  };
+};
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['fake-indexeddb/auto'],
+    // An empty in-memory backend; failed requests aren't retried so tests stay fast
+    env: { VITE_BACKEND: 'memory', VITE_LOCAL_SEED: 'none', VITE_DB_MAX_RETRIES: '0' },
+  },
 })